@@ -16,7 +16,7 @@ export type AuthFailureExtra = AuthExtra
 
 export type AuthSuccessEventPayload = AuthSuccessPayload & AuthSuccessExtra
 
-export type AuthFailureReason = 'not_found' | 'expired' | 'blocked' | 'unknown'
+export type AuthFailureReason = 'mismatch' | 'used' | 'not_found' | 'expired' | 'blocked' | 'too_many_attempts' | 'unknown'
 
 export interface AuthFailurePayload {
   userId: string
@@ -26,6 +26,9 @@ export interface AuthFailurePayload {
 
 export type AuthFailureEventPayload = AuthFailurePayload & AuthFailureExtra
 
+// Metadata fields that would shadow the base payload are dropped
+const RESERVED_PAYLOAD_FIELDS = new Set(['userId', 'authTime'])
+
 /**
  * Optional dependencies for OtpAuthService.
  *
@@ -100,7 +103,9 @@ export class OtpAuthService extends EventEmitter {
    * This method calls into the OneHitter `validate` API, using the provided
    * `userId` as the OTP contact identifier (for example, an email address or
    * phone number). If validation succeeds, a typed payload is emitted via the
-   * AUTH_SUCCESS event.
+   * AUTH_SUCCESS event. Metadata the code was created with is merged into the
+   * success payload; on a key clash `extra` wins, and metadata never replaces
+   * `userId` or `authTime`.
    *
    * @param otp The one-time password provided by the user.
    * @param userId The logical user identifier (often the same as the OTP
@@ -118,11 +123,18 @@ export class OtpAuthService extends EventEmitter {
     // We assume that `userId` maps to the OTP contact identifier (e.g., email
     // or phone). If your application treats these differently, you can inject a
     // customized OneHitter instance or wrap this method accordingly.
-    const status = await this.oneHitter.validateStatus({ contact: userId, otp })
+    // Injected stand-ins may only implement validateStatus
+    const { status, metadata } = typeof this.oneHitter.validateDetailed === 'function'
+      ? await this.oneHitter.validateDetailed({ contact: userId, otp })
+      : { status: await this.oneHitter.validateStatus({ contact: userId, otp }), metadata: undefined }
 
     if (status === 'ok') {
-      // 1. Prepare the payload (base + optional extras) for success
-      const payload = this.buildPayload(userId, extra)
+      // 1. Prepare the payload (base + stored metadata + optional extras) for success
+      const fromMetadata = Object.fromEntries(
+        Object.entries(metadata ?? {}).filter(([key]) => !RESERVED_PAYLOAD_FIELDS.has(key)),
+      )
+      const merged = metadata ? { ...fromMetadata, ...extra } : extra
+      const payload = this.buildPayload(userId, merged)
 
       // 2. Broadcast the success event (Fan-Out)
       this.emit(OtpAuthService.AUTH_SUCCESS, payload)
@@ -132,7 +144,8 @@ export class OtpAuthService extends EventEmitter {
 
     // Map underlying status to a stable, public failure reason
     const reason: AuthFailureReason =
-      status === 'expired' || status === 'not_found' || status === 'blocked'
+      status === 'mismatch' || status === 'used' || status === 'expired' || status === 'not_found'
+        || status === 'blocked' || status === 'too_many_attempts'
         ? status
         : 'unknown'
 
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+import { randomBytes } from 'crypto'
+import { MongoClient, ServerApiVersion } from 'mongodb'
+import { getAdapter } from './db/index.js'
+import { currentDriver, isValidPepperKeyId, pepperKeyring } from './db/shared.js'
+import { describeResult, ensureExpiresAtTTLIndex } from './db/ensure-ttl.js'
+import OneHitter from './onehitter.js'
+import { resolveEmailTransport, resolveSmtpConfig } from './config.js'
+import { checkConfig } from './config-check.js'
+
+// Exit codes: 0 success, 1 the command failed (or doctor found errors), 2 usage error
+export const EXIT_OK = 0
+export const EXIT_FAILURE = 1
+export const EXIT_USAGE = 2
+
+const USAGE = `Usage: onehitter <command> [options]
+
+Commands:
+  ensure-ttl          Create or update the MongoDB TTL index on expiresAt (no-op for other drivers)
+  purge-expired       Delete expired OTP records and print how many were removed
+  stats               Print active and expired record counts for the configured driver
+  gen-pepper          Print a new random pepper (--id <keyId> formats it as an OTP_PEPPERS entry)
+  doctor              Check the OTP_* environment configuration
+  send-test --to <address>
+                      Send a test OTP email to <address>
+
+Options:
+  --json              Print a single JSON object instead of text
+  -h, --help          Show this help
+
+The storage driver is chosen by OTP_DB_DRIVER, as in the library.`
+
+export interface CliArgs {
+  command?: string
+  json: boolean
+  help: boolean
+  to?: string
+  id?: string
+}
+
+class UsageError extends Error {}
+
+// Output of one command: `data` is printed with --json, `lines` otherwise
+interface CommandResult {
+  ok: boolean
+  data: Record<string, unknown>
+  lines: string[]
+}
+
+/** Parses `argv` (without the node/script entries). Throws on unknown or incomplete options. */
+export function parseArgs(argv: string[]): CliArgs {
+  const args: CliArgs = { json: false, help: false }
+  for (let i = 0; i < argv.length; i++) {
+    // Accept both "--to x" and "--to=x"
+    const eq = argv[i].startsWith('--') ? argv[i].indexOf('=') : -1
+    const flag = eq > 0 ? argv[i].slice(0, eq) : argv[i]
+    const inline = eq > 0 ? argv[i].slice(eq + 1) : undefined
+    if (flag === '--json') args.json = true
+    else if (flag === '--help' || flag === '-h') args.help = true
+    else if (flag === '--to' || flag === '--id') {
+      const value = inline ?? argv[++i]
+      if (!value || value.startsWith('--')) throw new UsageError(`${flag} requires a value`)
+      args[flag === '--to' ? 'to' : 'id'] = value
+    } else if (flag.startsWith('-')) throw new UsageError(`Unknown option: ${flag}`)
+    else if (!args.command) args.command = flag
+    else throw new UsageError(`Unexpected argument: ${flag}`)
+  }
+  return args
+}
+
+async function ensureTtl(): Promise<CommandResult> {
+  const driver = currentDriver()
+  if (driver !== 'mongodb') {
+    return {
+      ok: true,
+      data: { driver, action: 'skipped' },
+      lines: [`[ensure-ttl] skipped: the ${driver} driver has no TTL index (use purge-expired to clean up)`],
+    }
+  }
+  const conn = process.env.OTP_MONGO_CONNECTION
+  if (!conn) throw new Error('OTP_MONGO_CONNECTION is required to run ensure-ttl')
+  const client = new MongoClient(conn, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    },
+  })
+  try {
+    await client.connect()
+    const result = await ensureExpiresAtTTLIndex(client)
+    return {
+      ok: true,
+      data: { driver, ...result },
+      lines: [describeResult(result)],
+    }
+  } finally {
+    try { await client.close() } catch {}
+  }
+}
+
+async function purgeExpired(): Promise<CommandResult> {
+  const adapter = getAdapter()
+  try {
+    if (!adapter.purgeExpired) throw new Error(`The ${adapter.name} adapter does not support purgeExpired()`)
+    const removed = await adapter.purgeExpired()
+    return { ok: true, data: { driver: adapter.name, removed }, lines: [`[purge-expired] ${adapter.name}: removed ${removed} expired record(s)`] }
+  } finally {
+    await adapter.close?.()
+  }
+}
+
+async function stats(): Promise<CommandResult> {
+  const adapter = getAdapter()
+  try {
+    if (!adapter.countRecords) throw new Error(`The ${adapter.name} adapter does not support countRecords()`)
+    const counts = await adapter.countRecords()
+    return {
+      ok: true,
+      data: { driver: adapter.name, ...counts },
+      lines: [`[stats] ${adapter.name}: active=${counts.active} expired=${counts.expired}`],
+    }
+  } finally {
+    await adapter.close?.()
+  }
+}
+
+function genPepper(id?: string): CommandResult {
+  if (id != null && !isValidPepperKeyId(id)) {
+    throw new UsageError('--id may only use letters, digits, "_", "." and "-"')
+  }
+  const pepper = randomBytes(32).toString('base64url')
+  const entry = id != null ? `${id}:${pepper}` : undefined
+  const lines = entry
+    ? [entry, `# prepend to OTP_PEPPERS to make "${id}" the active key`]
+    : [pepper]
+  return { ok: true, data: { pepper, ...(entry ? { id, entry } : {}) }, lines }
+}
+
+export type DoctorLevel = 'ok' | 'warn' | 'error'
+
+export interface DoctorCheck {
+  name: string
+  level: DoctorLevel
+  message: string
+}
+
+/**
+ * Checks the OTP_* environment without touching storage or sending mail. The
+ * problems are those of `checkConfig()` and the selected adapter's
+ * `validateConfig()`, as in `OneHitter.validateConfig()`, so doctor and
+ * `assertConfig()` agree; doctor only adds `ok` lines for the main settings.
+ */
+export function doctorChecks(): DoctorCheck[] {
+  const env = process.env
+  const problems = [...checkConfig({ envDriver: true }), ...(getAdapter().validateConfig?.() ?? [])]
+  const failed = (...fields: string[]) => problems.some((p) => p.severity === 'error' && fields.includes(p.field))
+  const checks: DoctorCheck[] = []
+  const add = (name: string, level: DoctorLevel, message: string) => checks.push({ name, level, message })
+
+  if (!failed('OTP_DB_DRIVER')) add('OTP_DB_DRIVER', 'ok', env.OTP_DB_DRIVER || 'mongodb (default)')
+  if (env.OTP_EXPIRY && !failed('OTP_EXPIRY')) add('OTP_EXPIRY', 'ok', `${Number(env.OTP_EXPIRY)}s`)
+  if (!failed('OTP_PEPPER', 'OTP_PEPPERS')) {
+    const ringSize = pepperKeyring().length
+    if (ringSize > 0 || env.OTP_PEPPER) add('OTP_PEPPER', 'ok', ringSize > 0 ? `keyring with ${ringSize} key(s)` : 'set')
+  }
+  if (!failed('OTP_EMAIL_TRANSPORT', 'OTP_SMTP_HOST', 'OTP_SMTP_PORT')) {
+    if (resolveEmailTransport() === 'smtp') {
+      const smtp = resolveSmtpConfig()
+      add('OTP_EMAIL_TRANSPORT', 'ok', `smtp ${smtp.host}:${smtp.port}${smtp.secure ? ' (TLS)' : ''}${smtp.user ? ` as ${smtp.user}` : ''}`)
+    } else {
+      add('OTP_EMAIL_TRANSPORT', 'ok', `ses (${env.OTP_SES_REGION || 'us-east-1'})`)
+    }
+  }
+
+  for (const p of problems) add(p.field, p.severity === 'warning' ? 'warn' : 'error', p.message)
+  return checks
+}
+
+function doctor(): CommandResult {
+  const checks = doctorChecks()
+  const errors = checks.filter((c) => c.level === 'error').length
+  const warnings = checks.filter((c) => c.level === 'warn').length
+  const lines = checks.map((c) => `[doctor] ${c.level.padEnd(5)} ${c.name}: ${c.message}`)
+  lines.push(`[doctor] ${errors} error(s), ${warnings} warning(s)`)
+  return { ok: errors === 0, data: { errors, warnings, checks }, lines }
+}
+
+async function sendTest(to?: string): Promise<CommandResult> {
+  if (!to) throw new UsageError('send-test requires --to <address>')
+  const one = new OneHitter()
+  const result = await one.send(to, one.make())
+  if (result.status === 'throttled') {
+    const { retryAfterMs } = result
+    return { ok: false, data: { to, sent: false, retryAfterMs }, lines: [`[send-test] throttled by the send limiter; retry in ${Math.ceil(retryAfterMs / 1000)}s`] }
+  }
+  return { ok: true, data: { to, sent: true }, lines: [`[send-test] sent a test OTP to ${to}`] }
+}
+
+async function run(args: CliArgs): Promise<CommandResult> {
+  switch (args.command) {
+    case 'ensure-ttl': return await ensureTtl()
+    case 'purge-expired': return await purgeExpired()
+    case 'stats': return await stats()
+    case 'gen-pepper': return genPepper(args.id)
+    case 'doctor': return doctor()
+    case 'send-test': return await sendTest(args.to)
+    default:
+      throw new UsageError(args.command ? `Unknown command: ${args.command}` : 'Missing command')
+  }
+}
+
+/**
+ * CLI entrypoint (exported for tests). Prints the command result to stdout and
+ * errors to stderr (or one JSON object to stdout with --json), and resolves
+ * with the process exit code instead of exiting.
+ */
+export async function main(argv: string[] = process.argv.slice(2)): Promise<number> {
+  let args: CliArgs | undefined
+  try {
+    args = parseArgs(argv)
+    if (args.help) {
+      console.log(USAGE)
+      return EXIT_OK
+    }
+    const result = await run(args)
+    if (args.json) console.log(JSON.stringify({ ok: result.ok, command: args.command, ...result.data }))
+    else for (const line of result.lines) console.log(line)
+    return result.ok ? EXIT_OK : EXIT_FAILURE
+  } catch (err) {
+    const usage = err instanceof UsageError
+    const message = err instanceof Error ? err.message : String(err)
+    if (args?.json ?? argv.includes('--json')) console.log(JSON.stringify({ ok: false, command: args?.command, error: message }))
+    else console.error(usage ? `${message}\n\n${USAGE}` : `[${args?.command ?? 'onehitter'}] error: ${message}`)
+    return usage ? EXIT_USAGE : EXIT_FAILURE
+  }
+}
+
+// Only run when executed directly (not when imported)
+if (require.main === module) {
+  main().then((code) => { process.exitCode = code })
+}
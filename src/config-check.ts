@@ -0,0 +1,181 @@
+import {
+  resolveConfig,
+  resolveEmailTransport,
+  resolveSmtpConfig,
+  type EmailTransportKind,
+  type OneHitterConfig,
+  type ResolvedConfig,
+  type SmtpConfig,
+} from './config.js'
+import { pepperKeyring } from './db/shared.js'
+import { AMBIGUOUS_CHARS, alphabetProblem } from './otp-format.js'
+
+export type ConfigSeverity = 'error' | 'warning'
+
+export interface ConfigProblem {
+  // Setting at fault: the env variable, or the option path when it was passed explicitly
+  field: string
+  severity: ConfigSeverity
+  message: string
+}
+
+export interface ConfigCheckInput extends OneHitterConfig {
+  // Sender address from message.from; OTP_MESSAGE_FROM is the fallback
+  from?: string
+  // A message template may supply `from` per message, so a missing address is not reported
+  fromByTemplate?: boolean
+  // Codes go out through an injected transport, which brings its own sender (if any)
+  customTransport?: boolean
+  // The `email` option; a transporter replaces the SES/SMTP settings
+  email?: { transport?: EmailTransportKind; smtp?: SmtpConfig; transporter?: unknown }
+  // Wrong guesses allowed per code; OTP_MAX_ATTEMPTS is the fallback
+  maxAttempts?: number
+  // Whether storage is chosen by OTP_DB_DRIVER (nothing injected)
+  envDriver?: boolean
+}
+
+// Six decimal digits: anything weaker is too easy to guess within a code's lifetime
+export const MIN_OTP_ENTROPY_BITS = Math.log2(1e6)
+
+// Alphabet sizes used by otp-generator for each character class
+const CHARSET_SIZES = { lettersUpper: 26, lettersLower: 26, digits: 10, specialChars: 4 } as const
+
+// Codes longer than this are cut by make()
+export const MAX_OTP_LENGTH = 64
+
+/**
+ * Number of symbols `make()` draws each character from: the custom alphabet,
+ * or the enabled charset classes minus any excluded look-alikes.
+ */
+export function otpAlphabetSize(otp: ResolvedConfig['otp']): number {
+  if (otp.alphabet) return new Set(otp.alphabet).size
+  const { charset, excludeAmbiguous } = otp
+  const classes = (Object.keys(CHARSET_SIZES) as Array<keyof typeof CHARSET_SIZES>).filter((k) => charset[k])
+  const sizeOf = (k: keyof typeof CHARSET_SIZES) => CHARSET_SIZES[k] - (excludeAmbiguous ? AMBIGUOUS_CHARS[k].length : 0)
+  // make() falls back to digits when every class is disabled
+  return classes.length > 0 ? classes.reduce((n, k) => n + sizeOf(k), 0) : sizeOf('digits')
+}
+
+const DRIVERS = ['mongodb', 'sqlite', 'memory', 'postgres', 'redis']
+
+const ADDRESS = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/
+
+/** Accepts `user@example.com` and `Name <user@example.com>`. */
+export function isValidSenderAddress(from: string): boolean {
+  const named = /^[^<>]*<([^<>]+)>$/.exec(from.trim())
+  return ADDRESS.test(named ? named[1] : from.trim())
+}
+
+/**
+ * Thrown by `OneHitter.assertConfig()`. `problems` holds every error found,
+ * so a misconfigured deployment can be fixed in one pass.
+ */
+export class ConfigValidationError extends Error {
+  readonly problems: ConfigProblem[]
+
+  constructor(problems: ConfigProblem[]) {
+    super(`Invalid OneHitter configuration:\n${problems.map((p) => `- ${p.field}: ${p.message}`).join('\n')}`)
+    this.name = 'ConfigValidationError'
+    this.problems = problems
+  }
+}
+
+/**
+ * Checks the settings `make()`, `send()` and hashing depend on: OTP_URL,
+ * the expiry, OTP length and charset entropy, the pepper in production, the
+ * sender address and OTP_MAX_ATTEMPTS. Explicit values are checked in place of
+ * their env variables. Returns every problem found; an empty list means valid.
+ */
+export function checkConfig(input: ConfigCheckInput = {}): ConfigProblem[] {
+  const env = process.env
+  const problems: ConfigProblem[] = []
+  const add = (field: string, severity: ConfigSeverity, message: string) => problems.push({ field, severity, message })
+  const resolved = resolveConfig(input)
+
+  if (input.envDriver && env.OTP_DB_DRIVER && !DRIVERS.includes(env.OTP_DB_DRIVER)) {
+    add('OTP_DB_DRIVER', 'error', `unknown driver "${env.OTP_DB_DRIVER}" (expected one of ${DRIVERS.join(', ')})`)
+  }
+
+  const urlField = input.url != null ? 'url' : 'OTP_URL'
+  if (!resolved.url || resolved.url.trim().length === 0) {
+    add(urlField, 'error', 'required by send()')
+  } else {
+    try {
+      new URL(resolved.url)
+    } catch {
+      add(urlField, 'error', `not a valid absolute URL ("${resolved.url}")`)
+    }
+  }
+
+  if (input.expirySeconds != null) {
+    if (!(Number.isFinite(input.expirySeconds) && input.expirySeconds > 0)) {
+      add('expirySeconds', 'error', `must be a positive number of seconds (got ${input.expirySeconds})`)
+    }
+  } else if (env.OTP_EXPIRY == null || env.OTP_EXPIRY === '') {
+    add('OTP_EXPIRY', 'warning', 'not set; codes never expire at validation time')
+  } else if (!(Number(env.OTP_EXPIRY) > 0)) {
+    add('OTP_EXPIRY', 'error', `must be a positive number of seconds (got "${env.OTP_EXPIRY}")`)
+  }
+
+  const lengthField = input.otp?.length != null ? 'otp.length' : 'OTP_LENGTH'
+  const rawLength = input.otp?.length ?? (env.OTP_LENGTH == null || env.OTP_LENGTH === '' ? 6 : Number(env.OTP_LENGTH))
+  if (!(Number.isInteger(rawLength) && rawLength > 0)) {
+    add(lengthField, 'error', `must be a positive integer (got "${input.otp?.length ?? env.OTP_LENGTH}")`)
+  } else {
+    if (rawLength > MAX_OTP_LENGTH) add(lengthField, 'warning', `${rawLength} is capped at ${MAX_OTP_LENGTH} characters`)
+    const size = otpAlphabetSize(resolved.otp)
+    const bits = Math.min(rawLength, MAX_OTP_LENGTH) * Math.log2(size)
+    const alphabet = resolved.otp.alphabet
+    const problem = alphabet ? alphabetProblem(alphabet) : undefined
+    if (problem) {
+      add(input.otp?.alphabet != null ? 'otp.alphabet' : 'OTP_ALPHABET', 'error', problem)
+    } else if (bits < MIN_OTP_ENTROPY_BITS) {
+      add(input.otp ? 'otp' : 'OTP_LENGTH', 'error',
+        `${rawLength} characters from a ${size}-symbol alphabet give ${bits.toFixed(1)} bits of entropy; at least ${MIN_OTP_ENTROPY_BITS.toFixed(1)} (six digits) are required`)
+    }
+  }
+
+  const maxAttempts = input.maxAttempts ?? (env.OTP_MAX_ATTEMPTS == null || env.OTP_MAX_ATTEMPTS === '' ? undefined : Number(env.OTP_MAX_ATTEMPTS))
+  if (maxAttempts != null && !(Number.isInteger(maxAttempts) && maxAttempts >= 0)) {
+    add(input.maxAttempts != null ? 'maxAttempts' : 'OTP_MAX_ATTEMPTS', 'error',
+      `must be a non-negative integer (got "${input.maxAttempts ?? env.OTP_MAX_ATTEMPTS}")`)
+  }
+
+  let ringSize = 0
+  try {
+    ringSize = pepperKeyring().length
+  } catch (err) {
+    add('OTP_PEPPERS', 'error', (err as Error).message)
+  }
+  const insecureOk = env.ONEHITTER_ALLOW_INSECURE_HASH === 'true'
+  if (ringSize === 0 && !env.OTP_PEPPER && !env.OTP_PEPPERS && env.NODE_ENV === 'production' && !insecureOk) {
+    add('OTP_PEPPER', 'error', 'required when NODE_ENV=production (or configure OTP_PEPPERS)')
+  }
+
+  const fromField = input.from != null ? 'message.from' : 'OTP_MESSAGE_FROM'
+  const from = input.from ?? env.OTP_MESSAGE_FROM
+  if (input.customTransport) return problems
+  if (!from || from.trim().length === 0) {
+    if (!input.fromByTemplate) add(fromField, 'error', 'required by send() (or provide message.from)')
+  } else if (!isValidSenderAddress(from)) {
+    add(fromField, 'error', `not a valid sender address ("${from}")`)
+  }
+
+  if (input.email?.transporter) return problems
+  const kind = resolveEmailTransport(input.email?.transport)
+  if (kind !== 'ses' && kind !== 'smtp') {
+    add(input.email?.transport ? 'email.transport' : 'OTP_EMAIL_TRANSPORT', 'error', `unknown email transport "${kind}" (expected ses or smtp)`)
+  } else if (kind === 'smtp') {
+    const smtp = resolveSmtpConfig(input.email?.smtp)
+    if (!smtp.host) add(input.email?.smtp ? 'email.smtp.host' : 'OTP_SMTP_HOST', 'error', 'required by the smtp email transport')
+    const rawPort = input.email?.smtp?.port ?? env.OTP_SMTP_PORT
+    if (rawPort != null && rawPort !== '' && !(Number.isInteger(Number(rawPort)) && Number(rawPort) > 0 && Number(rawPort) < 65536)) {
+      add(input.email?.smtp?.port != null ? 'email.smtp.port' : 'OTP_SMTP_PORT', 'error', `not a valid port (got "${rawPort}")`)
+    }
+    if (smtp.user && !smtp.pass) {
+      add(input.email?.smtp?.user ? 'email.smtp.pass' : 'OTP_SMTP_PASS', 'warning', 'a user is set without a password')
+    }
+  }
+
+  return problems
+}
@@ -38,9 +38,132 @@ export const OTP_SPECIAL_CHARS: boolean = boolOf('OTP_SPECIAL_CHARS', false)
 
 // Security
 export const OTP_PEPPER: string | undefined = process.env.OTP_PEPPER
+// Pepper keyring, "keyId:secret" entries with the active key first (read at call time by db/shared)
+export const OTP_PEPPERS: string | undefined = process.env.OTP_PEPPERS
 
 // Optional built-in limiter flags
 export const ONEHITTER_ENABLE_INMEM_LIMITER: boolean = boolOf('ONEHITTER_ENABLE_INMEM_LIMITER', false)
 export const ONEHITTER_LIMIT_MAX: number | undefined = numberOf('ONEHITTER_LIMIT_MAX', undefined)
 export const ONEHITTER_LIMIT_WINDOW_MS: number | undefined = numberOf('ONEHITTER_LIMIT_WINDOW_MS', undefined)
 export const ONEHITTER_LIMIT_COOLDOWN_MS: number | undefined = numberOf('ONEHITTER_LIMIT_COOLDOWN_MS', undefined)
+
+// Optional built-in send limiter; unset values use its defaults
+export const ONEHITTER_ENABLE_SEND_LIMITER: boolean = boolOf('ONEHITTER_ENABLE_SEND_LIMITER', false)
+export const ONEHITTER_SEND_MIN_GAP_MS: number | undefined = numberOf('ONEHITTER_SEND_MIN_GAP_MS', undefined)
+export const ONEHITTER_SEND_DAILY_MAX: number | undefined = numberOf('ONEHITTER_SEND_DAILY_MAX', undefined)
+export const ONEHITTER_SEND_IP_DAILY_MAX: number | undefined = numberOf('ONEHITTER_SEND_IP_DAILY_MAX', undefined)
+
+// Built-in ways send() emails a code; a Nodemailer transporter passed in replaces both
+export type EmailTransportKind = 'ses' | 'smtp'
+
+// SMTP server settings (env: OTP_SMTP_HOST, OTP_SMTP_PORT, OTP_SMTP_SECURE, OTP_SMTP_USER, OTP_SMTP_PASS)
+export interface SmtpConfig {
+  host?: string
+  port?: number
+  // TLS from the start (port 465); otherwise STARTTLS is used when the server offers it
+  secure?: boolean
+  user?: string
+  pass?: string
+}
+
+export interface ResolvedSmtpConfig {
+  host?: string
+  port: number
+  secure: boolean
+  user?: string
+  pass?: string
+}
+
+/**
+ * The email transport send() uses: the explicit kind, then OTP_EMAIL_TRANSPORT,
+ * then 'smtp' when OTP_SMTP_HOST is set and 'ses' otherwise. Returns unknown
+ * values as they are, for the caller to reject. Env is read on every call.
+ */
+export function resolveEmailTransport(kind?: string): string {
+  return kind || process.env.OTP_EMAIL_TRANSPORT || (process.env.OTP_SMTP_HOST ? 'smtp' : 'ses')
+}
+
+/**
+ * Merges explicit SMTP settings over OTP_SMTP_*, read on every call. Without
+ * a port, it is 465 for `secure` and 587 otherwise; without `secure`, only
+ * port 465 uses TLS from the start.
+ */
+export function resolveSmtpConfig(smtp?: SmtpConfig): ResolvedSmtpConfig {
+  const secure = smtp?.secure ?? (process.env.OTP_SMTP_SECURE != null ? boolOf('OTP_SMTP_SECURE') : undefined)
+  const port = smtp?.port ?? numberOf('OTP_SMTP_PORT', undefined) ?? (secure ? 465 : 587)
+  return {
+    host: smtp?.host ?? (process.env.OTP_SMTP_HOST || undefined),
+    port,
+    secure: secure ?? port === 465,
+    user: smtp?.user ?? (process.env.OTP_SMTP_USER || undefined),
+    pass: smtp?.pass ?? process.env.OTP_SMTP_PASS,
+  }
+}
+
+// Character classes used by make(); unset classes fall back to the OTP_* flags
+export interface OtpCharset {
+  lettersUpper?: boolean
+  lettersLower?: boolean
+  digits?: boolean
+  specialChars?: boolean
+}
+
+// Separators make() may group codes with; normalizeOtp() removes both
+export type OtpGroupSeparator = '-' | ' '
+
+export interface OtpFormat {
+  length?: number
+  charset?: OtpCharset
+  // Characters to draw codes from, e.g. CROCKFORD_BASE32; replaces charset (env: OTP_ALPHABET)
+  alphabet?: string
+  // Leave out look-alike characters (0/O/o, 1/I/l) (env: OTP_EXCLUDE_AMBIGUOUS)
+  excludeAmbiguous?: boolean
+  // Characters per display group, e.g. 3 for ABC-DEF; 0 disables (env: OTP_GROUP_SIZE)
+  groupSize?: number
+  groupSeparator?: OtpGroupSeparator
+}
+
+/**
+ * Per-instance settings accepted by `new OneHitter(config)`. Every field is
+ * optional and falls back to its env variable, read at call time.
+ */
+export interface OneHitterConfig {
+  // Link included in emails (env: OTP_URL)
+  url?: string
+  // Lifetime of a code in seconds (env: OTP_EXPIRY)
+  expirySeconds?: number
+  // Shape of generated codes (env: OTP_LENGTH, OTP_LETTERS_UPPER, OTP_LETTERS_LOWER, OTP_DIGITS, OTP_SPECIAL_CHARS,
+  // OTP_ALPHABET, OTP_EXCLUDE_AMBIGUOUS, OTP_GROUP_SIZE)
+  otp?: OtpFormat
+}
+
+export interface ResolvedConfig {
+  url?: string
+  expirySeconds?: number
+  otp: { length: number; charset: Required<OtpCharset>; alphabet?: string; excludeAmbiguous: boolean; groupSize: number; groupSeparator: OtpGroupSeparator }
+}
+
+/**
+ * Merges explicit settings over the current environment. Unlike the constants
+ * above, env is read on every call, so later changes are picked up.
+ */
+export function resolveConfig(config?: OneHitterConfig): ResolvedConfig {
+  const charset = config?.otp?.charset
+  return {
+    url: config?.url ?? process.env.OTP_URL,
+    expirySeconds: config?.expirySeconds ?? numberOf('OTP_EXPIRY', undefined),
+    otp: {
+      length: config?.otp?.length ?? numberOf('OTP_LENGTH', 6) ?? 6,
+      charset: {
+        lettersUpper: charset?.lettersUpper ?? boolOf('OTP_LETTERS_UPPER', false),
+        lettersLower: charset?.lettersLower ?? boolOf('OTP_LETTERS_LOWER', false),
+        digits: charset?.digits ?? boolOf('OTP_DIGITS', true),
+        specialChars: charset?.specialChars ?? boolOf('OTP_SPECIAL_CHARS', false),
+      },
+      alphabet: config?.otp?.alphabet ?? (process.env.OTP_ALPHABET || undefined),
+      excludeAmbiguous: config?.otp?.excludeAmbiguous ?? boolOf('OTP_EXCLUDE_AMBIGUOUS', false),
+      groupSize: config?.otp?.groupSize ?? numberOf('OTP_GROUP_SIZE', 0) ?? 0,
+      groupSeparator: config?.otp?.groupSeparator ?? '-',
+    },
+  }
+}
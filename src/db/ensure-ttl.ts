@@ -1,19 +1,67 @@
 import { MongoClient, ServerApiVersion } from 'mongodb'
 import { MONGO_CONNECTION } from '../config.js'
+import type { MongoCollectionNames } from './mongodb-functions.js'
 
-/**
- * Ensure there is a TTL index on createdAt.
- * If an index exists with a different expireAfterSeconds, it will be recreated.
- */
-export async function ensureCreatedAtTTLIndex(client: MongoClient, ttlSeconds: number) {
-  const dbName = process.env.OTP_MONGO_DATABASE
-  const collName = process.env.OTP_MONGO_COLLECTION
+export const EXPIRES_AT_TTL_INDEX = 'onehitter_expiresAt_ttl'
+
+function collectionFor(client: MongoClient, names?: MongoCollectionNames) {
+  const dbName = names?.database ?? process.env.OTP_MONGO_DATABASE
+  const collName = names?.collection ?? process.env.OTP_MONGO_COLLECTION
   if (!dbName || !collName) {
     throw new Error('Missing OTP_MONGO_DATABASE or OTP_MONGO_COLLECTION')
   }
+  return client.db(dbName).collection(collName)
+}
 
-  const db = client.db(dbName)
-  const coll = db.collection(collName)
+/**
+ * Ensure there is a TTL index on expiresAt with `expireAfterSeconds: 0`, so
+ * MongoDB removes each document at its own expiry and codes with different
+ * lifetimes share one index. An expiresAt TTL index with another delay is
+ * recreated, and a TTL index on createdAt (from older versions) is dropped
+ * because it would cut longer-lived codes short; its name is returned as
+ * `droppedLegacy`. `names` overrides OTP_MONGO_DATABASE / OTP_MONGO_COLLECTION.
+ */
+export async function ensureExpiresAtTTLIndex(client: MongoClient, names?: MongoCollectionNames) {
+  const coll = collectionFor(client, names)
+
+  const indexes = await coll.indexes()
+  const isTtl = (idx: any) => typeof idx.expireAfterSeconds !== 'undefined'
+  const legacy = indexes.find((idx: any) => idx.key && idx.key.createdAt === 1 && isTtl(idx))
+  const existing = indexes.find((idx: any) => idx.key && idx.key.expiresAt === 1 && isTtl(idx))
+
+  let droppedLegacy: string | undefined
+  if (legacy) {
+    droppedLegacy = String(legacy.name)
+    await coll.dropIndex(droppedLegacy)
+  }
+  const extra = droppedLegacy ? { droppedLegacy } : {}
+
+  const name = existing?.name || EXPIRES_AT_TTL_INDEX
+
+  if (!existing) {
+    await coll.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name })
+    return { action: 'created', name, expireAfterSeconds: 0, ...extra }
+  }
+
+  if (Number(existing.expireAfterSeconds) !== 0) {
+    await coll.dropIndex(String(existing.name))
+    await coll.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name })
+    return { action: 'updated', name, expireAfterSeconds: 0, ...extra }
+  }
+
+  return { action: 'unchanged', name, expireAfterSeconds: 0, ...extra }
+}
+
+/**
+ * Ensure there is a TTL index on createdAt.
+ * If an index exists with a different expireAfterSeconds, it will be recreated.
+ * `names` overrides OTP_MONGO_DATABASE / OTP_MONGO_COLLECTION.
+ *
+ * @deprecated Removes every document `ttlSeconds` after creation, regardless
+ * of its own expiry. Use `ensureExpiresAtTTLIndex` instead.
+ */
+export async function ensureCreatedAtTTLIndex(client: MongoClient, ttlSeconds: number, names?: MongoCollectionNames) {
+  const coll = collectionFor(client, names)
 
   const indexes = await coll.indexes()
   const existing = indexes.find((idx: any) => idx.key && idx.key.createdAt === 1 && typeof idx.expireAfterSeconds !== 'undefined')
@@ -35,11 +83,14 @@ export async function ensureCreatedAtTTLIndex(client: MongoClient, ttlSeconds: n
   return { action: 'unchanged', name, expireAfterSeconds: existing.expireAfterSeconds }
 }
 
+// One-line summary shared with the onehitter CLI
+export function describeResult(result: { action: string; name: string; droppedLegacy?: string }): string {
+  const dropped = result.droppedLegacy ? ` (dropped legacy createdAt index ${result.droppedLegacy})` : ''
+  return `[ensure-ttl] ${result.action}: index=${result.name} field=expiresAt${dropped}`
+}
+
 // CLI entrypoint (exported for tests)
 export async function main() {
-  const parsed = Number(process.env.OTP_EXPIRY)
-  const ttlSeconds = Number.isFinite(parsed) && parsed > 0 ? parsed : 1800
-
   const conn = MONGO_CONNECTION
   if (!conn) throw new Error('MONGO_CONNECTION is required to run ensure-ttl')
   const client = new MongoClient(conn, {
@@ -52,8 +103,8 @@ export async function main() {
 
   try {
     await client.connect()
-    const result = await ensureCreatedAtTTLIndex(client, ttlSeconds)
-    console.log(`[ensure-ttl] ${result.action}: index=${result.name} ttl=${result.expireAfterSeconds}s`)
+    const result = await ensureExpiresAtTTLIndex(client)
+    console.log(describeResult(result))
     process.exit(0)
   } catch (err) {
     console.error('[ensure-ttl] error:', err)
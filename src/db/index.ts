@@ -1,18 +1,48 @@
-import type { DbAdapter } from './shared.js'
+import type { DbAdapter, DbDriver } from './shared.js'
 import { currentDriver } from './shared.js'
 import { MongoAdapter } from './mongo-adapter.js'
 import { SqliteAdapter } from './sqlite-adapter.js'
+import { MemoryAdapter } from './memory-adapter.js'
+import { PostgresAdapter } from './postgres-adapter.js'
+import { RedisAdapter } from './redis-adapter.js'
+
+export { MongoAdapter, type MongoAdapterOptions } from './mongo-adapter.js'
+export { SqliteAdapter, type SqliteAdapterOptions } from './sqlite-adapter.js'
+export { startExpirySweeper, type ExpirySweeper, type ExpirySweeperOptions } from './sweeper.js'
+export { MemoryAdapter, type MemoryAdapterOptions } from './memory-adapter.js'
+export { PostgresAdapter, type PostgresAdapterOptions } from './postgres-adapter.js'
+export { RedisAdapter, type RedisAdapterOptions } from './redis-adapter.js'
+export type { CreateResult, DbAdapter, DbDriver, OtpCheck, OtpDoc, OtpMetadata, RecordCounts, ValidateResult, ValidateStatus } from './shared.js'
 
 let mongoAdapter: DbAdapter | null = null
 let sqliteAdapter: DbAdapter | null = null
+let memoryAdapter: DbAdapter | null = null
+let postgresAdapter: DbAdapter | null = null
+let redisAdapter: DbAdapter | null = null
 
+/**
+ * Env-driven fallback used when no adapter was injected into OneHitter.
+ * Adapters returned here are module-level singletons shared by every caller.
+ */
 export function getAdapter(opts?: { hasClient?: boolean }): DbAdapter {
   // If a MongoClient is provided by the caller, prefer Mongo regardless of env
-  const d: 'mongodb' | 'sqlite' = opts?.hasClient ? 'mongodb' : currentDriver()
+  const d: DbDriver = opts?.hasClient ? 'mongodb' : currentDriver()
   if (d === 'sqlite') {
     if (!sqliteAdapter) sqliteAdapter = new SqliteAdapter()
     return sqliteAdapter
   }
+  if (d === 'memory') {
+    if (!memoryAdapter) memoryAdapter = new MemoryAdapter()
+    return memoryAdapter
+  }
+  if (d === 'postgres') {
+    if (!postgresAdapter) postgresAdapter = new PostgresAdapter()
+    return postgresAdapter
+  }
+  if (d === 'redis') {
+    if (!redisAdapter) redisAdapter = new RedisAdapter()
+    return redisAdapter
+  }
   if (!mongoAdapter) mongoAdapter = new MongoAdapter()
   return mongoAdapter
 }
@@ -0,0 +1,259 @@
+import {
+  activePepperKey,
+  computeChallengeHash,
+  computeOtpHash,
+  computeContactId,
+  contactLookups,
+  decodeMetadata,
+  encodeMetadata,
+  encryptMetadataEnabled,
+  expiresAtOf,
+  generateChallengeId,
+  generateSalt,
+  isPastExpiry,
+  isRetiredPepperKey,
+  maxAttemptsOf,
+  otpMatcher,
+  pickCandidate,
+  perRecordSaltEnabled,
+  supersedePreviousEnabled,
+  tombstoneExpiresAt,
+  usedTombstoneSecondsOf,
+  withExpiry,
+  type CreateResult,
+  type DbAdapter,
+  type OtpCheck,
+  type OtpDoc,
+  type RecordCounts,
+  type StorageOptions,
+  type ValidateResult,
+  type ValidateStatus,
+} from './shared.js'
+
+// Same persisted shape as the Mongo/SQLite adapters: no plaintext otp or contact
+interface StoredOtpRecord {
+  id: number
+  contactId: string
+  otpHash: string
+  salt?: string
+  pepperKeyId?: string
+  purpose?: string
+  attempts: number
+  createdAt: number
+  // Epoch ms after which the code no longer validates; absent when it never expires
+  expiresAt?: number
+  // Encoded like the other adapters store it (see encodeMetadata)
+  metadata?: string
+  // Handle returned by create, and the OTP hashed against it (see computeChallengeHash)
+  challengeId?: string
+  challengeHash?: string
+  // Epoch ms the code was consumed at; the record is then a tombstone until its expiry
+  usedAt?: number
+}
+
+export interface MemoryAdapterOptions {
+  // Expiry for codes created without their own; a per-call expirySeconds wins, OTP_EXPIRY is the fallback
+  ttlSeconds?: number
+}
+
+/**
+ * Zero-dependency, process-local storage adapter.
+ *
+ * Records are kept in a Map keyed by `contactId`, so nothing is shared across
+ * processes or survives a restart. Intended for unit tests, previews and local
+ * development where neither MongoDB nor the native `sqlite3` module is wanted.
+ *
+ * - Consume-on-validate is atomic: lookup and consume happen synchronously in
+ *   the same tick, so two concurrent validations cannot both succeed. A
+ *   consumed record stays as a tombstone until its (shortened) expiry.
+ * - Expired records are evicted whenever a new OTP is created. A code that is
+ *   validated after it has been evicted reports 'not_found', the same way a
+ *   TTL-removed MongoDB document does.
+ */
+export class MemoryAdapter implements DbAdapter {
+  readonly name = 'memory' as const
+  private records = new Map<string, StoredOtpRecord[]>()
+  private seq = 0
+  private readonly ttlSeconds?: number
+
+  constructor(opts?: MemoryAdapterOptions) {
+    this.ttlSeconds = opts?.ttlSeconds
+  }
+
+  /** Number of records currently held (including tombstones and expired ones not yet evicted). */
+  get size(): number {
+    let n = 0
+    for (const list of this.records.values()) n += list.length
+    return n
+  }
+
+  // Per-call expirySeconds, then the constructor ttlSeconds, then OTP_EXPIRY
+  private ttl(options?: StorageOptions): number | undefined {
+    if (typeof options?.expirySeconds === 'number') return options.expirySeconds
+    if (typeof this.ttlSeconds === 'number') return this.ttlSeconds
+    const ttlEnv = Number(process.env.OTP_EXPIRY)
+    return Number.isFinite(ttlEnv) ? ttlEnv : undefined
+  }
+
+  private isExpired(record: StoredOtpRecord, now: number, options?: StorageOptions): boolean {
+    return isPastExpiry(record, now, this.ttl(options))
+  }
+
+  /** Drops every expired record. Returns the number of records removed. */
+  evictExpired(now: Date = new Date(), options?: StorageOptions): number {
+    const nowMs = now.getTime()
+    let removed = 0
+    for (const [contactId, list] of this.records) {
+      const live = list.filter((r) => !this.isExpired(r, nowMs, options))
+      removed += list.length - live.length
+      if (live.length === 0) this.records.delete(contactId)
+      else if (live.length !== list.length) this.records.set(contactId, live)
+    }
+    return removed
+  }
+
+  async create(args: { client?: unknown; otp: OtpDoc; options?: StorageOptions }): Promise<CreateResult> {
+    const { otp } = args
+    const createdAt = otp.createdAt ? otp.createdAt.getTime() : Date.now()
+    const expiresAt = expiresAtOf(otp, new Date(createdAt), this.ttl(args.options))
+    const salt = perRecordSaltEnabled(args.options) ? generateSalt() : undefined
+    const pepper = activePepperKey()
+    const otpHash = computeOtpHash(otp.contact, otp.otp, { salt, pepper, purpose: otp.purpose })
+    const metadata = otp.metadata
+      ? encodeMetadata(otp.metadata, { encrypt: encryptMetadataEnabled(args.options), pepper, otpHash })
+      : undefined
+    const challengeId = generateChallengeId()
+    const record: StoredOtpRecord = {
+      id: ++this.seq,
+      contactId: computeContactId(otp.contact, { pepper }),
+      otpHash,
+      ...(salt ? { salt } : {}),
+      ...(pepper.id ? { pepperKeyId: pepper.id } : {}),
+      ...(otp.purpose ? { purpose: otp.purpose } : {}),
+      attempts: 0,
+      createdAt,
+      ...(expiresAt ? { expiresAt: expiresAt.getTime() } : {}),
+      ...(metadata ? { metadata } : {}),
+      challengeId,
+      challengeHash: computeChallengeHash(challengeId, otp.otp, { salt, pepper, purpose: otp.purpose }),
+    }
+    this.evictExpired(undefined, args.options)
+    if (supersedePreviousEnabled(args.options)) {
+      for (const { contactId } of contactLookups(otp.contact)) this.records.delete(contactId)
+    }
+    const list = this.records.get(record.contactId)
+    if (list) list.push(record)
+    else this.records.set(record.contactId, [record])
+    // Shape it like a Mongo InsertOneResult enough for callers
+    return { acknowledged: true, insertedId: record.id, challengeId, ...(expiresAt ? { expiresAt } : {}) } as unknown as CreateResult
+  }
+
+  async validateWithStatus(
+    args: { client?: unknown; otp: OtpCheck; options?: StorageOptions },
+    now: Date = new Date(),
+  ): Promise<ValidateStatus> {
+    return (await this.validateDetailed(args, now)).status
+  }
+
+  /** Like validateWithStatus, also returning the metadata stored with a consumed code. */
+  async validateDetailed(
+    args: { client?: unknown; otp: OtpCheck; options?: StorageOptions },
+    now: Date = new Date(),
+  ): Promise<ValidateResult> {
+    // Newest matching record wins, mirroring the SQLite adapter; records are
+    // looked up under every known pepper so rotation keeps older codes valid.
+    // A challenge-only check has no contactId to narrow by, so every list is scanned
+    const matcher = otpMatcher(args.otp)
+    const nowMs = now.getTime()
+    const candidates: StoredOtpRecord[] = []
+    for (const contactId of matcher.contactIds ?? [...this.records.keys()]) {
+      for (const r of this.records.get(contactId) ?? []) {
+        if (matcher.challengeId == null || r.challengeId === matcher.challengeId) candidates.push(r)
+      }
+    }
+    candidates.sort((a, b) => b.id - a.id)
+
+    const pick = pickCandidate(candidates, matcher, nowMs, this.ttl(args.options))
+    if ('miss' in pick) {
+      const burned = this.recordMiss(pick.miss, maxAttemptsOf(args.options))
+      return burned ? { status: burned } : withExpiry({ status: pick.status }, pick.expiresAt)
+    }
+    if (!('match' in pick)) return { status: pick.status }
+
+    const record = pick.match
+    const tombstoneSeconds = usedTombstoneSecondsOf(args.options)
+    if (this.isExpired(record, nowMs, args.options)) {
+      this.remove([record])
+      return withExpiry({ status: 'expired' }, pick.expiresAt)
+    }
+    // Decoded before the consume, so a code whose metadata cannot be read stays unused
+    const metadata = decodeMetadata(record.metadata, pick.pepper, record.otpHash)
+    if (tombstoneSeconds > 0) {
+      record.usedAt = nowMs
+      record.expiresAt = tombstoneExpiresAt(record.expiresAt, nowMs, tombstoneSeconds)
+    } else {
+      this.remove([record])
+    }
+    return withExpiry(metadata ? { status: 'ok', metadata } : { status: 'ok' }, pick.expiresAt)
+  }
+
+  // Counts a miss against the given codes and burns those at the limit;
+  // undefined when nothing was burned
+  private recordMiss(records: StoredOtpRecord[], max: number): ValidateStatus | undefined {
+    if (max === 0) return undefined
+    const burned = records.filter((r) => ++r.attempts >= max)
+    if (burned.length === 0) return undefined
+    this.remove(burned)
+    return 'too_many_attempts'
+  }
+
+  private remove(records: StoredOtpRecord[]): void {
+    for (const record of records) {
+      const list = this.records.get(record.contactId)
+      if (!list) continue
+      const rest = list.filter((r) => r !== record)
+      if (rest.length === 0) this.records.delete(record.contactId)
+      else this.records.set(record.contactId, rest)
+    }
+  }
+
+  /** Removes the record with the given `insertedId`, if it is still held. */
+  async deleteRecord(args: { client?: unknown; id: unknown; options?: StorageOptions }): Promise<boolean> {
+    for (const [contactId, list] of this.records) {
+      const rest = list.filter((r) => r.id !== args.id)
+      if (rest.length === list.length) continue
+      if (rest.length === 0) this.records.delete(contactId)
+      else this.records.set(contactId, rest)
+      return true
+    }
+    return false
+  }
+
+  /** Async `DbAdapter` form of `evictExpired()`. */
+  async purgeExpired(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<number> {
+    return this.evictExpired(args?.now, args?.options)
+  }
+
+  /** Counts records before and past their expiry (expired ones are held until the next eviction). */
+  async countRecords(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<RecordCounts> {
+    const nowMs = (args?.now ?? new Date()).getTime()
+    const counts: RecordCounts = { active: 0, expired: 0 }
+    for (const list of this.records.values()) {
+      for (const r of list) {
+        if (this.isExpired(r, nowMs, args?.options)) counts.expired++
+        else if (r.usedAt == null) counts.active++
+      }
+    }
+    return counts
+  }
+
+  /** Counts unexpired records still written under a retired pepper key (tombstones excluded). */
+  async countRetiredPepperRecords(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<number> {
+    const nowMs = (args?.now ?? new Date()).getTime()
+    let n = 0
+    for (const list of this.records.values()) {
+      for (const r of list) if (r.usedAt == null && isRetiredPepperKey(r.pepperKeyId) && !this.isExpired(r, nowMs, args?.options)) n++
+    }
+    return n
+  }
+}
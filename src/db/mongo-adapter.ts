@@ -1,17 +1,157 @@
-import type { MongoClient, InsertOneResult } from 'mongodb'
-import type { DbAdapter, OtpDoc, ValidateStatus } from './shared.js'
-import { otpCreate, otpValidateWithStatus } from './mongodb-functions.js'
+import { MongoClient, ServerApiVersion, type MongoClientOptions } from 'mongodb'
+import type { ConfigProblem } from '../config-check.js'
+import type { CreateResult, DbAdapter, OtpCheck, OtpDoc, RecordCounts, StorageOptions, ValidateResult, ValidateStatus } from './shared.js'
+import {
+  otpCountRecords,
+  otpCountRetiredPepper,
+  otpCreate,
+  otpDelete,
+  otpPurgeExpired,
+  otpValidateDetailed,
+  otpValidateWithStatus,
+  type MongoCollectionNames,
+} from './mongodb-functions.js'
+
+export interface MongoAdapterOptions extends MongoCollectionNames {
+  // Default client used when a call does not pass one explicitly
+  client?: MongoClient
+  // Connection string for the managed client; falls back to OTP_MONGO_CONNECTION
+  connection?: string
+  // Options for the managed client; defaults to ServerApi v1 (strict)
+  clientOptions?: MongoClientOptions
+}
 
 export class MongoAdapter implements DbAdapter {
   readonly name = 'mongodb' as const
+  private readonly client?: MongoClient
+  private readonly connection?: string
+  private readonly clientOptions?: MongoClientOptions
+  private readonly names: MongoCollectionNames
+  private managed: Promise<MongoClient> | null = null
+
+  constructor(opts?: MongoAdapterOptions) {
+    this.client = opts?.client
+    this.connection = opts?.connection
+    this.clientOptions = opts?.clientOptions
+    this.names = { database: opts?.database, collection: opts?.collection }
+  }
+
+  /**
+   * @method managedClient
+   * @private
+   * @description
+   * Lazily builds and connects the adapter-owned MongoClient used when neither
+   * the call nor the constructor supplied one. The pending connection is cached,
+   * so concurrent first calls share a single pooled client.
+   *
+   * @returns {Promise<MongoClient>} The connected, adapter-owned client.
+   * @throws {Error} If no connection string is configured.
+   */
+  private managedClient(): Promise<MongoClient> {
+    if (this.managed) return this.managed
+    const uri = this.connection ?? process.env.OTP_MONGO_CONNECTION
+    if (!uri) {
+      return Promise.reject(new Error('MongoAdapter requires a MongoClient or a connection string (set OTP_MONGO_CONNECTION or pass { connection })'))
+    }
+    const client = new MongoClient(uri, this.clientOptions ?? {
+      serverApi: {
+        version: ServerApiVersion.v1,
+        strict: true,
+        deprecationErrors: true,
+      },
+    })
+    const pending = client.connect().then(() => client)
+    this.managed = pending
+    // Allow a later call to retry when the first connection attempt fails
+    pending.catch(() => { if (this.managed === pending) this.managed = null })
+    return pending
+  }
+
+  private async resolveClient(client?: MongoClient): Promise<MongoClient> {
+    return client ?? this.client ?? await this.managedClient()
+  }
+
+  /**
+   * Connects the managed client up front (e.g. at application start). A no-op
+   * when the adapter was constructed with an application-owned client.
+   */
+  async connect(): Promise<void> {
+    if (this.client) return
+    await this.managedClient()
+  }
+
+  /**
+   * Closes the managed client, if one was opened. Application-owned clients are
+   * never closed here. A later call lazily opens a fresh managed client.
+   */
+  async close(): Promise<void> {
+    const pending = this.managed
+    if (!pending) return
+    this.managed = null
+    const client = await pending.catch(() => null)
+    if (client) await client.close()
+  }
+
+  /** Reports missing database/collection names; a missing connection is only a warning (calls may pass a client). */
+  validateConfig(): ConfigProblem[] {
+    const problems: ConfigProblem[] = []
+    if (!(this.names.database ?? process.env.OTP_MONGO_DATABASE)) {
+      problems.push({ field: 'OTP_MONGO_DATABASE', severity: 'error', message: 'required by the mongodb driver (or the mongo.database option)' })
+    }
+    if (!(this.names.collection ?? process.env.OTP_MONGO_COLLECTION)) {
+      problems.push({ field: 'OTP_MONGO_COLLECTION', severity: 'error', message: 'required by the mongodb driver (or the mongo.collection option)' })
+    }
+    if (!this.client && !(this.connection ?? process.env.OTP_MONGO_CONNECTION)) {
+      problems.push({ field: 'OTP_MONGO_CONNECTION', severity: 'warning', message: 'not set; every call must pass its own MongoClient' })
+    }
+    return problems
+  }
+
+  async create(args: { client?: MongoClient; otp: OtpDoc; options?: StorageOptions }): Promise<CreateResult> {
+    const client = await this.resolveClient(args.client)
+    return await otpCreate(client, args.otp, args.options, this.names)
+  }
+
+  async validateWithStatus(args: {
+    client?: MongoClient
+    otp: OtpCheck
+    options?: StorageOptions
+  }): Promise<ValidateStatus> {
+    const client = await this.resolveClient(args.client)
+    return await otpValidateWithStatus(client, args.otp, undefined, args.options?.expirySeconds, args.options, this.names)
+  }
+
+  /** Like validateWithStatus, also returning the metadata stored with a consumed code. */
+  async validateDetailed(args: {
+    client?: MongoClient
+    otp: OtpCheck
+    options?: StorageOptions
+  }): Promise<ValidateResult> {
+    const client = await this.resolveClient(args.client)
+    return await otpValidateDetailed(client, args.otp, undefined, args.options?.expirySeconds, args.options, this.names)
+  }
+
+  /** Deletes documents past the expiry window without waiting for the TTL monitor. Returns the number removed. */
+  async purgeExpired(args?: { client?: MongoClient; now?: Date; options?: StorageOptions }): Promise<number> {
+    const client = await this.resolveClient(args?.client)
+    return await otpPurgeExpired(client, args?.now, args?.options?.expirySeconds, this.names)
+  }
+
+  /** Deletes the document with the `insertedId` create returned. */
+  async deleteRecord(args: { client?: MongoClient; id: unknown; options?: StorageOptions }): Promise<boolean> {
+    const client = await this.resolveClient(args.client)
+    return await otpDelete(client, args.id, this.names)
+  }
 
-  async create(args: { client?: MongoClient; otp: OtpDoc }): Promise<InsertOneResult<unknown>> {
-    if (!args.client) throw new Error('MongoAdapter.create requires a MongoClient')
-    return await otpCreate(args.client, args.otp)
+  /** Counts documents inside and past the expiry window. */
+  async countRecords(args?: { client?: MongoClient; now?: Date; options?: StorageOptions }): Promise<RecordCounts> {
+    const client = await this.resolveClient(args?.client)
+    return await otpCountRecords(client, args?.now, args?.options?.expirySeconds, this.names)
   }
 
-  async validateWithStatus(args: { client?: MongoClient; otp: Pick<OtpDoc, 'contact' | 'otp'> }): Promise<ValidateStatus> {
-    if (!args.client) throw new Error('MongoAdapter.validateWithStatus requires a MongoClient')
-    return await otpValidateWithStatus(args.client, args.otp)
+  /** Counts unexpired documents still written under a retired pepper key. */
+  async countRetiredPepperRecords(args?: { client?: MongoClient; now?: Date; options?: StorageOptions }): Promise<number> {
+    const client = await this.resolveClient(args?.client)
+    return await otpCountRetiredPepper(client, args?.now, args?.options?.expirySeconds, this.names)
   }
-}
\ No newline at end of file
+}
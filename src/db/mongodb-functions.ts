@@ -1,76 +1,291 @@
 import type { MongoClient, InsertOneResult, Document, ObjectId, WithId } from 'mongodb'
-import { computeOtpHash, computeContactId, type ValidateStatus, type OtpDoc } from './shared.js'
+import {
+  activePepperKey,
+  computeChallengeHash,
+  computeOtpHash,
+  computeContactId,
+  contactLookups,
+  decodeMetadata,
+  encodeMetadata,
+  encryptMetadataEnabled,
+  expiresAtOf,
+  generateChallengeId,
+  generateSalt,
+  isPastExpiry,
+  maxAttemptsOf,
+  otpMatcher,
+  pickCandidate,
+  perRecordSaltEnabled,
+  supersedePreviousEnabled,
+  tombstoneExpiresAt,
+  usedTombstoneSecondsOf,
+  withExpiry,
+  type OtpCheck,
+  type RecordCounts,
+  type ValidateResult,
+  type ValidateStatus,
+  type OtpDoc,
+  type StorageOptions,
+} from './shared.js'
 
 // Persisted DB shape does NOT store plaintext otp or contact
 interface StoredOtpDoc {
   contactId: string
   otpHash: string
+  // Present only for records written with per-record salting enabled
+  salt?: string
+  // Pepper keyring id the record was written with (absent for the legacy OTP_PEPPER)
+  pepperKeyId?: string
+  // Wrong guesses counted against this code while it was active
+  attempts?: number
+  // Purpose the code was issued for; also bound into otpHash
+  purpose?: string
   createdAt: Date
+  // When the code stops validating; backs the TTL index (absent on legacy documents)
+  expiresAt?: Date
+  // JSON metadata, or an `enc:v1:` sealed copy of it (see encodeMetadata)
+  metadata?: string
+  // Random handle returned by create; validation may select the record by it
+  challengeId?: string
+  // OTP hashed against the challenge instead of the contact (see computeChallengeHash)
+  challengeHash?: string
+  // When the code was consumed; the document is then a tombstone until expiresAt
+  usedAt?: Date
   _id?: ObjectId
 }
 
+// Where OTP documents live; each name falls back to its env variable
+export interface MongoCollectionNames {
+  database?: string
+  collection?: string
+}
+
+function collectionOf(client: MongoClient, names?: MongoCollectionNames) {
+  const database = names?.database ?? process.env.OTP_MONGO_DATABASE
+  const collection = names?.collection ?? process.env.OTP_MONGO_COLLECTION
+  if (!database || !collection) {
+    throw new Error('Missing OTP_MONGO_DATABASE or OTP_MONGO_COLLECTION (or the mongo database/collection options)')
+  }
+  return client.db(database).collection<StoredOtpDoc>(collection)
+}
+
+// An explicit expiry (the expirySeconds option) wins over OTP_EXPIRY
+function ttlOf(ttlSeconds?: number): number | undefined {
+  if (typeof ttlSeconds === 'number') return ttlSeconds
+  const ttlEnv = Number(process.env.OTP_EXPIRY)
+  return Number.isFinite(ttlEnv) ? ttlEnv : undefined
+}
+
+// Documents past their own expiresAt, or legacy ones (no expiresAt) older than the TTL
+function expiredFilter(now: Date, ttl?: number): Document {
+  const legacy = typeof ttl === 'number' && ttl > 0
+    ? [{ expiresAt: null, createdAt: { $lt: new Date(now.getTime() - ttl * 1000) } }]
+    : []
+  return { $or: [{ expiresAt: { $lt: now } }, ...legacy] }
+}
+
+// Complement of expiredFilter
+function unexpiredFilter(now: Date, ttl?: number): Document {
+  const legacy = typeof ttl === 'number' && ttl > 0
+    ? { expiresAt: null, createdAt: { $gte: new Date(now.getTime() - ttl * 1000) } }
+    : { expiresAt: null }
+  return { $or: [{ expiresAt: { $gte: now } }, legacy] }
+}
+
 export const otpCreate = async (
   client: MongoClient,
   otp: OtpDoc,
-): Promise<InsertOneResult<StoredOtpDoc>> => {
-  if (!process.env.OTP_MONGO_DATABASE || !process.env.OTP_MONGO_COLLECTION) {
-    throw new Error('Missing OTP_MONGO_DATABASE or OTP_MONGO_COLLECTION')
-  }
-  const database = client.db(process.env.OTP_MONGO_DATABASE)
-  const cursor = database.collection<StoredOtpDoc>(process.env.OTP_MONGO_COLLECTION as string)
+  options?: StorageOptions,
+  names?: MongoCollectionNames,
+): Promise<InsertOneResult<StoredOtpDoc> & { challengeId: string; expiresAt?: Date }> => {
+  const cursor = collectionOf(client, names)
   if (!otp.createdAt) {
     otp.createdAt = new Date()
   }
   if ('_id' in otp && (otp as any)._id != null) {
     throw new Error('otpCreate does not accept an _id; it will be generated by MongoDB')
   }
+  const salt = perRecordSaltEnabled(options) ? generateSalt() : undefined
+  const pepper = activePepperKey()
+  const expiresAt = expiresAtOf(otp, otp.createdAt, ttlOf(options?.expirySeconds))
+  const otpHash = computeOtpHash(otp.contact, otp.otp, { salt, pepper, purpose: otp.purpose })
+  const challengeId = generateChallengeId()
+  const metadata = otp.metadata
+    ? encodeMetadata(otp.metadata, { encrypt: encryptMetadataEnabled(options), pepper, otpHash })
+    : undefined
   const doc: StoredOtpDoc = {
-    contactId: computeContactId(otp.contact),
-    otpHash: computeOtpHash(otp.contact, otp.otp),
+    contactId: computeContactId(otp.contact, { pepper }),
+    otpHash,
+    ...(salt ? { salt } : {}),
+    ...(pepper.id ? { pepperKeyId: pepper.id } : {}),
+    ...(otp.purpose ? { purpose: otp.purpose } : {}),
     createdAt: otp.createdAt,
+    ...(expiresAt ? { expiresAt } : {}),
+    ...(metadata ? { metadata } : {}),
+    challengeId,
+    challengeHash: computeChallengeHash(challengeId, otp.otp, { salt, pepper, purpose: otp.purpose }),
+  }
+  const res = await cursor.insertOne(doc)
+  if (supersedePreviousEnabled(options)) {
+    // Insert first, then drop every older code: concurrent creates always
+    // leave the one with the highest _id rather than none
+    const contactIds = contactLookups(otp.contact).map((l) => l.contactId)
+    await cursor.deleteMany({ contactId: { $in: contactIds }, _id: { $lt: res.insertedId } } as Document)
   }
-  return await cursor.insertOne(doc)
+  return { ...res, challengeId, ...(expiresAt ? { expiresAt } : {}) }
 }
 
 /**
- * Atomically validate and consume OTP, returning a status.
+ * Atomically validate and consume OTP, returning a status and, on 'ok', the
+ * metadata stored with the code.
+ * Candidates are looked up by `contactId` under every known pepper (newest
+ * first), or by `challengeId`, and each is checked with its own salt and
+ * pepper; the match is then marked used (or deleted, without tombstones) by
+ * `_id`, so only one concurrent validator can consume it.
  * - 'ok' when an unexpired matching OTP was found and consumed
- * - 'expired' when a matching OTP existed but is past the TTL (it is deleted)
- * - 'not_found' when no matching OTP exists (wrong/used/TTL-removed)
+ * - 'expired' when a matching OTP existed but is past its expiry (it is deleted)
+ * - 'used' when the OTP matches a tombstone left by an earlier validation
+ * - 'too_many_attempts' when this miss burned the contact's codes
+ * - 'mismatch' when the contact has unexpired codes but none matched
+ * - 'not_found' when no matching OTP exists (wrong/TTL-removed)
  */
-export const otpValidateWithStatus = async (
+export const otpValidateDetailed = async (
   client: MongoClient,
-  otp: Pick<OtpDoc, 'contact' | 'otp'>,
+  otp: OtpCheck,
   now: Date = new Date(),
   ttlSeconds?: number,
-): Promise<ValidateStatus> => {
-  if (!process.env.OTP_MONGO_DATABASE || !process.env.OTP_MONGO_COLLECTION) {
-    throw new Error('Missing OTP_MONGO_DATABASE or OTP_MONGO_COLLECTION')
+  options?: StorageOptions,
+  names?: MongoCollectionNames,
+): Promise<ValidateResult> => {
+  const cursor = collectionOf(client, names)
+  const matcher = otpMatcher(otp)
+  const filter: Document = {
+    ...(matcher.contactIds ? { contactId: { $in: matcher.contactIds } } : {}),
+    ...(matcher.challengeId != null ? { challengeId: matcher.challengeId } : {}),
+  }
+
+  const candidates = await cursor
+    .find(filter, {
+      projection: {
+        contactId: 1, otpHash: 1, salt: 1, pepperKeyId: 1, challengeHash: 1, createdAt: 1, expiresAt: 1, usedAt: 1, metadata: 1,
+      },
+    })
+    .sort({ _id: -1 })
+    .toArray()
+  const nowMs = now.getTime()
+  const pick = pickCandidate(candidates, matcher, nowMs, ttlOf(ttlSeconds))
+  if ('miss' in pick) {
+    const max = maxAttemptsOf(options)
+    if (max === 0) return withExpiry({ status: pick.status }, pick.expiresAt)
+    // Count the miss against every active code, then burn those at the limit
+    const ids = { _id: { $in: pick.miss.map((c) => c._id) } }
+    await cursor.updateMany(ids as Document, { $inc: { attempts: 1 } })
+    const burned = await cursor.deleteMany({ ...ids, attempts: { $gte: max } } as Document)
+    return burned.deletedCount > 0 ? { status: 'too_many_attempts' } : withExpiry({ status: pick.status }, pick.expiresAt)
+  }
+  if (!('match' in pick)) return { status: pick.status }
+
+  const match: WithId<StoredOtpDoc> = pick.match
+  const record = {
+    createdAt: new Date(match.createdAt).getTime(),
+    expiresAt: match.expiresAt != null ? new Date(match.expiresAt).getTime() : undefined,
   }
-  const database = client.db(process.env.OTP_MONGO_DATABASE)
-  const cursor = database.collection<StoredOtpDoc>(process.env.OTP_MONGO_COLLECTION as string)
-  const otpHash = computeOtpHash(otp.contact, otp.otp)
-  const contactId = computeContactId(otp.contact)
-
-  // Delete matching doc and retrieve the deleted document for inspection
-  const res: any = await cursor.findOneAndDelete({ contactId, otpHash } as Document)
-  const deleted: WithId<StoredOtpDoc> | null = res && (res.createdAt ? res : (res.value ?? null))
-
-  if (!deleted) return 'not_found'
-
-  const ttl = Number.isFinite(Number(process.env.OTP_EXPIRY)) ? Number(process.env.OTP_EXPIRY) : ttlSeconds
-  if (typeof ttl === 'number' && ttl > 0) {
-    const createdAt = new Date(deleted.createdAt)
-    const ageMs = now.getTime() - createdAt.getTime()
-    if (ageMs > ttl * 1000) return 'expired'
+  const tombstoneSeconds = usedTombstoneSecondsOf(options)
+  // Consume by _id, conditional on the document still being there (and unconsumed),
+  // so only one concurrent validator succeeds
+  if (isPastExpiry(record, nowMs, ttlOf(ttlSeconds))) {
+    const res = await cursor.deleteOne({ _id: match._id } as Document)
+    return res.deletedCount === 1 ? withExpiry({ status: 'expired' }, pick.expiresAt) : { status: 'not_found' }
   }
-  return 'ok'
+  // Decoded before the consume, so a code whose metadata cannot be read stays unused
+  const metadata = decodeMetadata(match.metadata, pick.pepper, match.otpHash)
+  if (tombstoneSeconds > 0) {
+    const expiresAt = new Date(tombstoneExpiresAt(record.expiresAt, nowMs, tombstoneSeconds))
+    const res = await cursor.updateOne(
+      { _id: match._id, usedAt: { $exists: false } } as Document,
+      { $set: { usedAt: now, expiresAt } },
+    )
+    if (res.modifiedCount !== 1) return { status: 'used' }
+  } else {
+    const res = await cursor.deleteOne({ _id: match._id } as Document)
+    if (res.deletedCount !== 1) return { status: 'not_found' }
+  }
+  return withExpiry(metadata ? { status: 'ok', metadata } : { status: 'ok' }, pick.expiresAt)
+}
+
+/** Like otpValidateDetailed, returning only the status. */
+export const otpValidateWithStatus = async (
+  client: MongoClient,
+  otp: OtpCheck,
+  now: Date = new Date(),
+  ttlSeconds?: number,
+  options?: StorageOptions,
+  names?: MongoCollectionNames,
+): Promise<ValidateStatus> => {
+  return (await otpValidateDetailed(client, otp, now, ttlSeconds, options, names)).status
 }
 
 export const otpValidate = async (
   client: MongoClient,
-  otp: Pick<OtpDoc, 'contact' | 'otp'>,
+  otp: OtpCheck,
 ): Promise<boolean> => {
   const status = await otpValidateWithStatus(client, otp)
   return status === 'ok'
 }
+
+/**
+ * Deletes every document past its expiry, for deployments that run without
+ * the TTL index (or want cleanup before its next pass). Legacy documents
+ * without `expiresAt` are judged by `createdAt` and the TTL.
+ * Returns the number of documents removed.
+ */
+export const otpPurgeExpired = async (
+  client: MongoClient,
+  now: Date = new Date(),
+  ttlSeconds?: number,
+  names?: MongoCollectionNames,
+): Promise<number> => {
+  const res = await collectionOf(client, names).deleteMany(expiredFilter(now, ttlOf(ttlSeconds)))
+  return res.deletedCount
+}
+
+/** Deletes the document with the given `_id`. Returns whether one was removed. */
+export const otpDelete = async (client: MongoClient, id: unknown, names?: MongoCollectionNames): Promise<boolean> => {
+  const res = await collectionOf(client, names).deleteOne({ _id: id } as Document)
+  return res.deletedCount > 0
+}
+
+/** Counts stored documents before and past their expiry; consumed-code tombstones are not active. */
+export const otpCountRecords = async (
+  client: MongoClient,
+  now: Date = new Date(),
+  ttlSeconds?: number,
+  names?: MongoCollectionNames,
+): Promise<RecordCounts> => {
+  const cursor = collectionOf(client, names)
+  const ttl = ttlOf(ttlSeconds)
+  return {
+    active: await cursor.countDocuments({ usedAt: { $exists: false }, ...unexpiredFilter(now, ttl) }),
+    expired: await cursor.countDocuments(expiredFilter(now, ttl)),
+  }
+}
+
+/**
+ * Counts unexpired documents written under a pepper key other than the active
+ * one (legacy documents without `pepperKeyId` count once a keyring is in use).
+ * Consumed-code tombstones are left out.
+ */
+export const otpCountRetiredPepper = async (
+  client: MongoClient,
+  now: Date = new Date(),
+  ttlSeconds?: number,
+  names?: MongoCollectionNames,
+): Promise<number> => {
+  const activeId = activePepperKey().id
+  const filter: Document = {
+    pepperKeyId: activeId ? { $ne: activeId } : { $exists: true },
+    usedAt: { $exists: false },
+    ...unexpiredFilter(now, ttlOf(ttlSeconds)),
+  }
+  return await collectionOf(client, names).countDocuments(filter)
+}
@@ -0,0 +1,118 @@
+import type { ConfigProblem } from '../config-check.js'
+import { missingPackageProblems, type CreateResult, type DbAdapter, type OtpCheck, type OtpDoc, type RecordCounts, type StorageOptions, type ValidateResult, type ValidateStatus } from './shared.js'
+import {
+  ensureSchema,
+  otpCountRecords,
+  otpCountRetiredPepper,
+  otpCreate,
+  otpDelete,
+  otpPurgeExpired,
+  otpValidateDetailed,
+  otpValidateWithStatus,
+  type PgQueryable,
+} from './postgres-functions.js'
+
+export interface PostgresAdapterOptions {
+  // Application-owned pg Pool/Client (or any compatible stand-in such as pg-mem)
+  pool?: PgQueryable
+  // Connection string for the managed pool; falls back to OTP_POSTGRES_CONNECTION, then PG* env
+  connectionString?: string
+  // Extra options for the managed pg.Pool
+  poolOptions?: Record<string, unknown>
+}
+
+// Bundler-safe loader for optional pg dependency (see loadSqlite3 in sqlite-functions).
+function loadPg(): any {
+  try {
+    const req = eval('require') as NodeRequire
+    return req('pg')
+  } catch (err: any) {
+    const message =
+      err && (err as any).code === 'MODULE_NOT_FOUND'
+        ? 'The pg package is not installed. Install it with "npm install pg" to use OTP_DB_DRIVER=postgres.'
+        : `Failed to load pg driver: ${String(err)}`
+    throw new Error(message)
+  }
+}
+
+export class PostgresAdapter implements DbAdapter {
+  readonly name = 'postgres' as const
+  private readonly pool?: PgQueryable
+  private readonly connectionString?: string
+  private readonly poolOptions?: Record<string, unknown>
+  private managed: (PgQueryable & { end(): Promise<void> }) | null = null
+
+  constructor(opts?: PostgresAdapterOptions) {
+    this.pool = opts?.pool
+    this.connectionString = opts?.connectionString
+    this.poolOptions = opts?.poolOptions
+  }
+
+  private db(): PgQueryable {
+    if (this.pool) return this.pool
+    if (!this.managed) {
+      const pg = loadPg()
+      const connectionString = this.connectionString ?? process.env.OTP_POSTGRES_CONNECTION
+      this.managed = new pg.Pool({ ...(connectionString ? { connectionString } : {}), ...(this.poolOptions ?? {}) })
+    }
+    return this.managed!
+  }
+
+  /** Creates or migrates the `otp` table up front; otherwise done on first use. */
+  async connect(): Promise<void> {
+    await ensureSchema(this.db())
+  }
+
+  /** Ends the managed pool, if one was opened. Application-owned pools are left alone. */
+  async close(): Promise<void> {
+    const managed = this.managed
+    this.managed = null
+    if (managed) await managed.end()
+  }
+
+  /** Reports a missing pg package unless an application-owned pool was given. */
+  validateConfig(): ConfigProblem[] {
+    return this.pool ? [] : missingPackageProblems('pg', 'postgres')
+  }
+
+  async create(args: { client?: unknown; otp: OtpDoc; options?: StorageOptions }): Promise<CreateResult> {
+    return await otpCreate(this.db(), args.otp, args.options)
+  }
+
+  async validateWithStatus(args: {
+    client?: unknown
+    otp: OtpCheck
+    options?: StorageOptions
+  }): Promise<ValidateStatus> {
+    return await otpValidateWithStatus(this.db(), args.otp, undefined, args.options?.expirySeconds, args.options)
+  }
+
+  /** Like validateWithStatus, also returning the metadata stored with a consumed code. */
+  async validateDetailed(args: {
+    client?: unknown
+    otp: OtpCheck
+    options?: StorageOptions
+  }): Promise<ValidateResult> {
+    return await otpValidateDetailed(this.db(), args.otp, undefined, args.options?.expirySeconds, args.options)
+  }
+
+  /** Deletes rows past their stored "expiresAt" (indexed; legacy rows without one go by "createdAt"). Returns the number removed. */
+  async purgeExpired(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<number> {
+    return await otpPurgeExpired(this.db(), args?.now, args?.options?.expirySeconds)
+  }
+
+  /** Deletes the row with the `insertedId` create returned. */
+  async deleteRecord(args: { client?: unknown; id: unknown; options?: StorageOptions }): Promise<boolean> {
+    return await otpDelete(this.db(), args.id)
+  }
+
+  /** Counts rows inside and past the expiry window. */
+  async countRecords(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<RecordCounts> {
+    return await otpCountRecords(this.db(), args?.now, args?.options?.expirySeconds)
+  }
+
+  /** Counts unexpired rows still written under a retired pepper key. */
+  async countRetiredPepperRecords(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<number> {
+    return await otpCountRetiredPepper(this.db(), args?.now, args?.options?.expirySeconds)
+  }
+}
@@ -0,0 +1,290 @@
+import {
+  activePepperKey,
+  computeChallengeHash,
+  computeOtpHash,
+  computeContactId,
+  contactLookups,
+  decodeMetadata,
+  encodeMetadata,
+  encryptMetadataEnabled,
+  expiresAtOf,
+  generateChallengeId,
+  generateSalt,
+  isPastExpiry,
+  maxAttemptsOf,
+  otpMatcher,
+  pickCandidate,
+  perRecordSaltEnabled,
+  supersedePreviousEnabled,
+  tombstoneExpiresAt,
+  usedTombstoneSecondsOf,
+  withExpiry,
+  type OtpCheck,
+  type OtpDoc,
+  type CreateResult,
+  type RecordCounts,
+  type StorageOptions,
+  type ValidateResult,
+  type ValidateStatus,
+} from './shared.js'
+
+// Minimal subset of the `pg` Pool/Client API used here. Declared locally so
+// the optional `pg` peer dependency is only needed when this driver is used.
+export interface PgQueryable {
+  query(text: string, params?: unknown[]): Promise<{ rows: any[]; rowCount: number | null }>
+}
+
+// Idempotent schema steps, applied in order. Columns are added with
+// ADD COLUMN IF NOT EXISTS so existing tables are migrated in place; append
+// new steps at the end rather than editing earlier ones.
+const MIGRATIONS: string[] = [
+  'CREATE TABLE IF NOT EXISTS otp (\n' +
+    '  id BIGSERIAL PRIMARY KEY,\n' +
+    '  "contactId" TEXT NOT NULL,\n' +
+    '  "otpHash" TEXT NOT NULL,\n' +
+    '  "createdAt" TIMESTAMPTZ NOT NULL\n' +
+  ')',
+  'CREATE INDEX IF NOT EXISTS idx_otp_contact_hash ON otp ("contactId", "otpHash")',
+  // Backs range deletes of expired rows (otpPurgeExpired)
+  'CREATE INDEX IF NOT EXISTS idx_otp_createdAt ON otp ("createdAt")',
+  // Per-record salt (NULL for rows hashed with the pepper only)
+  'ALTER TABLE otp ADD COLUMN IF NOT EXISTS salt TEXT',
+  // Pepper keyring id (NULL for rows written with the legacy OTP_PEPPER)
+  'ALTER TABLE otp ADD COLUMN IF NOT EXISTS "pepperKeyId" TEXT',
+  // Wrong guesses counted against the code while it is active
+  'ALTER TABLE otp ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0',
+  // Purpose the code was issued for (NULL when none); also bound into "otpHash"
+  'ALTER TABLE otp ADD COLUMN IF NOT EXISTS purpose TEXT',
+  // Per-code expiry (NULL for rows written before it was stored, or codes that never expire)
+  'ALTER TABLE otp ADD COLUMN IF NOT EXISTS "expiresAt" TIMESTAMPTZ',
+  'CREATE INDEX IF NOT EXISTS idx_otp_expiresAt ON otp ("expiresAt")',
+  // Application metadata as JSON, or sealed with the pepper (see encodeMetadata)
+  'ALTER TABLE otp ADD COLUMN IF NOT EXISTS metadata TEXT',
+  // Challenge handle returned by create, and the OTP hashed against it (see computeChallengeHash)
+  'ALTER TABLE otp ADD COLUMN IF NOT EXISTS "challengeId" TEXT',
+  'ALTER TABLE otp ADD COLUMN IF NOT EXISTS "challengeHash" TEXT',
+  'CREATE INDEX IF NOT EXISTS idx_otp_challengeId ON otp ("challengeId")',
+  // When the code was consumed; the row is then a tombstone until "expiresAt"
+  'ALTER TABLE otp ADD COLUMN IF NOT EXISTS "usedAt" TIMESTAMPTZ',
+]
+
+const migrated = new WeakMap<PgQueryable, Promise<void>>()
+
+/**
+ * Creates or migrates the `otp` table once per pool/client. Concurrent callers
+ * share the same pending migration; a failed attempt is retried on next use.
+ */
+export const ensureSchema = (db: PgQueryable): Promise<void> => {
+  let pending = migrated.get(db)
+  if (!pending) {
+    pending = (async () => {
+      for (const sql of MIGRATIONS) await db.query(sql)
+    })()
+    migrated.set(db, pending)
+    pending.catch(() => migrated.delete(db))
+  }
+  return pending
+}
+
+// An explicit expiry (the expirySeconds option) wins over OTP_EXPIRY
+function ttlOf(ttlSeconds?: number): number | undefined {
+  if (typeof ttlSeconds === 'number') return ttlSeconds
+  const ttlEnv = Number(process.env.OTP_EXPIRY)
+  return Number.isFinite(ttlEnv) ? ttlEnv : undefined
+}
+
+// Condition for rows past their own "expiresAt", or legacy rows (NULL "expiresAt") older
+// than the TTL; placeholders are numbered from `first`
+function expiredClause(now: Date, ttl: number | undefined, first: number): { sql: string; params: Date[] } {
+  if (!(typeof ttl === 'number' && ttl > 0)) return { sql: `"expiresAt" < $${first}`, params: [now] }
+  return {
+    sql: `("expiresAt" < $${first} OR ("expiresAt" IS NULL AND "createdAt" < $${first + 1}))`,
+    params: [now, new Date(now.getTime() - ttl * 1000)],
+  }
+}
+
+export const otpCreate = async (
+  db: PgQueryable,
+  otp: OtpDoc,
+  options?: StorageOptions,
+): Promise<CreateResult> => {
+  await ensureSchema(db)
+  const createdAt = otp.createdAt ?? new Date()
+  const expiresAt = expiresAtOf(otp, createdAt, ttlOf(options?.expirySeconds))
+  const salt = perRecordSaltEnabled(options) ? generateSalt() : null
+  const pepper = activePepperKey()
+  const otpHash = computeOtpHash(otp.contact, otp.otp, { salt: salt ?? undefined, pepper, purpose: otp.purpose })
+  const challengeId = generateChallengeId()
+  const metadata = otp.metadata
+    ? encodeMetadata(otp.metadata, { encrypt: encryptMetadataEnabled(options), pepper, otpHash })
+    : null
+  const res = await db.query(
+    'INSERT INTO otp ("contactId", "otpHash", salt, "pepperKeyId", "createdAt", purpose, "expiresAt", metadata, "challengeId", "challengeHash") ' +
+      'VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id',
+    [
+      computeContactId(otp.contact, { pepper }),
+      otpHash,
+      salt,
+      pepper.id ?? null,
+      createdAt,
+      otp.purpose ?? null,
+      expiresAt ?? null,
+      metadata,
+      challengeId,
+      computeChallengeHash(challengeId, otp.otp, { salt: salt ?? undefined, pepper, purpose: otp.purpose }),
+    ],
+  )
+  const id = res.rows[0].id
+  if (supersedePreviousEnabled(options)) {
+    // Insert first, then drop every older code: concurrent creates always
+    // leave the one with the highest id rather than none
+    const contactIds = contactLookups(otp.contact).map((l) => l.contactId)
+    await db.query(
+      `DELETE FROM otp WHERE "contactId" IN (${contactIds.map((_, i) => `$${i + 1}`).join(', ')}) AND id < $${contactIds.length + 1}`,
+      [...contactIds, id],
+    )
+  }
+  // Shape it like a Mongo InsertOneResult enough for callers
+  return { acknowledged: true, insertedId: id, challengeId, ...(expiresAt ? { expiresAt } : {}) } as unknown as CreateResult
+}
+
+/**
+ * Atomically validate and consume OTP, returning a status and, on 'ok', the
+ * metadata stored with the code.
+ * Candidate rows for the contact under every known pepper (or for the challenge) are checked against
+ * their own stored salt and pepper (newest first); the match is consumed by id with a conditional
+ * UPDATE (tombstone) or DELETE, so two concurrent validators can never both succeed on the same row.
+ * A miss is counted against each unconsumed candidate row and burns those that reach `maxAttempts`.
+ */
+export const otpValidateDetailed = async (
+  db: PgQueryable,
+  otp: OtpCheck,
+  now: Date = new Date(),
+  ttlSeconds?: number,
+  options?: StorageOptions,
+): Promise<ValidateResult> => {
+  await ensureSchema(db)
+  const matcher = otpMatcher(otp)
+  const where: string[] = []
+  const params: unknown[] = []
+  if (matcher.contactIds) {
+    where.push(`"contactId" IN (${matcher.contactIds.map((_, i) => `$${i + 1}`).join(', ')})`)
+    params.push(...matcher.contactIds)
+  }
+  if (matcher.challengeId != null) {
+    params.push(matcher.challengeId)
+    where.push(`"challengeId" = $${params.length}`)
+  }
+  const candidates = await db.query(
+    `SELECT id, "contactId", "otpHash", salt, "pepperKeyId", "challengeHash", "createdAt", "expiresAt", "usedAt", metadata FROM otp WHERE ${where.join(' AND ')} ORDER BY id DESC`,
+    params,
+  )
+  const nowMs = now.getTime()
+  const pick = pickCandidate(candidates.rows, matcher, nowMs, ttlOf(ttlSeconds))
+  if ('miss' in pick) {
+    const max = maxAttemptsOf(options)
+    if (max === 0) return withExpiry({ status: pick.status }, pick.expiresAt)
+    // Count the miss against every active code, then burn those at the limit
+    const ids = pick.miss.map((r: any) => r.id)
+    const list = ids.map((_: unknown, i: number) => `$${i + 1}`).join(', ')
+    await db.query(`UPDATE otp SET attempts = attempts + 1 WHERE id IN (${list})`, ids)
+    const burned = await db.query(`DELETE FROM otp WHERE id IN (${list}) AND attempts >= $${ids.length + 1}`, [...ids, max])
+    return (burned.rowCount ?? 0) > 0 ? { status: 'too_many_attempts' } : withExpiry({ status: pick.status }, pick.expiresAt)
+  }
+  if (!('match' in pick)) return { status: pick.status }
+
+  const match = pick.match
+  const record = { createdAt: new Date(match.createdAt).getTime(), expiresAt: match.expiresAt == null ? null : new Date(match.expiresAt).getTime() }
+  const tombstoneSeconds = usedTombstoneSecondsOf(options)
+  if (isPastExpiry(record, nowMs, ttlOf(ttlSeconds))) {
+    const res = await db.query('DELETE FROM otp WHERE id = $1', [match.id])
+    return (res.rowCount ?? 0) > 0 ? withExpiry({ status: 'expired' }, pick.expiresAt) : { status: 'not_found' }
+  }
+  // Decoded before the consume, so a code whose metadata cannot be read stays unused
+  const metadata = decodeMetadata(match.metadata, pick.pepper, match.otpHash)
+  if (tombstoneSeconds > 0) {
+    const res = await db.query(
+      'UPDATE otp SET "usedAt" = $2, "expiresAt" = $3 WHERE id = $1 AND "usedAt" IS NULL',
+      [match.id, now, new Date(tombstoneExpiresAt(record.expiresAt, nowMs, tombstoneSeconds))],
+    )
+    if ((res.rowCount ?? 0) === 0) return { status: 'used' }
+  } else {
+    const res = await db.query('DELETE FROM otp WHERE id = $1', [match.id])
+    if ((res.rowCount ?? 0) === 0) return { status: 'not_found' }
+  }
+  return withExpiry(metadata ? { status: 'ok', metadata } : { status: 'ok' }, pick.expiresAt)
+}
+
+/** Like otpValidateDetailed, returning only the status. */
+export const otpValidateWithStatus = async (
+  db: PgQueryable,
+  otp: OtpCheck,
+  now: Date = new Date(),
+  ttlSeconds?: number,
+  options?: StorageOptions,
+): Promise<ValidateStatus> => {
+  return (await otpValidateDetailed(db, otp, now, ttlSeconds, options)).status
+}
+
+/**
+ * Deletes every row past its expiry (indexed on "expiresAt"; legacy rows
+ * without one go by "createdAt" and the TTL).
+ * Returns the number of rows removed.
+ */
+export const otpPurgeExpired = async (
+  db: PgQueryable,
+  now: Date = new Date(),
+  ttlSeconds?: number,
+): Promise<number> => {
+  await ensureSchema(db)
+  const clause = expiredClause(now, ttlOf(ttlSeconds), 1)
+  const res = await db.query(`DELETE FROM otp WHERE ${clause.sql}`, clause.params)
+  return res.rowCount ?? 0
+}
+
+/** Deletes the row with the given id. Returns whether one was removed. */
+export const otpDelete = async (db: PgQueryable, id: unknown): Promise<boolean> => {
+  await ensureSchema(db)
+  const res = await db.query('DELETE FROM otp WHERE id = $1', [id])
+  return (res.rowCount ?? 0) > 0
+}
+
+/** Counts stored rows before and past their expiry; consumed-code tombstones are not active. */
+export const otpCountRecords = async (
+  db: PgQueryable,
+  now: Date = new Date(),
+  ttlSeconds?: number,
+): Promise<RecordCounts> => {
+  await ensureSchema(db)
+  const clause = expiredClause(now, ttlOf(ttlSeconds), 1)
+  const res = await db.query(
+    `SELECT COUNT(*) AS n, SUM(CASE WHEN ${clause.sql} THEN 1 ELSE 0 END) AS expired, `
+      + `SUM(CASE WHEN "usedAt" IS NULL OR ${clause.sql} THEN 0 ELSE 1 END) AS used FROM otp`,
+    clause.params,
+  )
+  const expired = Number(res.rows[0]?.expired ?? 0)
+  return { active: Number(res.rows[0]?.n ?? 0) - expired - Number(res.rows[0]?.used ?? 0), expired }
+}
+
+/**
+ * Counts unexpired rows written under a pepper key other than the active one
+ * (legacy rows with a NULL "pepperKeyId" count once a keyring is in use).
+ * Consumed-code tombstones are left out.
+ */
+export const otpCountRetiredPepper = async (
+  db: PgQueryable,
+  now: Date = new Date(),
+  ttlSeconds?: number,
+): Promise<number> => {
+  await ensureSchema(db)
+  const activeId = activePepperKey().id
+  const clauses = [activeId ? '("pepperKeyId" IS NULL OR "pepperKeyId" <> $1)' : '"pepperKeyId" IS NOT NULL']
+  const params: unknown[] = activeId ? [activeId] : []
+  const clause = expiredClause(now, ttlOf(ttlSeconds), params.length + 1)
+  // NOT (...) alone would drop rows where the comparison is NULL
+  clauses.push(`NOT COALESCE(${clause.sql}, false)`)
+  params.push(...clause.params)
+  clauses.push('"usedAt" IS NULL')
+  const res = await db.query(`SELECT COUNT(*) AS n FROM otp WHERE ${clauses.join(' AND ')}`, params)
+  return Number(res.rows[0]?.n ?? 0)
+}
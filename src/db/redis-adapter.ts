@@ -0,0 +1,149 @@
+import type { ConfigProblem } from '../config-check.js'
+import { maxAttemptsOf, missingPackageProblems, type CreateResult, type DbAdapter, type OtpCheck, type OtpDoc, type RecordCounts, type StorageOptions, type ValidateResult, type ValidateStatus } from './shared.js'
+import {
+  otpCountRecords,
+  otpCountRetiredPepper,
+  otpCreate,
+  otpDelete,
+  otpValidateDetailed,
+  otpValidateWithStatus,
+  type RedisKeyOptions,
+  type RedisLike,
+} from './redis-functions.js'
+
+export interface RedisAdapterOptions extends RedisKeyOptions {
+  // Application-owned, already connected node-redis client (or a compatible mock)
+  client?: RedisLike
+  // URL for the managed client; falls back to OTP_REDIS_URL, then the redis default
+  url?: string
+}
+
+// Bundler-safe loader for optional redis dependency (see loadSqlite3 in sqlite-functions).
+function loadRedis(): any {
+  try {
+    const req = eval('require') as NodeRequire
+    return req('redis')
+  } catch (err: any) {
+    const message =
+      err && (err as any).code === 'MODULE_NOT_FOUND'
+        ? 'The redis package is not installed. Install it with "npm install redis" to use OTP_DB_DRIVER=redis.'
+        : `Failed to load redis driver: ${String(err)}`
+    throw new Error(message)
+  }
+}
+
+export class RedisAdapter implements DbAdapter {
+  readonly name = 'redis' as const
+  private readonly client?: RedisLike
+  private readonly url?: string
+  private readonly keyOptions: RedisKeyOptions
+  private managed: Promise<any> | null = null
+
+  constructor(opts?: RedisAdapterOptions) {
+    this.client = opts?.client
+    this.url = opts?.url
+    this.keyOptions = {
+      keyPrefix: opts?.keyPrefix,
+      ttlSeconds: opts?.ttlSeconds,
+      expiredGraceSeconds: opts?.expiredGraceSeconds,
+    }
+  }
+
+  private managedClient(): Promise<RedisLike> {
+    if (this.managed) return this.managed
+    const redis = loadRedis()
+    const url = this.url ?? process.env.OTP_REDIS_URL
+    const client = redis.createClient(url ? { url } : {})
+    const pending = client.connect().then(() => client)
+    this.managed = pending
+    // Allow a later call to retry when the first connection attempt fails
+    pending.catch(() => { if (this.managed === pending) this.managed = null })
+    return pending
+  }
+
+  // The per-call expirySeconds overrides the constructor ttlSeconds
+  private keysFor(options?: StorageOptions): RedisKeyOptions {
+    return typeof options?.expirySeconds === 'number' ? { ...this.keyOptions, ttlSeconds: options.expirySeconds } : this.keyOptions
+  }
+
+  private async resolveClient(): Promise<RedisLike> {
+    return this.client ?? await this.managedClient()
+  }
+
+  /** Connects the managed client up front. A no-op for an application-owned client. */
+  async connect(): Promise<void> {
+    if (this.client) return
+    await this.managedClient()
+  }
+
+  /** Disconnects the managed client, if one was opened. Application-owned clients are left alone. */
+  async close(): Promise<void> {
+    const pending = this.managed
+    if (!pending) return
+    this.managed = null
+    const client = await pending.catch(() => null)
+    if (!client) return
+    if (typeof client.close === 'function') await client.close()
+    else await client.quit()
+  }
+
+  /**
+   * Reports a missing redis package unless an application-owned client was given,
+   * and warns when a miss limit is configured, since Redis does not count wrong guesses.
+   */
+  validateConfig(options?: StorageOptions): ConfigProblem[] {
+    const problems = this.client ? [] : missingPackageProblems('redis', 'redis')
+    const fromOptions = typeof options?.maxAttempts === 'number'
+    const env = process.env.OTP_MAX_ATTEMPTS
+    if ((fromOptions || (env != null && env.trim() !== '')) && maxAttemptsOf(options) > 0) {
+      problems.push({
+        field: fromOptions ? 'maxAttempts' : 'OTP_MAX_ATTEMPTS',
+        severity: 'warning',
+        message: 'ignored by OTP_DB_DRIVER=redis, which does not count wrong guesses; cap guesses with a RateLimiter',
+      })
+    }
+    return problems
+  }
+
+  async create(args: { client?: unknown; otp: OtpDoc; options?: StorageOptions }): Promise<CreateResult> {
+    return await otpCreate(await this.resolveClient(), args.otp, this.keysFor(args.options), undefined, args.options)
+  }
+
+  // Wrong-guess counting (maxAttempts) is not implemented for Redis; validateConfig() warns about it
+  async validateWithStatus(args: {
+    client?: unknown
+    otp: OtpCheck
+    options?: StorageOptions
+  }): Promise<ValidateStatus> {
+    return await otpValidateWithStatus(await this.resolveClient(), args.otp, this.keysFor(args.options), undefined, args.options)
+  }
+
+  /** Like validateWithStatus, also returning the metadata stored with a consumed code. */
+  async validateDetailed(args: {
+    client?: unknown
+    otp: OtpCheck
+    options?: StorageOptions
+  }): Promise<ValidateResult> {
+    return await otpValidateDetailed(await this.resolveClient(), args.otp, this.keysFor(args.options), undefined, args.options)
+  }
+
+  /** Always 0: Redis evicts keys natively once their `EX` (expiry plus grace) elapses. */
+  async purgeExpired(_args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<number> {
+    return 0
+  }
+
+  /** Deletes the key `create` returned as `insertedId`, with its challenge key. */
+  async deleteRecord(args: { client?: unknown; id: unknown; options?: StorageOptions }): Promise<boolean> {
+    return await otpDelete(await this.resolveClient(), String(args.id), this.keysFor(args.options))
+  }
+
+  /** Counts keys inside and past the expiry window (uses SCAN). */
+  async countRecords(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<RecordCounts> {
+    return await otpCountRecords(await this.resolveClient(), this.keysFor(args?.options), args?.now)
+  }
+
+  /** Counts unexpired keys still written under a retired pepper key (uses SCAN). */
+  async countRetiredPepperRecords(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<number> {
+    return await otpCountRetiredPepper(await this.resolveClient(), this.keysFor(args?.options), args?.now)
+  }
+}
@@ -0,0 +1,447 @@
+import {
+  activePepperKey,
+  computeChallengeHash,
+  computeOtpHash,
+  computeContactId,
+  contactLookups,
+  decodeMetadata,
+  encodeMetadata,
+  encryptMetadataEnabled,
+  expiresAtOf,
+  expiryOf,
+  generateChallengeId,
+  generateSalt,
+  isPastExpiry,
+  isRetiredPepperKey,
+  otpMatcher,
+  perRecordSaltEnabled,
+  supersedePreviousEnabled,
+  tombstoneExpiresAt,
+  usedTombstoneSecondsOf,
+  withExpiry,
+  type CreateResult,
+  type OtpCheck,
+  type OtpDoc,
+  type OtpMetadata,
+  type PepperKey,
+  type RecordCounts,
+  type StorageOptions,
+  type ValidateResult,
+  type ValidateStatus,
+} from './shared.js'
+
+// Minimal subset of the node-redis (v4+) client API used here. Declared
+// locally so the optional `redis` peer dependency is only needed at runtime.
+export interface RedisLike {
+  set(key: string, value: string, options?: { EX?: number }): Promise<unknown>
+  getDel(key: string): Promise<string | null>
+  get(key: string): Promise<string | null>
+  // node-redis v4 yields single keys, v5 yields batches
+  scanIterator(options: { MATCH?: string; COUNT?: number }): AsyncIterable<string | string[]>
+  // Set commands back the per-contact salt index (per-record salting only)
+  sAdd(key: string, member: string): Promise<unknown>
+  sMembers(key: string): Promise<string[]>
+  sRem(key: string, member: string): Promise<unknown>
+  expire(key: string, seconds: number): Promise<unknown>
+}
+
+export interface RedisKeyOptions {
+  // Prefix for every key written by OneHitter
+  keyPrefix?: string
+  // Expiry in seconds for codes created without their own; falls back to OTP_EXPIRY at call time
+  ttlSeconds?: number
+  // How long a key outlives its expiry so validation can still say 'expired'
+  expiredGraceSeconds?: number
+}
+
+export const DEFAULT_KEY_PREFIX = 'onehitter:otp:'
+export const DEFAULT_EXPIRED_GRACE_SECONDS = 60
+
+function ttlOf(opts?: RedisKeyOptions): number | undefined {
+  if (typeof opts?.ttlSeconds === 'number') return opts.ttlSeconds
+  const ttlEnv = Number(process.env.OTP_EXPIRY)
+  return Number.isFinite(ttlEnv) ? ttlEnv : undefined
+}
+
+export function otpKey(contactId: string, otpHash: string, opts?: RedisKeyOptions): string {
+  return `${opts?.keyPrefix ?? DEFAULT_KEY_PREFIX}${contactId}:${otpHash}`
+}
+
+// Set of the salts in use for one contact, so validation can rebuild salted keys
+export function saltIndexKey(contactId: string, opts?: RedisKeyOptions): string {
+  return `${opts?.keyPrefix ?? DEFAULT_KEY_PREFIX}salts:${contactId}`
+}
+
+// Set of the otpHashes issued to one contact, so a miss can tell whether live codes remain
+export function codeIndexKey(contactId: string, opts?: RedisKeyOptions): string {
+  return `${opts?.keyPrefix ?? DEFAULT_KEY_PREFIX}codes:${contactId}`
+}
+
+// Tombstone left by a consumed code (`<contactId>:<otpHash>`) or challenge (`challenge:<challengeId>`)
+export function usedKey(suffix: string, opts?: RedisKeyOptions): string {
+  return `${opts?.keyPrefix ?? DEFAULT_KEY_PREFIX}used:${suffix}`
+}
+
+// Newest key issued with supersedePrevious; any other key of the contact is revoked
+export function latestKey(contactId: string, opts?: RedisKeyOptions): string {
+  return `${opts?.keyPrefix ?? DEFAULT_KEY_PREFIX}latest:${contactId}`
+}
+
+// Challenge handle returned by create; its value locates and verifies the OTP key
+export function challengeKey(challengeId: string, opts?: RedisKeyOptions): string {
+  return `${opts?.keyPrefix ?? DEFAULT_KEY_PREFIX}challenge:${challengeId}`
+}
+
+interface ChallengeValue {
+  pepperKeyId?: string
+  salt?: string
+  challengeHash: string
+  contactId: string
+  otpHash: string
+}
+
+// "<pepperKeyId>:<salt>:<challengeHash>:<contactId>:<otpHash>"; key id and salt may be empty
+function formatChallenge(v: ChallengeValue): string {
+  return [v.pepperKeyId ?? '', v.salt ?? '', v.challengeHash, v.contactId, v.otpHash].join(':')
+}
+
+function parseChallenge(value: string): ChallengeValue {
+  const [pepperKeyId, salt, challengeHash, contactId, otpHash] = value.split(':')
+  return {
+    ...(pepperKeyId ? { pepperKeyId } : {}),
+    ...(salt ? { salt } : {}),
+    challengeHash,
+    contactId,
+    otpHash,
+  }
+}
+
+interface StoredValue {
+  createdAt: number
+  pepperKeyId?: string
+  expiresAt?: number
+  // Names the challenge key to drop when the code is consumed by contact
+  challengeId?: string
+  // Encoded metadata (see encodeMetadata); may itself contain ':'
+  metadata?: string
+}
+
+// Key values are "<createdAtMs>[:<pepperKeyId>[:<expiresAtMs>[:<challengeId>[:<metadata>]]]]";
+// a field may be empty when a later one follows. Values from older versions stop
+// after the key id or the expiry.
+function formatValue(v: StoredValue): string {
+  if (v.challengeId != null || v.metadata != null) {
+    const head = `${v.createdAt}:${v.pepperKeyId ?? ''}:${v.expiresAt ?? ''}:${v.challengeId ?? ''}`
+    return v.metadata != null ? `${head}:${v.metadata}` : head
+  }
+  if (v.expiresAt != null) return `${v.createdAt}:${v.pepperKeyId ?? ''}:${v.expiresAt}`
+  return v.pepperKeyId ? `${v.createdAt}:${v.pepperKeyId}` : String(v.createdAt)
+}
+
+function parseValue(value: string): StoredValue {
+  const [createdAt, pepperKeyId, expiresAt, challengeId, ...rest] = value.split(':')
+  return {
+    createdAt: Number(createdAt),
+    ...(pepperKeyId ? { pepperKeyId } : {}),
+    ...(expiresAt ? { expiresAt: Number(expiresAt) } : {}),
+    ...(challengeId ? { challengeId } : {}),
+    ...(rest.length > 0 ? { metadata: rest.join(':') } : {}),
+  }
+}
+
+/**
+ * Stores the OTP under `<prefix><contactId>:<otpHash>` with the creation time,
+ * pepper key id (when a keyring is configured) and expiry as value. When the
+ * code expires the key gets `EX` = remaining lifetime + grace, so Redis
+ * evicts it natively and no TTL index is needed.
+ * With per-record salting the salt is also added to `<prefix>salts:<contactId>`,
+ * and every otpHash to `<prefix>codes:<contactId>`; both expire no earlier
+ * than the newest key they index.
+ * A purpose is bound into the hash part of the key only; it is not stored in clear.
+ * The challengeId and then the metadata follow the expiry in the value.
+ * With supersedePrevious, `<prefix>latest:<contactId>` points at the new key;
+ * older keys are left to expire but no longer validate.
+ * `<prefix>challenge:<challengeId>` holds what is needed to find and verify
+ * the key from the returned challengeId alone, and expires with it.
+ */
+export const otpCreate = async (
+  client: RedisLike,
+  otp: OtpDoc,
+  opts?: RedisKeyOptions,
+  now: Date = new Date(),
+  options?: StorageOptions,
+): Promise<CreateResult> => {
+  const createdAt = otp.createdAt ? otp.createdAt.getTime() : now.getTime()
+  const pepper = activePepperKey()
+  const contactId = computeContactId(otp.contact, { pepper })
+  const salt = perRecordSaltEnabled(options) ? generateSalt() : undefined
+  const otpHash = computeOtpHash(otp.contact, otp.otp, { salt, pepper, purpose: otp.purpose })
+  const key = otpKey(contactId, otpHash, opts)
+  const expiresAt = expiresAtOf(otp, new Date(createdAt), ttlOf(opts))?.getTime()
+  const metadata = otp.metadata
+    ? encodeMetadata(otp.metadata, { encrypt: encryptMetadataEnabled(options), pepper, otpHash })
+    : undefined
+  const challengeId = generateChallengeId()
+  const value = formatValue({ createdAt, pepperKeyId: pepper.id, expiresAt, challengeId, metadata })
+  const challenge = formatChallenge({
+    pepperKeyId: pepper.id,
+    salt,
+    challengeHash: computeChallengeHash(challengeId, otp.otp, { salt, pepper, purpose: otp.purpose }),
+    contactId,
+    otpHash,
+  })
+
+  let ex: number | undefined
+  if (expiresAt != null) {
+    const grace = opts?.expiredGraceSeconds ?? DEFAULT_EXPIRED_GRACE_SECONDS
+    const remaining = Math.ceil((expiresAt - now.getTime()) / 1000)
+    ex = Math.max(1, remaining + grace)
+    await client.set(key, value, { EX: ex })
+    await client.set(challengeKey(challengeId, opts), challenge, { EX: ex })
+  } else {
+    await client.set(key, value)
+    await client.set(challengeKey(challengeId, opts), challenge)
+  }
+  if (salt) {
+    const indexKey = saltIndexKey(contactId, opts)
+    await client.sAdd(indexKey, salt)
+    if (ex) await client.expire(indexKey, ex)
+  }
+  const codesKey = codeIndexKey(contactId, opts)
+  await client.sAdd(codesKey, otpHash)
+  if (ex) await client.expire(codesKey, ex)
+  if (supersedePreviousEnabled(options)) {
+    // Written under every known pepper so codes from before a rotation are revoked too
+    for (const lookup of contactLookups(otp.contact)) {
+      await client.set(latestKey(lookup.contactId, opts), key, ex ? { EX: ex } : undefined)
+    }
+  }
+  // Shape it like a Mongo InsertOneResult enough for callers
+  return { acknowledged: true, insertedId: key, challengeId, ...(expiresAt != null ? { expiresAt: new Date(expiresAt) } : {}) } as unknown as CreateResult
+}
+
+/**
+ * Atomically validate and consume OTP with GETDEL (Redis >= 6.2).
+ * For each known pepper (active first) the unsalted key is tried first;
+ * otherwise each salt indexed for the contact is used to rebuild a candidate
+ * key. A key superseded by a newer code is consumed but reported as 'not_found'.
+ * With a challengeId, the challenge key is read instead and only its OTP key
+ * is tried (it must belong to the contact when one is given).
+ * A consumed code leaves `<prefix>used:` tombstones for `usedTombstoneSeconds`
+ * (its salt stays indexed meanwhile, so salted replays are recognized too).
+ * - 'ok' when the key existed and the code is not past its expiry (with its metadata)
+ * - 'expired' when the key existed but is past the expiry (still inside the grace period)
+ * - 'used' when the code matches a tombstone
+ * - 'mismatch' when the contact (or challenge) still has an unexpired code
+ * - 'not_found' when no key exists (wrong/evicted by Redis)
+ */
+export const otpValidateDetailed = async (
+  client: RedisLike,
+  otp: OtpCheck,
+  opts?: RedisKeyOptions,
+  now: Date = new Date(),
+  options?: StorageOptions,
+): Promise<ValidateResult> => {
+  const found = otp.challengeId != null
+    ? await consumeByChallenge(client, otp, opts, now)
+    : await consumeByContact(client, otp.contact!, otp, opts, now)
+  if ('status' in found) return withExpiry({ status: found.status }, found.expiresAt)
+
+  const stored = parseValue(found.value)
+  const challenge = found.challenge ?? (stored.challengeId ? await client.getDel(challengeKey(stored.challengeId, opts)) : null)
+  await client.sRem(codeIndexKey(found.contactId, opts), found.otpHash)
+  const tombstoneSeconds = usedTombstoneSecondsOf(options)
+  if (tombstoneSeconds === 0 && found.salt) await client.sRem(saltIndexKey(found.contactId, opts), found.salt)
+
+  const latest = await client.get(latestKey(found.contactId, opts))
+  if (latest != null && latest !== found.key) return { status: 'not_found' }
+
+  const expiresAt = expiryOf(stored, ttlOf(opts))
+  if (isPastExpiry(stored, now.getTime(), ttlOf(opts))) return withExpiry({ status: 'expired' }, expiresAt)
+  if (tombstoneSeconds > 0) {
+    const until = tombstoneExpiresAt(stored.expiresAt, now.getTime(), tombstoneSeconds)
+    const EX = Math.max(1, Math.ceil((until - now.getTime()) / 1000))
+    await client.set(usedKey(`${found.contactId}:${found.otpHash}`, opts), String(now.getTime()), { EX })
+    if (stored.challengeId && challenge != null) await client.set(usedKey(`challenge:${stored.challengeId}`, opts), challenge, { EX })
+  }
+  return withExpiry(found.metadata ? { status: 'ok', metadata: found.metadata } : { status: 'ok' }, expiresAt)
+}
+
+interface ConsumedKey {
+  key: string
+  contactId: string
+  otpHash: string
+  salt?: string
+  pepper: PepperKey
+  value: string
+  metadata?: OtpMetadata
+  // Raw challenge value, when the code was found through its challenge key
+  challenge?: string
+}
+
+// expiresAt: on 'mismatch', the latest expiry of the live codes (absent if one never expires)
+type MissStatus = { status: 'used' | 'mismatch' | 'not_found'; expiresAt?: number }
+
+// The expiry of the unexpired code an OTP key holds; null when it holds none
+async function liveExpiry(client: RedisLike, key: string, opts: RedisKeyOptions | undefined, now: Date): Promise<{ expiresAt?: number } | null> {
+  const value = await client.get(key)
+  if (value == null) return null
+  const stored = parseValue(value)
+  return isPastExpiry(stored, now.getTime(), ttlOf(opts)) ? null : { expiresAt: expiryOf(stored, ttlOf(opts)) }
+}
+
+// GETDELs an OTP key once its metadata is known to decode, so a code whose
+// metadata cannot be read (wrong pepper, tampered ciphertext) stays unused
+async function takeKey(client: RedisLike, key: string, pepper: PepperKey, otpHash: string): Promise<{ value: string; metadata?: OtpMetadata } | null> {
+  const peek = await client.get(key)
+  if (peek == null) return null
+  const metadata = decodeMetadata(parseValue(peek).metadata, pepper, otpHash)
+  const value = await client.getDel(key)
+  return value == null ? null : { value, metadata }
+}
+
+async function consumeByChallenge(
+  client: RedisLike,
+  otp: OtpCheck,
+  opts: RedisKeyOptions | undefined,
+  now: Date,
+): Promise<ConsumedKey | MissStatus> {
+  const matcher = otpMatcher(otp)
+  const chKey = challengeKey(otp.challengeId!, opts)
+  const raw = await client.get(chKey)
+  if (raw == null) {
+    const used = await client.get(usedKey(`challenge:${otp.challengeId}`, opts))
+    return { status: used != null && matcher.matches(parseChallenge(used)) ? 'used' : 'not_found' }
+  }
+  const challenge = parseChallenge(raw)
+  const key = otpKey(challenge.contactId, challenge.otpHash, opts)
+  const pepper = matcher.matches(challenge)
+  if (!pepper) {
+    // A contact that does not own the challenge learns nothing about it
+    const owned = !matcher.contactIds || matcher.contactIds.includes(challenge.contactId)
+    const live = owned ? await liveExpiry(client, key, opts, now) : null
+    return live ? { status: 'mismatch', expiresAt: live.expiresAt } : { status: 'not_found' }
+  }
+  const taken = await takeKey(client, key, pepper, challenge.otpHash)
+  await client.getDel(chKey)
+  if (taken == null) return { status: 'not_found' }
+  return { key, contactId: challenge.contactId, otpHash: challenge.otpHash, salt: challenge.salt, pepper, ...taken, challenge: raw }
+}
+
+async function consumeByContact(
+  client: RedisLike,
+  contact: string,
+  otp: OtpCheck,
+  opts: RedisKeyOptions | undefined,
+  now: Date,
+): Promise<ConsumedKey | MissStatus> {
+  // Hashes the submitted code could have been stored under, per contactId
+  const tried: Array<{ contactId: string; otpHash: string }> = []
+  for (const { contactId, pepper } of contactLookups(contact)) {
+    const otpHash = computeOtpHash(contact, otp.otp, { pepper, purpose: otp.purpose })
+    const key = otpKey(contactId, otpHash, opts)
+    const taken = await takeKey(client, key, pepper, otpHash)
+    if (taken != null) return { key, contactId, otpHash, pepper, ...taken }
+    tried.push({ contactId, otpHash })
+    for (const salt of await client.sMembers(saltIndexKey(contactId, opts))) {
+      const saltedHash = computeOtpHash(contact, otp.otp, { salt, pepper, purpose: otp.purpose })
+      const saltedKey = otpKey(contactId, saltedHash, opts)
+      const salted = await takeKey(client, saltedKey, pepper, saltedHash)
+      if (salted != null) return { key: saltedKey, contactId, otpHash: saltedHash, salt, pepper, ...salted }
+      tried.push({ contactId, otpHash: saltedHash })
+    }
+  }
+
+  for (const { contactId, otpHash } of tried) {
+    if (await client.get(usedKey(`${contactId}:${otpHash}`, opts)) != null) return { status: 'used' }
+  }
+  const expiries: Array<number | undefined> = []
+  for (const contactId of new Set(tried.map((t) => t.contactId))) {
+    const indexKey = codeIndexKey(contactId, opts)
+    for (const otpHash of await client.sMembers(indexKey)) {
+      const live = await liveExpiry(client, otpKey(contactId, otpHash, opts), opts, now)
+      if (live) expiries.push(live.expiresAt)
+      // Drop hashes whose key Redis has already evicted
+      else if (await client.get(otpKey(contactId, otpHash, opts)) == null) await client.sRem(indexKey, otpHash)
+    }
+  }
+  if (expiries.length === 0) return { status: 'not_found' }
+  const expiresAt = expiries.every((at) => at != null) ? Math.max(...(expiries as number[])) : undefined
+  return { status: 'mismatch', expiresAt }
+}
+
+/** Like otpValidateDetailed, returning only the status. */
+export const otpValidateWithStatus = async (
+  client: RedisLike,
+  otp: OtpCheck,
+  opts?: RedisKeyOptions,
+  now: Date = new Date(),
+  options?: StorageOptions,
+): Promise<ValidateStatus> => {
+  return (await otpValidateDetailed(client, otp, opts, now, options)).status
+}
+
+/**
+ * Deletes the OTP key `create` returned as `insertedId`, together with its
+ * challenge key and its entry in the contact's code index. Returns whether
+ * the key existed.
+ */
+export const otpDelete = async (client: RedisLike, key: string, opts?: RedisKeyOptions): Promise<boolean> => {
+  const value = await client.getDel(key)
+  if (value == null) return false
+  const { challengeId } = parseValue(value)
+  if (challengeId) await client.getDel(challengeKey(challengeId, opts))
+  // Keys are "<prefix><contactId>:<otpHash>"
+  const [contactId, otpHash] = key.slice((opts?.keyPrefix ?? DEFAULT_KEY_PREFIX).length).split(':')
+  if (contactId && otpHash) await client.sRem(codeIndexKey(contactId, opts), otpHash)
+  return true
+}
+
+// Yields the parsed value of every OTP key under the prefix (index keys are skipped)
+async function* scanOtpValues(client: RedisLike, opts?: RedisKeyOptions): AsyncGenerator<StoredValue> {
+  const prefix = opts?.keyPrefix ?? DEFAULT_KEY_PREFIX
+  for await (const batch of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+    for (const key of Array.isArray(batch) ? batch : [batch]) {
+      if (key.startsWith(`${prefix}salts:`) || key.startsWith(`${prefix}latest:`) || key.startsWith(`${prefix}challenge:`)
+        || key.startsWith(`${prefix}codes:`) || key.startsWith(`${prefix}used:`)) continue
+      const value = await client.get(key)
+      if (value != null) yield parseValue(value)
+    }
+  }
+}
+
+/**
+ * Counts unexpired OTP keys written under a pepper key other than the active
+ * one. Walks the key space under the prefix with SCAN, so run it from an
+ * operational job rather than a request path.
+ */
+export const otpCountRetiredPepper = async (
+  client: RedisLike,
+  opts?: RedisKeyOptions,
+  now: Date = new Date(),
+): Promise<number> => {
+  const ttl = ttlOf(opts)
+  let n = 0
+  for await (const value of scanOtpValues(client, opts)) {
+    if (isPastExpiry(value, now.getTime(), ttl)) continue
+    if (isRetiredPepperKey(value.pepperKeyId)) n++
+  }
+  return n
+}
+
+/**
+ * Counts OTP keys inside and past the expiry window (expired keys live on
+ * only for the grace period). Uses SCAN like otpCountRetiredPepper.
+ */
+export const otpCountRecords = async (
+  client: RedisLike,
+  opts?: RedisKeyOptions,
+  now: Date = new Date(),
+): Promise<RecordCounts> => {
+  const ttl = ttlOf(opts)
+  const counts: RecordCounts = { active: 0, expired: 0 }
+  for await (const value of scanOtpValues(client, opts)) {
+    counts[isPastExpiry(value, now.getTime(), ttl) ? 'expired' : 'active']++
+  }
+  return counts
+}
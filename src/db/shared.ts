@@ -1,36 +1,239 @@
 import type { MongoClient, InsertOneResult } from 'mongodb'
+import type { ConfigProblem } from '../config-check.js'
 
-export type ValidateStatus = 'ok' | 'not_found' | 'expired'
+// 'mismatch': the contact (or challenge) has live codes but none matched;
+// 'used': the code was already consumed and is still remembered as a tombstone
+export type ValidateStatus = 'ok' | 'mismatch' | 'used' | 'not_found' | 'expired' | 'too_many_attempts'
+
+// Application data stored with a code and handed back when it validates (e.g. a user id or redirect target)
+export type OtpMetadata = Record<string, unknown>
+
+// Outcome of a validation, with the code's metadata when it was consumed successfully
+export interface ValidateResult {
+  status: ValidateStatus
+  // Only set on 'ok'
+  metadata?: OtpMetadata
+  // When the code checked expires (or expired): set on 'ok' and 'expired', and on
+  // 'mismatch' for the contact's longest-lived code; absent for codes without an expiry
+  expiresAt?: Date
+}
+
+// What a code is validated by: the contact, the challenge handle returned by
+// `create`, or both (the challenge must then belong to the contact)
+export type OtpCheck = Pick<OtpDoc, 'otp' | 'purpose'> & (
+  | { contact: string; challengeId?: string }
+  | { contact?: string; challengeId: string }
+)
+
+// What create() resolves to: the insert result, the challenge handle and the stored expiry (absent when the code never expires)
+export type CreateResult = InsertOneResult<unknown> & { challengeId?: string; expiresAt?: Date }
 
 export interface OtpDoc {
   contact: string
   otp: string
   createdAt: Date
+  // What the code is for (e.g. 'login', 'password_reset'); bound into the hash, so a
+  // code only validates for the purpose it was created with
+  purpose?: string
+  // Lifetime of this code in seconds, counted from createdAt; wins over the default expiry
+  expiresInSeconds?: number
+  // Absolute expiry of this code; set either this or expiresInSeconds, not both
+  expiresAt?: Date
+  // Small JSON object (at most MAX_METADATA_BYTES serialized) returned by validateDetailed on success
+  metadata?: OtpMetadata
+}
+
+/**
+ * Storage policy forwarded by OneHitter on every `create`/`validateWithStatus`
+ * call. Adapters fall back to the matching env settings when a field is left
+ * undefined.
+ */
+export interface StorageOptions {
+  // Generate and persist a random salt per record (env: OTP_PER_RECORD_SALT)
+  perRecordSalt?: boolean
+  // Wrong guesses an active code survives before it is burned; 0 disables (env: OTP_MAX_ATTEMPTS)
+  maxAttempts?: number
+  // Revoke the contact's older codes when a new one is created (env: OTP_SUPERSEDE_PREVIOUS)
+  supersedePrevious?: boolean
+  // Lifetime of a code in seconds; wins over adapter settings (env: OTP_EXPIRY)
+  expirySeconds?: number
+  // Encrypt stored metadata with a key derived from the pepper (env: OTP_ENCRYPT_METADATA)
+  encryptMetadata?: boolean
+  // Seconds a consumed code is kept as a tombstone so a replay reports 'used'; 0 deletes on use (env: OTP_USED_TOMBSTONE_SECONDS)
+  usedTombstoneSeconds?: number
 }
 
-export function currentDriver(): 'mongodb' | 'sqlite' {
+export const DEFAULT_MAX_ATTEMPTS = 5
+
+export const DEFAULT_USED_TOMBSTONE_SECONDS = 300
+
+// Stored records split by the expiry window, as reported by `countRecords`
+export interface RecordCounts {
+  // Unconsumed records not yet past their expiry (including codes that never
+  // expire); used-code tombstones are left out
+  active: number
+  // Records past their expiry that storage has not removed yet
+  expired: number
+}
+
+export type DbDriver = 'mongodb' | 'sqlite' | 'memory' | 'postgres' | 'redis'
+
+export function currentDriver(): DbDriver {
   const d = (process.env.OTP_DB_DRIVER) as any
-  return d === 'sqlite' ? 'sqlite' : 'mongodb'
+  if (d === 'sqlite' || d === 'memory' || d === 'postgres' || d === 'redis') return d
+  return 'mongodb'
 }
 export const SQLITE_PATH: string = process.env.SQLITE_PATH ?? ':memory:'
 
+/**
+ * Storage contract used by OneHitter. The built-in adapters (MongoAdapter,
+ * SqliteAdapter, MemoryAdapter, PostgresAdapter, RedisAdapter) implement it,
+ * and any object satisfying it can be injected through `new OneHitter({ adapter })`.
+ *
+ * `client` is only forwarded when the caller passed a MongoClient to
+ * `create`/`validate`; adapters that manage their own storage can ignore it.
+ * `connect`/`close` are optional lifecycle hooks for adapters that own a
+ * connection (OneHitter's `connect()`/`close()` delegate to them).
+ * A wrong guess counts against every active code of the contact; once a code
+ * reaches `maxAttempts` misses it is deleted and 'too_many_attempts' returned,
+ * otherwise 'mismatch' (or 'not_found' when the contact has no live code).
+ * A consumed code is kept as a tombstone for `usedTombstoneSeconds` (its
+ * expiry is shortened to the end of that window), so a replay reports 'used'.
+ * `countRetiredPepperRecords` reports unexpired records still written under a
+ * pepper key other than the active one (see `OTP_PEPPERS`).
+ * `purgeExpired` deletes records past the expiry window and returns how many
+ * were removed; adapters whose backend expires records natively return 0.
+ * `countRecords` splits the stored records into active and expired ones.
+ * `validateDetailed` is the optional richer form of `validateWithStatus`
+ * that also returns the metadata stored with the code; OneHitter falls back to
+ * `validateWithStatus` for adapters without it.
+ * `create` stores a random challenge handle with every record and returns it
+ * as `challengeId`; validation accepts it in place of (or next to) the
+ * contact, see `otpMatcher`.
+ * `create` persists the expiry of each code (see `expiresAtOf`), and
+ * validation, purging and counting go by that stored expiry; records written
+ * without one fall back to `createdAt` plus the configured expiry.
+ * `deleteRecord` removes one record by the `insertedId` create returned, e.g.
+ * to roll back a code that could not be delivered; it resolves whether a
+ * record was removed.
+ */
 export interface DbAdapter {
-  readonly name: 'mongodb' | 'sqlite'
-  create(args: { client?: MongoClient; otp: OtpDoc }): Promise<InsertOneResult<unknown>>
-  validateWithStatus(args: { client?: MongoClient; otp: Pick<OtpDoc, 'contact' | 'otp'> }): Promise<ValidateStatus>
+  readonly name: string
+  create(args: { client?: MongoClient; otp: OtpDoc; options?: StorageOptions }): Promise<CreateResult>
+  validateWithStatus(args: {
+    client?: MongoClient
+    otp: OtpCheck
+    options?: StorageOptions
+  }): Promise<ValidateStatus>
+  validateDetailed?(args: {
+    client?: MongoClient
+    otp: OtpCheck
+    options?: StorageOptions
+  }): Promise<ValidateResult>
+  connect?(): Promise<void>
+  close?(): Promise<void>
+  countRetiredPepperRecords?(args?: { client?: MongoClient; now?: Date; options?: StorageOptions }): Promise<number>
+  purgeExpired?(args?: { client?: MongoClient; now?: Date; options?: StorageOptions }): Promise<number>
+  countRecords?(args?: { client?: MongoClient; now?: Date; options?: StorageOptions }): Promise<RecordCounts>
+  deleteRecord?(args: { client?: MongoClient; id: CreateResult['insertedId']; options?: StorageOptions }): Promise<boolean>
+  // Storage settings this adapter needs (names, peer packages); see OneHitter.validateConfig()
+  validateConfig?(options?: StorageOptions): ConfigProblem[]
 }
 
-export const computeOtpHash = (contact: string, otp: string, opts?: { salt?: string }): string => {
-  const pepper = process.env.OTP_PEPPER || ''
-  const salt = opts?.salt || ''
+// Whether an optional peer dependency can be loaded by the host application
+export function isPackageInstalled(pkg: string): boolean {
+  try {
+    // Bundler-safe, like the driver loaders
+    const req = eval('require') as NodeRequire
+    req.resolve(pkg)
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Problem reported when the peer package of a driver is missing
+export function missingPackageProblems(pkg: string, driver: string): ConfigProblem[] {
+  return isPackageInstalled(pkg)
+    ? []
+    : [{ field: pkg, severity: 'error', message: `not installed; run "npm install ${pkg}" to use OTP_DB_DRIVER=${driver}` }]
+}
+
+/**
+ * One entry of the pepper keyring. `id` is persisted with every record written
+ * under the key; it is undefined for the legacy single `OTP_PEPPER`.
+ */
+export interface PepperKey {
+  id?: string
+  secret: string
+}
+
+const PEPPER_KEY_ID = /^[A-Za-z0-9_.-]+$/
+
+/** Whether `id` may be used as an `OTP_PEPPERS` key id. */
+export function isValidPepperKeyId(id: string): boolean {
+  return PEPPER_KEY_ID.test(id)
+}
+
+/**
+ * Parses `OTP_PEPPERS` ("k2:secret2,k1:secret1"). The first entry is the
+ * active key used for new records; the rest are retired keys that are still
+ * accepted for validation. Returns an empty list when the variable is unset.
+ */
+export function pepperKeyring(): PepperKey[] {
+  const raw = (process.env.OTP_PEPPERS || '').trim()
+  if (!raw) return []
+  const keys: PepperKey[] = []
+  for (const entry of raw.split(',')) {
+    const sep = entry.indexOf(':')
+    const id = sep > 0 ? entry.slice(0, sep).trim() : ''
+    const secret = sep > 0 ? entry.slice(sep + 1).trim() : ''
+    if (!isValidPepperKeyId(id) || !secret) {
+      throw new Error('Invalid OTP_PEPPERS: expected comma-separated "keyId:secret" entries (key ids may use letters, digits, "_", "." and "-")')
+    }
+    if (keys.some((k) => k.id === id)) throw new Error(`Invalid OTP_PEPPERS: duplicate key id "${id}"`)
+    keys.push({ id, secret })
+  }
+  return keys
+}
+
+/**
+ * Every pepper that can verify a stored record, active first: the keyring
+ * entries, then the legacy `OTP_PEPPER` for records written before rotation.
+ * Without any pepper the list holds a single empty secret (plain SHA-256).
+ */
+export function pepperCandidates(): PepperKey[] {
+  const ring = pepperKeyring()
+  const legacy = process.env.OTP_PEPPER || ''
+  if (ring.length === 0) return [{ secret: legacy }]
+  return legacy && !ring.some((k) => k.secret === legacy) ? [...ring, { secret: legacy }] : ring
+}
 
+/** Key used to write new records. */
+export function activePepperKey(): PepperKey {
+  return pepperCandidates()[0]
+}
+
+function requirePepper(pepper: string, what: string): void {
   // In production, require a pepper to mitigate trivial OTP brute force
   const allowInsecure = process.env.ONEHITTER_ALLOW_INSECURE_HASH === 'true'
   if (process.env.NODE_ENV === 'production' && !pepper && !allowInsecure) {
-    throw new Error('Security requirement: OTP_PEPPER must be set in production to HMAC-protect OTP hashes (override with ONEHITTER_ALLOW_INSECURE_HASH=true for non-prod-like runs)')
+    throw new Error(`Security requirement: OTP_PEPPER must be set in production (or configure OTP_PEPPERS) to HMAC-protect ${what} (override with ONEHITTER_ALLOW_INSECURE_HASH=true for non-prod-like runs)`)
   }
+}
 
-  const message = salt ? `${contact}|${otp}|${salt}` : `${contact}|${otp}`
+export const computeOtpHash = (
+  contact: string,
+  otp: string,
+  opts?: { salt?: string; pepper?: PepperKey; purpose?: string },
+): string => {
+  const pepper = (opts?.pepper ?? activePepperKey()).secret
+  const salt = opts?.salt || ''
+  requirePepper(pepper, 'OTP hashes')
+
+  // Codes without a purpose keep the original message, so existing records still match
+  const base = salt ? `${contact}|${otp}|${salt}` : `${contact}|${otp}`
+  const message = opts?.purpose ? `${base}|purpose:${opts.purpose}` : base
   if (pepper) {
     // Use HMAC-SHA256 when a pepper (shared secret) is provided
     const crypto = require('crypto') as typeof import('crypto')
@@ -49,14 +252,10 @@ export const computeOtpHash = (contact: string, otp: string, opts?: { salt?: str
  * component. It allows equality comparison (lookups) without storing the
  * original contact value in the database.
  */
-export const computeContactId = (contact: string, opts?: { salt?: string }): string => {
-  const pepper = process.env.OTP_PEPPER || ''
+export const computeContactId = (contact: string, opts?: { salt?: string; pepper?: PepperKey }): string => {
+  const pepper = (opts?.pepper ?? activePepperKey()).secret
   const salt = opts?.salt || ''
-
-  const allowInsecure = process.env.ONEHITTER_ALLOW_INSECURE_HASH === 'true'
-  if (process.env.NODE_ENV === 'production' && !pepper && !allowInsecure) {
-    throw new Error('Security requirement: OTP_PEPPER must be set in production to HMAC-protect contact identifiers and OTP hashes (override with ONEHITTER_ALLOW_INSECURE_HASH=true for non-prod-like runs)')
-  }
+  requirePepper(pepper, 'contact identifiers and OTP hashes')
 
   const message = salt ? `${contact}|${salt}` : contact
   const crypto = require('crypto') as typeof import('crypto')
@@ -66,3 +265,320 @@ export const computeContactId = (contact: string, opts?: { salt?: string }): str
   }
   return crypto.createHash('sha256').update(message, 'utf8').digest('hex')
 }
+
+/**
+ * Contact identifiers under every known pepper, active first. A record is
+ * found through the identifier of the key it was written with, which is then
+ * the key to verify its hash against.
+ */
+export function contactLookups(contact: string): Array<{ contactId: string; pepper: PepperKey }> {
+  return pepperCandidates().map((pepper) => ({ contactId: computeContactId(contact, { pepper }), pepper }))
+}
+
+/** Whether a record written under `pepperKeyId` (undefined = legacy) is on a retired key. */
+export function isRetiredPepperKey(pepperKeyId?: string | null): boolean {
+  return (pepperKeyId ?? undefined) !== activePepperKey().id
+}
+
+function envFlag(name: string): boolean {
+  const v = process.env[name]
+  return v === 'true' || v === '1'
+}
+
+/** Whether `create` should salt the record, from the call options or OTP_PER_RECORD_SALT. */
+export function perRecordSaltEnabled(opts?: StorageOptions): boolean {
+  if (typeof opts?.perRecordSalt === 'boolean') return opts.perRecordSalt
+  return envFlag('OTP_PER_RECORD_SALT')
+}
+
+/** Whether `create` should revoke older codes, from the call options or OTP_SUPERSEDE_PREVIOUS. */
+export function supersedePreviousEnabled(opts?: StorageOptions): boolean {
+  if (typeof opts?.supersedePrevious === 'boolean') return opts.supersedePrevious
+  return envFlag('OTP_SUPERSEDE_PREVIOUS')
+}
+
+/** Whether `create` should encrypt metadata, from the call options or OTP_ENCRYPT_METADATA. */
+export function encryptMetadataEnabled(opts?: StorageOptions): boolean {
+  if (typeof opts?.encryptMetadata === 'boolean') return opts.encryptMetadata
+  return envFlag('OTP_ENCRYPT_METADATA')
+}
+
+/**
+ * Miss limit per code, from the call options or OTP_MAX_ATTEMPTS (default 5).
+ * Returns 0 when the counter is disabled.
+ */
+export function maxAttemptsOf(opts?: StorageOptions): number {
+  const env = process.env.OTP_MAX_ATTEMPTS
+  const raw = typeof opts?.maxAttempts === 'number'
+    ? opts.maxAttempts
+    : (env != null && env.trim() !== '' ? Number(env) : DEFAULT_MAX_ATTEMPTS)
+  return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 0
+}
+
+/**
+ * Tombstone window for consumed codes, from the call options or
+ * OTP_USED_TOMBSTONE_SECONDS (default 300). Returns 0 when codes are deleted on use.
+ */
+export function usedTombstoneSecondsOf(opts?: StorageOptions): number {
+  const env = process.env.OTP_USED_TOMBSTONE_SECONDS
+  const raw = typeof opts?.usedTombstoneSeconds === 'number'
+    ? opts.usedTombstoneSeconds
+    : (env != null && env.trim() !== '' ? Number(env) : DEFAULT_USED_TOMBSTONE_SECONDS)
+  return Number.isFinite(raw) && raw > 0 ? raw : 0
+}
+
+/** Expiry (epoch ms) of the tombstone left by consuming a code at `now`: the end of the window, or the code's own expiry if sooner. */
+export function tombstoneExpiresAt(expiresAt: number | null | undefined, now: number, seconds: number): number {
+  const end = now + seconds * 1000
+  return expiresAt != null && expiresAt < end ? expiresAt : end
+}
+
+/**
+ * Expiry persisted with a new record: `otp.expiresAt`, else `createdAt` plus
+ * `otp.expiresInSeconds`, else `createdAt` plus the default expiry
+ * (`ttlSeconds`) when a positive one is configured. Undefined means the code
+ * does not expire. Throws on an invalid or conflicting per-code expiry.
+ */
+export function expiresAtOf(otp: OtpDoc, createdAt: Date, ttlSeconds?: number): Date | undefined {
+  if (otp.expiresAt != null && otp.expiresInSeconds != null) {
+    throw new Error('Pass either expiresAt or expiresInSeconds, not both')
+  }
+  if (otp.expiresAt != null) {
+    const ms = new Date(otp.expiresAt).getTime()
+    if (!Number.isFinite(ms)) throw new Error('expiresAt must be a valid Date')
+    if (ms <= createdAt.getTime()) throw new Error('expiresAt must be later than createdAt')
+    return new Date(ms)
+  }
+  if (otp.expiresInSeconds != null && !(Number.isFinite(otp.expiresInSeconds) && otp.expiresInSeconds > 0)) {
+    throw new Error(`expiresInSeconds must be a positive number of seconds (got ${otp.expiresInSeconds})`)
+  }
+  const seconds = otp.expiresInSeconds ?? ttlSeconds
+  return typeof seconds === 'number' && seconds > 0 ? new Date(createdAt.getTime() + seconds * 1000) : undefined
+}
+
+/**
+ * Whether a stored record (times in epoch ms) is past its expiry at `now`:
+ * its persisted `expiresAt` when set, else `createdAt` plus `ttlSeconds`
+ * for records written before the expiry was stored.
+ */
+export function isPastExpiry(record: { createdAt: number; expiresAt?: number | null }, now: number, ttlSeconds?: number): boolean {
+  const at = expiryOf(record, ttlSeconds)
+  return at != null && now > at
+}
+
+/** Epoch ms a stored record expires at, judged like isPastExpiry; undefined when it never does. */
+export function expiryOf(record: { createdAt: number; expiresAt?: number | null }, ttlSeconds?: number): number | undefined {
+  if (record.expiresAt != null) return record.expiresAt
+  return typeof ttlSeconds === 'number' && ttlSeconds > 0 ? record.createdAt + ttlSeconds * 1000 : undefined
+}
+
+/** Adds `expiresAt` to a validation result when it is known. */
+export function withExpiry(result: ValidateResult, expiresAt?: number): ValidateResult {
+  return expiresAt == null ? result : { ...result, expiresAt: new Date(expiresAt) }
+}
+
+export const MAX_METADATA_BYTES = 4096
+
+const METADATA_ENC_PREFIX = 'enc:v1:'
+
+// AES-256 key for metadata, derived from the pepper so no extra secret has to be managed
+function metadataKey(pepper: PepperKey): Buffer {
+  const crypto = require('crypto') as typeof import('crypto')
+  return Buffer.from(crypto.hkdfSync('sha256', pepper.secret, Buffer.alloc(0), 'onehitter:metadata:v1', 32))
+}
+
+/**
+ * Serializes metadata for storage. With `encrypt`, the JSON is sealed with
+ * AES-256-GCM under a key derived from `pepper` and bound to the record's
+ * `otpHash`, so it cannot be read without the pepper or moved to another record.
+ * Throws when the metadata is not a plain JSON object or exceeds MAX_METADATA_BYTES.
+ */
+export function encodeMetadata(
+  metadata: OtpMetadata,
+  opts: { encrypt: boolean; pepper: PepperKey; otpHash: string },
+): string {
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error('metadata must be a plain JSON object')
+  }
+  const json = JSON.stringify(metadata)
+  if (Buffer.byteLength(json, 'utf8') > MAX_METADATA_BYTES) {
+    throw new Error(`metadata must serialize to at most ${MAX_METADATA_BYTES} bytes of JSON`)
+  }
+  if (!opts.encrypt) return json
+  if (!opts.pepper.secret) {
+    throw new Error('Encrypting metadata requires a pepper: set OTP_PEPPER or OTP_PEPPERS')
+  }
+  const crypto = require('crypto') as typeof import('crypto')
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', metadataKey(opts.pepper), iv)
+  cipher.setAAD(Buffer.from(opts.otpHash, 'utf8'))
+  const sealed = Buffer.concat([cipher.update(json, 'utf8'), cipher.final()])
+  return METADATA_ENC_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), sealed]).toString('base64')
+}
+
+/**
+ * Reverses `encodeMetadata`, decrypting with the pepper the record was
+ * matched under. Returns undefined when nothing was stored.
+ */
+export function decodeMetadata(stored: string | null | undefined, pepper: PepperKey | undefined, otpHash: string): OtpMetadata | undefined {
+  if (stored == null || stored === '') return undefined
+  if (!stored.startsWith(METADATA_ENC_PREFIX)) return JSON.parse(stored) as OtpMetadata
+  if (!pepper?.secret) throw new Error('Cannot decrypt OTP metadata: the pepper it was written with is not configured')
+  const crypto = require('crypto') as typeof import('crypto')
+  const raw = Buffer.from(stored.slice(METADATA_ENC_PREFIX.length), 'base64')
+  const decipher = crypto.createDecipheriv('aes-256-gcm', metadataKey(pepper), raw.subarray(0, 12))
+  decipher.setAAD(Buffer.from(otpHash, 'utf8'))
+  decipher.setAuthTag(raw.subarray(12, 28))
+  const json = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8')
+  return JSON.parse(json) as OtpMetadata
+}
+
+/** Random per-record salt (128 bits, hex). */
+export function generateSalt(): string {
+  const crypto = require('crypto') as typeof import('crypto')
+  return crypto.randomBytes(16).toString('hex')
+}
+
+/** Random challenge handle (128 bits, base64url) returned by `create`. */
+export function generateChallengeId(): string {
+  const crypto = require('crypto') as typeof import('crypto')
+  return crypto.randomBytes(16).toString('base64url')
+}
+
+// Hashed in place of the contact for challengeHash, in a namespace no contact can collide with
+function challengeSubject(challengeId: string): string {
+  return `challenge:${challengeId}`
+}
+
+/**
+ * Hash that lets a record be verified by its challenge handle without the
+ * contact: the OTP hashed like `computeOtpHash`, with the challenge in place
+ * of the contact.
+ */
+export function computeChallengeHash(
+  challengeId: string,
+  otp: string,
+  opts?: { salt?: string; pepper?: PepperKey; purpose?: string },
+): string {
+  return computeOtpHash(challengeSubject(challengeId), otp, opts)
+}
+
+/** Pepper a record written under `pepperKeyId` is verified with (undefined = legacy), if still configured. */
+export function pepperForKeyId(pepperKeyId?: string | null): PepperKey | undefined {
+  return pepperCandidates().find((k) => k.id === (pepperKeyId ?? undefined))
+}
+
+// Stored fields a validation needs to check one candidate record
+export interface CandidateRecord {
+  contactId: string
+  otpHash: string
+  salt?: string | null
+  pepperKeyId?: string | null
+  challengeHash?: string | null
+}
+
+export interface OtpMatcher {
+  // Contact identifiers to select candidates by (undefined when validating by challenge only)
+  contactIds?: string[]
+  // Challenge handle to select candidates by
+  challengeId?: string
+  // Returns the pepper the record verified under, or undefined when it does not match
+  matches(record: CandidateRecord): PepperKey | undefined
+}
+
+/**
+ * Candidate selection and verification for one validation. By contact, every
+ * record of the contact (under every known pepper) is a candidate and is
+ * checked against `otpHash`. With a `challengeId`, only the record issued
+ * under it is, checked against `challengeHash`; when a contact is given too,
+ * the record must also belong to it. Throws when neither is given.
+ */
+export function otpMatcher(check: OtpCheck): OtpMatcher {
+  if (check.contact == null && check.challengeId == null) {
+    throw new Error('Validation needs a contact or a challengeId')
+  }
+  const lookups = check.contact != null ? contactLookups(check.contact) : undefined
+  const { challengeId } = check
+  return {
+    contactIds: lookups?.map((l) => l.contactId),
+    challengeId,
+    matches(record) {
+      const lookup = lookups?.find((l) => l.contactId === record.contactId)
+      if (challengeId == null) {
+        return lookup && matchesOtpHash(check.contact!, check.otp, record, lookup.pepper, check.purpose) ? lookup.pepper : undefined
+      }
+      if (lookups && !lookup) return undefined
+      const pepper = pepperForKeyId(record.pepperKeyId)
+      if (!pepper || !record.challengeHash) return undefined
+      const stored = { otpHash: record.challengeHash, salt: record.salt }
+      return matchesOtpHash(challengeSubject(challengeId), check.otp, stored, pepper, check.purpose) ? pepper : undefined
+    },
+  }
+}
+
+// Stored time as epoch ms; SQLite yields numbers, Postgres and MongoDB Dates
+function epochMs(value: number | string | Date | null | undefined): number | undefined {
+  if (value == null) return undefined
+  return value instanceof Date ? value.getTime() : Number(value)
+}
+
+// Validation candidate with its stored times; a set `usedAt` marks a tombstone
+export interface TimedCandidate extends CandidateRecord {
+  createdAt: number | string | Date
+  expiresAt?: number | string | Date | null
+  usedAt?: number | string | Date | null
+}
+
+export type CandidatePick<T> =
+  | { match: T; pepper: PepperKey; expiresAt?: number }
+  | { status: 'used' | 'not_found' }
+  | { miss: T[]; status: 'mismatch' | 'not_found'; expiresAt?: number }
+
+/**
+ * Decides a validation over its candidates (newest first): the newest
+ * unconsumed record that matches is the one to consume. Without one, a match
+ * among unexpired tombstones means a replay ('used'). Otherwise `miss` lists
+ * the unconsumed records a wrong guess counts against, and `status` is what
+ * to report when none of them is burned: 'mismatch' while one of them is
+ * still unexpired, else 'not_found'. `expiresAt` is the match's expiry, or
+ * the latest among the unexpired misses (absent if one of them never expires).
+ */
+export function pickCandidate<T extends TimedCandidate>(
+  candidates: T[],
+  matcher: OtpMatcher,
+  now: number,
+  ttlSeconds?: number,
+): CandidatePick<T> {
+  const expiry = (r: T) => expiryOf({ createdAt: epochMs(r.createdAt)!, expiresAt: epochMs(r.expiresAt) }, ttlSeconds)
+  const expired = (r: T) => { const at = expiry(r); return at != null && now > at }
+  const unconsumed = candidates.filter((r) => r.usedAt == null)
+  for (const r of unconsumed) {
+    const pepper = matcher.matches(r)
+    if (pepper) return { match: r, pepper, expiresAt: expiry(r) }
+  }
+  if (candidates.some((r) => r.usedAt != null && !expired(r) && matcher.matches(r))) return { status: 'used' }
+  if (unconsumed.length === 0) return { status: 'not_found' }
+  const live = unconsumed.filter((r) => !expired(r))
+  if (live.length === 0) return { miss: unconsumed, status: 'not_found' }
+  const expiries = live.map(expiry)
+  const expiresAt = expiries.every((at) => at != null) ? Math.max(...(expiries as number[])) : undefined
+  return { miss: unconsumed, status: 'mismatch', expiresAt }
+}
+
+/**
+ * Checks a submitted OTP against one stored record, re-hashing with the
+ * record's own salt (if any), pepper and the purpose being validated for.
+ * Comparison is constant-time.
+ */
+export function matchesOtpHash(
+  contact: string,
+  otp: string,
+  stored: { otpHash: string; salt?: string | null },
+  pepper?: PepperKey,
+  purpose?: string,
+): boolean {
+  const crypto = require('crypto') as typeof import('crypto')
+  const candidate = Buffer.from(computeOtpHash(contact, otp, { salt: stored.salt ?? undefined, pepper, purpose }), 'utf8')
+  const expected = Buffer.from(String(stored.otpHash), 'utf8')
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)
+}
@@ -1,15 +1,100 @@
-import type { InsertOneResult } from 'mongodb'
-import type { DbAdapter, OtpDoc, ValidateStatus } from './shared.js'
-import { otpCreate, otpValidateWithStatus } from './sqlite-functions.js'
+import type { ConfigProblem } from '../config-check.js'
+import { missingPackageProblems, type CreateResult, type DbAdapter, type OtpCheck, type OtpDoc, type RecordCounts, type StorageOptions, type ValidateResult, type ValidateStatus } from './shared.js'
+import { otpCountRecords, otpCountRetiredPepper, otpCreate, otpDelete, otpPurgeExpired, otpValidateDetailed, otpValidateWithStatus } from './sqlite-functions.js'
+import { startExpirySweeper, type ExpirySweeper } from './sweeper.js'
+
+export interface SqliteAdapterOptions {
+  // Database file; falls back to SQLITE_PATH, then an in-memory database
+  path?: string
+  // Run purgeExpired() in the background every N seconds; falls back to OTP_SQLITE_SWEEP_SECONDS (0/unset disables)
+  sweepIntervalSeconds?: number
+  // Receives errors from background sweeps; they are otherwise ignored
+  onSweepError?: (err: unknown) => void
+}
 
 export class SqliteAdapter implements DbAdapter {
   readonly name = 'sqlite' as const
+  private sweeper: ExpirySweeper | null = null
+  private readonly onSweepError?: (err: unknown) => void
+  private readonly path?: string
+
+  constructor(opts?: SqliteAdapterOptions) {
+    this.path = opts?.path
+    this.onSweepError = opts?.onSweepError
+    const interval = opts?.sweepIntervalSeconds ?? Number(process.env.OTP_SQLITE_SWEEP_SECONDS)
+    if (Number.isFinite(interval) && interval > 0) this.startSweeper(interval)
+  }
+
+  /**
+   * Starts (or restarts) the background sweeper that deletes expired rows every
+   * `intervalSeconds`. The timer is unref'd, so it never keeps the process alive.
+   */
+  startSweeper(intervalSeconds: number): void {
+    this.stopSweeper()
+    this.sweeper = startExpirySweeper(() => this.purgeExpired(), {
+      intervalMs: intervalSeconds * 1000,
+      onError: this.onSweepError,
+    })
+  }
+
+  /** Stops the background sweeper, if running. */
+  stopSweeper(): void {
+    this.sweeper?.stop()
+    this.sweeper = null
+  }
+
+  /** Stops the background sweeper. The SQLite connection is shared per file and stays open. */
+  async close(): Promise<void> {
+    this.stopSweeper()
+  }
+
+  /** Reports a missing sqlite3 package, and warns when records would only live in memory. */
+  validateConfig(): ConfigProblem[] {
+    const problems = missingPackageProblems('sqlite3', 'sqlite')
+    if ((this.path ?? process.env.SQLITE_PATH ?? ':memory:') === ':memory:') {
+      problems.push({ field: 'SQLITE_PATH', severity: 'warning', message: 'using an in-memory database; records are lost on restart' })
+    }
+    return problems
+  }
+
+  async create(args: { client?: unknown; otp: OtpDoc; options?: StorageOptions }): Promise<CreateResult> {
+    return await otpCreate(args.otp, args.options, this.path)
+  }
+
+  async validateWithStatus(args: {
+    client?: unknown
+    otp: OtpCheck
+    options?: StorageOptions
+  }): Promise<ValidateStatus> {
+    return await otpValidateWithStatus(args.otp, undefined, args.options?.expirySeconds, args.options, this.path)
+  }
+
+  /** Like validateWithStatus, also returning the metadata stored with a consumed code. */
+  async validateDetailed(args: {
+    client?: unknown
+    otp: OtpCheck
+    options?: StorageOptions
+  }): Promise<ValidateResult> {
+    return await otpValidateDetailed(args.otp, undefined, args.options?.expirySeconds, args.options, this.path)
+  }
+
+  /** Deletes rows past their stored expiresAt (indexed; legacy rows without one go by createdAt). Returns the number removed. */
+  async purgeExpired(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<number> {
+    return await otpPurgeExpired(args?.now, args?.options?.expirySeconds, this.path)
+  }
+
+  /** Deletes the row with the `insertedId` create returned. */
+  async deleteRecord(args: { client?: unknown; id: unknown; options?: StorageOptions }): Promise<boolean> {
+    return await otpDelete(args.id, this.path)
+  }
 
-  async create(args: { client?: unknown; otp: OtpDoc }): Promise<InsertOneResult<unknown>> {
-    return await otpCreate(args.otp)
+  /** Counts rows inside and past the expiry window. */
+  async countRecords(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<RecordCounts> {
+    return await otpCountRecords(args?.now, args?.options?.expirySeconds, this.path)
   }
 
-  async validateWithStatus(args: { client?: unknown; otp: Pick<OtpDoc, 'contact' | 'otp'> }): Promise<ValidateStatus> {
-    return await otpValidateWithStatus(args.otp)
+  /** Counts unexpired rows still written under a retired pepper key. */
+  async countRetiredPepperRecords(args?: { client?: unknown; now?: Date; options?: StorageOptions }): Promise<number> {
+    return await otpCountRetiredPepper(args?.now, args?.options?.expirySeconds, this.path)
   }
-}
\ No newline at end of file
+}
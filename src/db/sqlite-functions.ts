@@ -1,8 +1,36 @@
-import type { InsertOneResult } from 'mongodb'
-import { SQLITE_PATH, computeOtpHash, computeContactId, type OtpDoc, type ValidateStatus } from './shared.js'
+import {
+  activePepperKey,
+  computeChallengeHash,
+  computeOtpHash,
+  computeContactId,
+  contactLookups,
+  decodeMetadata,
+  encodeMetadata,
+  encryptMetadataEnabled,
+  expiresAtOf,
+  generateChallengeId,
+  generateSalt,
+  isPastExpiry,
+  maxAttemptsOf,
+  otpMatcher,
+  pickCandidate,
+  perRecordSaltEnabled,
+  supersedePreviousEnabled,
+  tombstoneExpiresAt,
+  usedTombstoneSecondsOf,
+  withExpiry,
+  type OtpCheck,
+  type OtpDoc,
+  type CreateResult,
+  type RecordCounts,
+  type StorageOptions,
+  type ValidateResult,
+  type ValidateStatus,
+} from './shared.js'
 
 let sqlite3: any | undefined
-let db: any | null = null
+// One connection per database file, so instances configured with different paths stay apart
+const dbs = new Map<string, any>()
 
 // Bundler-safe loader for optional sqlite3 dependency.
 // Using eval('require') prevents bundlers from eagerly resolving the sqlite3
@@ -23,80 +51,266 @@ function loadSqlite3(): any {
   }
 }
 
-function getDb(): any {
-  if (db) return db
+// `path` falls back to SQLITE_PATH (read at call time), then an in-memory database
+function getDb(path?: string): any {
+  const file = path ?? process.env.SQLITE_PATH ?? ':memory:'
+  const existing = dbs.get(file)
+  if (existing) return existing
   // Lazy-load sqlite3 only when the SQLite driver is actually used
   const s: any = sqlite3 ?? (sqlite3 = loadSqlite3())
-  db = new s.Database(SQLITE_PATH)
+  const db = new s.Database(file)
+  dbs.set(file, db)
   db.serialize(() => {
-    db!.run(
+    db.run(
       'CREATE TABLE IF NOT EXISTS otp (\n' +
         '  id INTEGER PRIMARY KEY AUTOINCREMENT,\n' +
         '  contactId TEXT NOT NULL,\n' +
         '  otpHash TEXT NOT NULL,\n' +
-        '  createdAt INTEGER NOT NULL\n' +
+        '  salt TEXT,\n' +
+        '  pepperKeyId TEXT,\n' +
+        '  purpose TEXT,\n' +
+        '  attempts INTEGER NOT NULL DEFAULT 0,\n' +
+        '  createdAt INTEGER NOT NULL,\n' +
+        '  expiresAt INTEGER,\n' +
+        '  metadata TEXT,\n' +
+        '  challengeId TEXT,\n' +
+        '  challengeHash TEXT,\n' +
+        '  usedAt INTEGER\n' +
       ')',
     )
-    db!.run('CREATE INDEX IF NOT EXISTS idx_otp_contact_hash ON otp(contactId, otpHash)')
-    db!.run('CREATE INDEX IF NOT EXISTS idx_otp_createdAt ON otp(createdAt)')
+    // Databases created by older versions lack these columns; the
+    // duplicate-column error on newer files is expected and ignored.
+    db.run('ALTER TABLE otp ADD COLUMN salt TEXT', () => {})
+    db.run('ALTER TABLE otp ADD COLUMN pepperKeyId TEXT', () => {})
+    db.run('ALTER TABLE otp ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0', () => {})
+    db.run('ALTER TABLE otp ADD COLUMN purpose TEXT', () => {})
+    db.run('ALTER TABLE otp ADD COLUMN expiresAt INTEGER', () => {})
+    db.run('ALTER TABLE otp ADD COLUMN metadata TEXT', () => {})
+    db.run('ALTER TABLE otp ADD COLUMN challengeId TEXT', () => {})
+    db.run('ALTER TABLE otp ADD COLUMN challengeHash TEXT', () => {})
+    db.run('ALTER TABLE otp ADD COLUMN usedAt INTEGER', () => {})
+    db.run('CREATE INDEX IF NOT EXISTS idx_otp_contact_hash ON otp(contactId, otpHash)')
+    db.run('CREATE INDEX IF NOT EXISTS idx_otp_createdAt ON otp(createdAt)')
+    db.run('CREATE INDEX IF NOT EXISTS idx_otp_expiresAt ON otp(expiresAt)')
+    db.run('CREATE INDEX IF NOT EXISTS idx_otp_challengeId ON otp(challengeId)')
   })
   return db
 }
 
-export const otpCreate = async (otp: OtpDoc): Promise<InsertOneResult<unknown>> => {
-  const database = getDb()
+// An explicit expiry (the expirySeconds option) wins over OTP_EXPIRY
+function ttlOf(ttlSeconds?: number): number | undefined {
+  if (typeof ttlSeconds === 'number') return ttlSeconds
+  const ttlEnv = Number(process.env.OTP_EXPIRY)
+  return Number.isFinite(ttlEnv) ? ttlEnv : undefined
+}
+
+// WHERE clause for rows past their own expiresAt, or legacy rows (NULL expiresAt) older than the TTL
+function expiredClause(now: Date, ttl?: number): { sql: string; params: number[] } {
+  if (!(typeof ttl === 'number' && ttl > 0)) return { sql: 'expiresAt < ?', params: [now.getTime()] }
+  return {
+    sql: '(expiresAt < ? OR (expiresAt IS NULL AND createdAt < ?))',
+    params: [now.getTime(), now.getTime() - ttl * 1000],
+  }
+}
+
+export const otpCreate = async (otp: OtpDoc, options?: StorageOptions, path?: string): Promise<CreateResult> => {
+  const database = getDb(path)
   const createdAt = otp.createdAt ? otp.createdAt.getTime() : Date.now()
-  const otpHash = computeOtpHash(otp.contact, otp.otp)
-  const contactId = computeContactId(otp.contact)
+  const expiresAt = expiresAtOf(otp, new Date(createdAt), ttlOf(options?.expirySeconds))
+  const salt = perRecordSaltEnabled(options) ? generateSalt() : null
+  const pepper = activePepperKey()
+  const otpHash = computeOtpHash(otp.contact, otp.otp, { salt: salt ?? undefined, pepper, purpose: otp.purpose })
+  const contactId = computeContactId(otp.contact, { pepper })
+  const challengeId = generateChallengeId()
+  const challengeHash = computeChallengeHash(challengeId, otp.otp, { salt: salt ?? undefined, pepper, purpose: otp.purpose })
+  const metadata = otp.metadata
+    ? encodeMetadata(otp.metadata, { encrypt: encryptMetadataEnabled(options), pepper, otpHash })
+    : null
 
   return await new Promise((resolve, reject) => {
     database.run(
-      'INSERT INTO otp (contactId, otpHash, createdAt) VALUES (?, ?, ?)',
-      [contactId, otpHash, createdAt],
+      'INSERT INTO otp (contactId, otpHash, salt, pepperKeyId, createdAt, purpose, expiresAt, metadata, challengeId, challengeHash) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [contactId, otpHash, salt, pepper.id ?? null, createdAt, otp.purpose ?? null, expiresAt?.getTime() ?? null, metadata, challengeId, challengeHash],
       function (this: any, err: any) {
         if (err) return reject(err)
+        const id = this.lastID
         // Shape it like a Mongo InsertOneResult enough for callers
-        resolve({ acknowledged: true, insertedId: this.lastID } as unknown as InsertOneResult<unknown>)
+        const result = { acknowledged: true, insertedId: id, challengeId, ...(expiresAt ? { expiresAt } : {}) } as unknown as CreateResult
+        if (!supersedePreviousEnabled(options)) return resolve(result)
+
+        // Insert first, then drop every older code: concurrent creates always
+        // leave the one with the highest id rather than none
+        const contactIds = contactLookups(otp.contact).map((l) => l.contactId)
+        database.run(
+          `DELETE FROM otp WHERE contactId IN (${contactIds.map(() => '?').join(', ')}) AND id < ?`,
+          [...contactIds, id],
+          (delErr: any) => (delErr ? reject(delErr) : resolve(result)),
+        )
       },
     )
   })
 }
 
+// Counts a miss against the given codes and deletes those that reached the limit;
+// resolves whether any was burned
+function recordMiss(database: any, ids: number[], max: number): Promise<boolean> {
+  const list = ids.map(() => '?').join(', ')
+  return new Promise<boolean>((resolve, reject) => {
+    database.run(`UPDATE otp SET attempts = attempts + 1 WHERE id IN (${list})`, ids, (err: any) => {
+      if (err) return reject(err)
+      database.run(
+        `DELETE FROM otp WHERE id IN (${list}) AND attempts >= ?`,
+        [...ids, max],
+        function (this: any, delErr: any) {
+          if (delErr) return reject(delErr)
+          resolve(this.changes > 0)
+        },
+      )
+    })
+  })
+}
+
+// Runs a single-row write; resolves whether it changed the row (false when a concurrent validator got there first)
+function changesOne(database: any, sql: string, params: unknown[]): Promise<boolean> {
+  return new Promise<boolean>((resolve, reject) => {
+    database.run(sql, params, function (this: any, err: any) {
+      if (err) return reject(err)
+      resolve(this.changes === 1)
+    })
+  })
+}
+
+/** Validates and consumes a code, returning its status and, on 'ok', its metadata. */
+export const otpValidateDetailed = async (
+  otp: OtpCheck,
+  now: Date = new Date(),
+  ttlSeconds?: number,
+  options?: StorageOptions,
+  path?: string,
+): Promise<ValidateResult> => {
+  const database = getDb(path)
+  const matcher = otpMatcher(otp)
+  const where: string[] = []
+  const params: unknown[] = []
+  if (matcher.contactIds) {
+    where.push(`contactId IN (${matcher.contactIds.map(() => '?').join(', ')})`)
+    params.push(...matcher.contactIds)
+  }
+  if (matcher.challengeId != null) {
+    where.push('challengeId = ?')
+    params.push(matcher.challengeId)
+  }
+
+  // Single-statement atomicity: select the candidates (the contact's, under every
+  // known pepper, or the challenge's; newest first), verify each against its stored
+  // salt and pepper, then conditionally consume the match.
+  // We avoid explicit BEGIN/COMMIT to prevent nested transaction errors under concurrency.
+  const rows = await new Promise<any[]>((resolve, reject) => {
+    database.all(
+      `SELECT id, contactId, otpHash, salt, pepperKeyId, challengeHash, createdAt, expiresAt, usedAt, metadata FROM otp WHERE ${where.join(' AND ')} ORDER BY id DESC`,
+      params,
+      (err: any, found: any[]) => (err ? reject(err) : resolve(found ?? [])),
+    )
+  })
+  const nowMs = now.getTime()
+  const pick = pickCandidate(rows, matcher, nowMs, ttlOf(ttlSeconds))
+  if ('miss' in pick) {
+    const max = maxAttemptsOf(options)
+    const burned = max > 0 && await recordMiss(database, pick.miss.map((r) => r.id as number), max)
+    return burned ? { status: 'too_many_attempts' } : withExpiry({ status: pick.status }, pick.expiresAt)
+  }
+  if (!('match' in pick)) return { status: pick.status }
+
+  const row = pick.match
+  const record = { createdAt: Number(row.createdAt), expiresAt: row.expiresAt == null ? null : Number(row.expiresAt) }
+  const tombstoneSeconds = usedTombstoneSecondsOf(options)
+  if (isPastExpiry(record, nowMs, ttlOf(ttlSeconds))) {
+    // If another concurrent validator deleted it first, changes will be 0
+    const deleted = await changesOne(database, 'DELETE FROM otp WHERE id = ?', [row.id])
+    return deleted ? withExpiry({ status: 'expired' }, pick.expiresAt) : { status: 'not_found' }
+  }
+  // Decoded before the consume, so a code whose metadata cannot be read stays unused
+  const metadata = decodeMetadata(row.metadata, pick.pepper, row.otpHash)
+  if (tombstoneSeconds > 0) {
+    const consumed = await changesOne(
+      database,
+      'UPDATE otp SET usedAt = ?, expiresAt = ? WHERE id = ? AND usedAt IS NULL',
+      [nowMs, tombstoneExpiresAt(record.expiresAt, nowMs, tombstoneSeconds), row.id],
+    )
+    if (!consumed) return { status: 'used' }
+  } else if (!(await changesOne(database, 'DELETE FROM otp WHERE id = ?', [row.id]))) {
+    return { status: 'not_found' }
+  }
+  return withExpiry(metadata ? { status: 'ok', metadata } : { status: 'ok' }, pick.expiresAt)
+}
+
+/** Like otpValidateDetailed, returning only the status. */
 export const otpValidateWithStatus = async (
-  otp: Pick<OtpDoc, 'contact' | 'otp'>,
+  otp: OtpCheck,
   now: Date = new Date(),
   ttlSeconds?: number,
+  options?: StorageOptions,
+  path?: string,
 ): Promise<ValidateStatus> => {
-  const database = getDb()
-  const otpHash = computeOtpHash(otp.contact, otp.otp)
-  const contactId = computeContactId(otp.contact)
-
-  return await new Promise<ValidateStatus>((resolve, reject) => {
-    // Single-statement atomicity: select the newest id, then conditionally delete it.
-    // We avoid explicit BEGIN/COMMIT to prevent nested transaction errors under concurrency.
-    database.get(
-      'SELECT id, createdAt FROM otp WHERE contactId = ? AND otpHash = ? ORDER BY id DESC LIMIT 1',
-      [contactId, otpHash],
-      function (err: any, row: any) {
-        if (err) return reject(err)
-        if (!row) return resolve('not_found')
+  return (await otpValidateDetailed(otp, now, ttlSeconds, options, path)).status
+}
 
-        const id = row.id as number
-        const createdAtMs = Number(row.createdAt)
-        database.run('DELETE FROM otp WHERE id = ?', [id], function (this: any, delErr: any) {
-          if (delErr) return reject(delErr)
-          // If another concurrent validator deleted it first, changes will be 0
-          if (this.changes !== 1) return resolve('not_found')
-
-          const ttlEnv = Number(process.env.OTP_EXPIRY)
-          const ttl = Number.isFinite(ttlEnv) ? ttlEnv : (typeof ttlSeconds === 'number' ? ttlSeconds : undefined)
-          if (typeof ttl === 'number' && ttl > 0) {
-            const ageMs = now.getTime() - createdAtMs
-            if (ageMs > ttl * 1000) return resolve('expired')
-          }
-          return resolve('ok')
-        })
-      },
-    )
+/**
+ * Deletes every row past its expiry (uses idx_otp_expiresAt; legacy rows
+ * without one go by idx_otp_createdAt and the TTL).
+ * Returns the number of rows removed.
+ */
+export const otpPurgeExpired = async (now: Date = new Date(), ttlSeconds?: number, path?: string): Promise<number> => {
+  const database = getDb(path)
+  const clause = expiredClause(now, ttlOf(ttlSeconds))
+  return await new Promise<number>((resolve, reject) => {
+    database.run(`DELETE FROM otp WHERE ${clause.sql}`, clause.params, function (this: any, err: any) {
+      if (err) return reject(err)
+      resolve(this.changes ?? 0)
+    })
+  })
+}
+
+/** Deletes the row with the given id. Returns whether one was removed. */
+export const otpDelete = async (id: unknown, path?: string): Promise<boolean> => {
+  const database = getDb(path)
+  return await changesOne(database, 'DELETE FROM otp WHERE id = ?', [id])
+}
+
+/** Counts stored rows before and past their expiry; consumed-code tombstones are not active. */
+export const otpCountRecords = async (now: Date = new Date(), ttlSeconds?: number, path?: string): Promise<RecordCounts> => {
+  const database = getDb(path)
+  const clause = expiredClause(now, ttlOf(ttlSeconds))
+  const sql = `SELECT COUNT(*) AS n, SUM(CASE WHEN ${clause.sql} THEN 1 ELSE 0 END) AS expired, `
+    + `SUM(CASE WHEN usedAt IS NULL OR ${clause.sql} THEN 0 ELSE 1 END) AS used FROM otp`
+  return await new Promise<RecordCounts>((resolve, reject) => {
+    database.get(sql, [...clause.params, ...clause.params], (err: any, row: any) => {
+      if (err) return reject(err)
+      const expired = Number(row?.expired ?? 0)
+      resolve({ active: Number(row?.n ?? 0) - expired - Number(row?.used ?? 0), expired })
+    })
+  })
+}
+
+/**
+ * Counts unexpired rows written under a pepper key other than the active one
+ * (legacy rows with a NULL pepperKeyId count once a keyring is in use).
+ * Consumed-code tombstones are left out.
+ */
+export const otpCountRetiredPepper = async (now: Date = new Date(), ttlSeconds?: number, path?: string): Promise<number> => {
+  const database = getDb(path)
+  const activeId = activePepperKey().id
+  const clauses = [activeId ? '(pepperKeyId IS NULL OR pepperKeyId <> ?)' : 'pepperKeyId IS NOT NULL']
+  const params: unknown[] = activeId ? [activeId] : []
+  const clause = expiredClause(now, ttlOf(ttlSeconds))
+  // NOT (...) alone would drop rows where the comparison is NULL
+  clauses.push(`NOT COALESCE(${clause.sql}, 0)`)
+  params.push(...clause.params)
+  clauses.push('usedAt IS NULL')
+  return await new Promise<number>((resolve, reject) => {
+    database.get(`SELECT COUNT(*) AS n FROM otp WHERE ${clauses.join(' AND ')}`, params, (err: any, row: any) => {
+      if (err) return reject(err)
+      resolve(Number(row?.n ?? 0))
+    })
   })
 }
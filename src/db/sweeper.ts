@@ -0,0 +1,38 @@
+export interface ExpirySweeperOptions {
+  // Milliseconds between purge passes
+  intervalMs: number
+  // Called with each purge error; errors are swallowed when omitted so the timer keeps running
+  onError?: (err: unknown) => void
+  // Called with the number of records removed by each pass
+  onPurged?: (removed: number) => void
+}
+
+export interface ExpirySweeper {
+  stop(): void
+}
+
+/**
+ * Runs `purge` every `intervalMs` on an unref'd timer, so the sweeper never
+ * keeps the process alive on its own. A pass is skipped while the previous
+ * one is still running. Call `stop()` to clear the timer.
+ */
+export function startExpirySweeper(purge: () => Promise<number>, opts: ExpirySweeperOptions): ExpirySweeper {
+  if (!(Number.isFinite(opts.intervalMs) && opts.intervalMs > 0)) {
+    throw new Error(`Invalid sweeper interval: ${opts.intervalMs} (expected a positive number of milliseconds)`)
+  }
+  let running = false
+  const timer = setInterval(async () => {
+    if (running) return
+    running = true
+    try {
+      const removed = await purge()
+      opts.onPurged?.(removed)
+    } catch (err) {
+      opts.onError?.(err)
+    } finally {
+      running = false
+    }
+  }, opts.intervalMs)
+  timer.unref?.()
+  return { stop: () => clearInterval(timer) }
+}
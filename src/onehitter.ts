@@ -1,33 +1,135 @@
-import type { MongoClient, InsertOneResult } from 'mongodb'
-import type { OtpDoc, ValidateStatus } from './db/shared.js'
-import { getAdapter } from './db/index.js'
-import sendEmail, { type MessageConfig, type MessageTemplate } from './sender.js'
+import type { MongoClient } from 'mongodb'
+import type { CreateResult, DbAdapter, OtpCheck, OtpDoc, OtpMetadata, RecordCounts, StorageOptions, ValidateStatus } from './db/shared.js'
+import { getAdapter, MongoAdapter, SqliteAdapter, type MongoAdapterOptions, type SqliteAdapterOptions } from './db/index.js'
+import { currentDriver, maxAttemptsOf } from './db/shared.js'
+import { checkConfig, ConfigValidationError, MAX_OTP_LENGTH, otpAlphabetSize, type ConfigProblem } from './config-check.js'
+import sendEmail, { type MessageConfig, type MessageTemplate, type SendOptions } from './sender.js'
+import type { Transport } from './transports/shared.js'
 import otpGenerator from 'otp-generator'
-import { NoopRateLimiter, InMemoryRateLimiter, type OneHitterOptions, type RateLimiter } from './rate-limiter.js'
+import { alphabetProblem, groupOtp, normalizeOtp, randomCode, stripAmbiguous } from './otp-format.js'
+import {
+  NoopRateLimiter,
+  InMemoryRateLimiter,
+  InMemorySendLimiter,
+  NoopSendLimiter,
+  type OneHitterOptions,
+  type RateLimiter,
+  type RateLimitPolicy,
+  type RateLimitState,
+  type SendLimiter,
+} from './rate-limiter.js'
 import {
   ONEHITTER_ENABLE_INMEM_LIMITER,
+  ONEHITTER_ENABLE_SEND_LIMITER,
   ONEHITTER_LIMIT_COOLDOWN_MS,
   ONEHITTER_LIMIT_MAX,
   ONEHITTER_LIMIT_WINDOW_MS,
-  OTP_DIGITS,
-  OTP_LETTERS_LOWER,
-  OTP_LETTERS_UPPER,
-  OTP_LENGTH,
-  OTP_SPECIAL_CHARS,
-  OTP_URL,
-  OTP_EXPIRY,
+  ONEHITTER_SEND_DAILY_MAX,
+  ONEHITTER_SEND_IP_DAILY_MAX,
+  ONEHITTER_SEND_MIN_GAP_MS,
+  resolveConfig,
+  type OneHitterConfig,
 } from './config.js'
 
 type EmailOption = { message?: MessageConfig | MessageTemplate }
 
-type EmailRuntimeOptions = { region?: string }
+// How emails are sent: a Nodemailer transporter, or the 'ses'/'smtp' transport with its settings
+type EmailRuntimeOptions = Pick<SendOptions, 'region' | 'transporter' | 'transport' | 'smtp'>
+
+type AdapterOption = {
+  adapter?: DbAdapter
+  mongo?: Omit<MongoAdapterOptions, 'client'>
+  sqlite?: SqliteAdapterOptions
+}
+
+type StorageOption = { perRecordSalt?: boolean; maxAttempts?: number; supersedePrevious?: boolean; encryptMetadata?: boolean; usedTombstoneSeconds?: number }
+
+// Result of validateDetailed(): the status plus, on 'ok', the metadata the code was created with
+export interface ValidateDetailedResult {
+  status: ValidateStatus | 'blocked'
+  metadata?: OtpMetadata
+  // From a limiter with `inspect`, on failures: how long until validation is allowed
+  // again (only while blocked) and how many failed validations are left before that
+  retryAfterMs?: number
+  remainingAttempts?: number
+  // When the code expires (see ValidateResult.expiresAt)
+  expiresAt?: Date
+}
+
+// Combined limiter state of several keys: the longest wait and the fewest attempts left
+async function limitState(limiter: RateLimiter, keys: string[]): Promise<RateLimitState> {
+  if (!limiter.inspect) return {}
+  const combined: RateLimitState = {}
+  for (const key of keys) {
+    const { retryAfterMs, remainingAttempts } = await limiter.inspect(key)
+    if (retryAfterMs != null) combined.retryAfterMs = Math.max(combined.retryAfterMs ?? 0, retryAfterMs)
+    if (remainingAttempts != null) combined.remainingAttempts = Math.min(combined.remainingAttempts ?? Infinity, remainingAttempts)
+  }
+  return combined
+}
+
+// Rate limiter keys for one validation: the contact and the challenge, when given
+function limiterKeys(otp: OtpCheck): string[] {
+  const keys: string[] = []
+  if (otp.contact != null) keys.push(otp.contact)
+  if (otp.challengeId != null) keys.push(`challenge:${otp.challengeId}`)
+  return keys
+}
+
+// Options of send(): what the message states, the client IP for the send limiter,
+// and a transport for this call only
+export interface SendOtpOptions {
+  purpose?: string
+  expiresInSeconds?: number
+  ip?: string
+  transport?: Transport
+}
+
+// Result of send(): 'throttled' when the send limiter refused, with the wait until it allows
+export type SendResult = { status: 'sent' } | { status: 'throttled'; retryAfterMs: number }
+
+// Options of issue(): stored with the code by create() (except `ip` and `transport`), and the purpose/lifetime send() states
+export interface IssueOptions {
+  purpose?: string
+  expiresInSeconds?: number
+  expiresAt?: Date
+  metadata?: OtpMetadata
+  ip?: string
+  transport?: Transport
+}
+
+// Result of issue(); the code itself is never returned. Nothing is stored when throttled
+export type IssueResult =
+  | { status: 'issued'; insertedId: CreateResult['insertedId']; expiresAt?: Date; challengeId?: string }
+  | { status: 'throttled'; retryAfterMs: number }
 
-type OneHitterOpts = OneHitterOptions & EmailOption & { email?: EmailRuntimeOptions }
+// Result of describePolicy()
+export interface OtpPolicy {
+  // Characters per code (after the 64-character cap) and the alphabet they come from
+  length: number
+  alphabetSize: number
+  entropyBits: number
+  expirySeconds?: number
+  // Limiter settings used for the guess budget, when known
+  limiter?: { max: number; windowMs: number }
+  // Misses after which storage burns the code (0 = off)
+  maxAttempts: number
+  // Online guesses against one code during its lifetime; Infinity when unbounded
+  onlineGuesses: number
+  successProbability: number
+}
+
+type OneHitterOpts = OneHitterOptions & EmailOption & AdapterOption & StorageOption & OneHitterConfig & { email?: EmailRuntimeOptions; transport?: Transport }
 
 class OneHitter {
   private limiter: RateLimiter
+  private sendLimiter: SendLimiter
+  private adapter?: DbAdapter
+  private storage: StorageOptions
   private message?: MessageConfig | MessageTemplate
   private email?: EmailRuntimeOptions
+  private transport?: Transport
+  private config: OneHitterConfig
   
   /**
    * @class OneHitter
@@ -48,6 +150,48 @@ class OneHitter {
    * stub limiter ensures rate limiting logic is always called but does nothing,
    * preventing runtime errors while effectively disabling the feature.
    *
+   * Deliveries have their own limiter, chosen the same way: `options.sendLimiter`
+   * when given, else an `InMemorySendLimiter` when `ONEHITTER_ENABLE_SEND_LIMITER`
+   * is true (a minimum gap between sends to one contact and a daily cap, tunable
+   * with `ONEHITTER_SEND_MIN_GAP_MS`, `ONEHITTER_SEND_DAILY_MAX` and
+   * `ONEHITTER_SEND_IP_DAILY_MAX`), else a `NoopSendLimiter`.
+   *
+   * Storage follows the same pattern: an injected `options.adapter` (any
+   * `DbAdapter` implementation) is used for every `create`/`validateStatus`
+   * call on this instance. When `options.mongo` is given instead, this instance
+   * owns a `MongoAdapter` with its own pooled MongoClient built from those
+   * settings (including `mongo.database`/`mongo.collection`); `options.sqlite`
+   * likewise gives it its own `SqliteAdapter` (e.g. `sqlite.path`). When both
+   * are given, `OTP_DB_DRIVER` picks one. Otherwise the env-driven adapter
+   * returned by `getAdapter()` is used.
+   *
+   * `options.url`, `options.expirySeconds` and `options.otp` (`length`,
+   * `charset`, `excludeAmbiguous`, `groupSize`) configure this instance explicitly; each unset field falls back
+   * to its env variable (`OTP_URL`, `OTP_EXPIRY`, `OTP_LENGTH`, `OTP_DIGITS`,
+   * ...), read at call time. Instances with different settings can therefore
+   * serve several apps or tenants from one process.
+   *
+   * `options.perRecordSalt` opts this instance into per-record salts: every
+   * created record gets its own random salt, persisted next to the hash. When
+   * omitted, the `OTP_PER_RECORD_SALT` env flag decides. `options.maxAttempts`
+   * (env `OTP_MAX_ATTEMPTS`, default 5, 0 disables) is how many wrong guesses
+   * an active code survives before storage burns it. With
+   * `options.supersedePrevious` (env `OTP_SUPERSEDE_PREVIOUS`), `create` revokes
+   * every older code of the same contact, so only the newest one validates.
+   * `options.encryptMetadata` (env `OTP_ENCRYPT_METADATA`) stores the metadata
+   * passed to `create` encrypted under a key derived from the pepper.
+   * `options.usedTombstoneSeconds` (env `OTP_USED_TOMBSTONE_SECONDS`, default
+   * 300, 0 disables) is how long a consumed code is remembered, so a replay
+   * reports 'used' instead of 'not_found'.
+   *
+   * `options.transport` delivers every code of this instance (e.g. an
+   * `HttpSmsTransport`); `send`/`issue` can override it per call. Without
+   * one, codes are emailed through `sender.ts` using `options.message` and
+   * `options.email`: `email.transporter` is any Nodemailer transporter;
+   * otherwise `email.transport` (env `OTP_EMAIL_TRANSPORT`) picks `'ses'`
+   * (`email.region`) or `'smtp'` (`email.smtp`, env `OTP_SMTP_*`), and
+   * defaults to SMTP when `OTP_SMTP_HOST` is set.
+   *
    * @param {OneHitterOpts} [options] - Optional configuration object to customize
    * the service's behavior and dependencies.
    */
@@ -63,8 +207,182 @@ class OneHitter {
     } else {
       this.limiter = new NoopRateLimiter()
     }
+    if (options?.sendLimiter) {
+      this.sendLimiter = options.sendLimiter
+    } else if (ONEHITTER_ENABLE_SEND_LIMITER) {
+      this.sendLimiter = new InMemorySendLimiter({
+        minGapMs: ONEHITTER_SEND_MIN_GAP_MS,
+        dailyMax: ONEHITTER_SEND_DAILY_MAX,
+        ipDailyMax: ONEHITTER_SEND_IP_DAILY_MAX,
+      })
+    } else {
+      this.sendLimiter = new NoopSendLimiter()
+    }
+    const useSqlite = !!options?.sqlite && (!options?.mongo || currentDriver() === 'sqlite')
+    this.adapter = options?.adapter
+      ?? (useSqlite ? new SqliteAdapter(options!.sqlite) : options?.mongo ? new MongoAdapter(options.mongo) : undefined)
+    this.config = { url: options?.url, expirySeconds: options?.expirySeconds, otp: options?.otp }
+    this.storage = {
+      perRecordSalt: options?.perRecordSalt,
+      maxAttempts: options?.maxAttempts,
+      supersedePrevious: options?.supersedePrevious,
+      expirySeconds: options?.expirySeconds,
+      encryptMetadata: options?.encryptMetadata,
+      usedTombstoneSeconds: options?.usedTombstoneSeconds,
+    }
     this.message = options?.message
     this.email = options?.email
+    this.transport = options?.transport
+  }
+
+  /**
+   * @method resolveAdapter
+   * @private
+   * @description
+   * Returns the injected adapter when one was provided to the constructor,
+   * otherwise falls back to the env-driven singleton from `getAdapter()`.
+   *
+   * @param {boolean} hasClient - Whether the caller passed a MongoClient.
+   * @returns {DbAdapter} The adapter used for this call.
+   */
+  private resolveAdapter(hasClient: boolean): DbAdapter {
+    return this.adapter ?? getAdapter({ hasClient })
+  }
+
+  /**
+   * @async
+   * @method connect
+   * @description
+   * Eagerly opens the storage connection used in unmanaged mode, so connection
+   * errors surface at application start instead of on the first OTP request.
+   * Calling it is optional: the internal MongoClient is also created lazily.
+   * A no-op for adapters that do not own a connection.
+   *
+   * @returns {Promise<void>} Resolves once the adapter is connected.
+   */
+  async connect(): Promise<void> {
+    await this.resolveAdapter(false).connect?.()
+  }
+
+  /**
+   * @async
+   * @method close
+   * @description
+   * Closes the storage connection owned by the adapter (for the built-in
+   * MongoAdapter, the internal pooled MongoClient). MongoClients passed in by
+   * the application are never closed. Call this on shutdown for a clean exit.
+   *
+   * @returns {Promise<void>} Resolves once the adapter has released its connection.
+   */
+  async close(): Promise<void> {
+    await this.resolveAdapter(false).close?.()
+  }
+
+  /**
+   * @method validateConfig
+   * @description
+   * Checks the whole configuration this instance will use, without touching
+   * storage or sending mail, and returns every problem at once instead of
+   * failing on first use. Covers `url`/`OTP_URL`, the expiry, OTP length and
+   * charset entropy (at least that of six digits), a pepper when
+   * `NODE_ENV=production`, the sender address syntax, `OTP_MAX_ATTEMPTS`, and
+   * what the storage adapter needs (e.g. Mongo database/collection names or
+   * the peer package of the driver).
+   *
+   * @returns {ConfigProblem[]} `{ field, severity, message }` entries; empty when valid.
+   */
+  validateConfig(): ConfigProblem[] {
+    const message = this.message
+    const problems = checkConfig({
+      ...this.config,
+      from: typeof message === 'object' ? message.from : undefined,
+      fromByTemplate: typeof message === 'function' || typeof message?.template === 'function',
+      customTransport: !!this.transport,
+      email: this.email,
+      maxAttempts: this.storage.maxAttempts,
+      envDriver: !this.adapter,
+    })
+    return [...problems, ...(this.resolveAdapter(false).validateConfig?.(this.storage) ?? [])]
+  }
+
+  /**
+   * @method assertConfig
+   * @description
+   * Boot-time guard around `validateConfig()`: throws when any problem is an
+   * error, listing all of them.
+   *
+   * @returns {ConfigProblem[]} The remaining warnings.
+   * @throws {ConfigValidationError} With every error in `problems`.
+   */
+  assertConfig(): ConfigProblem[] {
+    const problems = this.validateConfig()
+    const errors = problems.filter((p) => p.severity === 'error')
+    if (errors.length > 0) throw new ConfigValidationError(errors)
+    return problems
+  }
+
+  /**
+   * @async
+   * @method countRetiredPepperRecords
+   * @description
+   * Reports how many unexpired OTP records were written under a pepper key
+   * other than the active one (the first entry of `OTP_PEPPERS`). Records
+   * written with the legacy single `OTP_PEPPER` count as retired once a
+   * keyring is configured. When this reaches zero, the retired keys can be
+   * removed from `OTP_PEPPERS` without invalidating any outstanding code.
+   *
+   * @param {MongoClient} [client] - Optional MongoClient (managed mode).
+   * @returns {Promise<number>} The number of records still on retired keys.
+   * @throws {Error} If the adapter in use cannot count records by pepper key.
+   */
+  async countRetiredPepperRecords(client?: MongoClient): Promise<number> {
+    const adapter = this.resolveAdapter(!!client)
+    if (!adapter.countRetiredPepperRecords) {
+      throw new Error(`The ${adapter.name} adapter does not support countRetiredPepperRecords()`)
+    }
+    return await adapter.countRetiredPepperRecords({ client, options: this.storage })
+  }
+
+  /**
+   * @async
+   * @method countRecords
+   * @description
+   * Reports how many OTP records are stored, split into those still inside the
+   * expiry window and those past it that storage has not removed yet. Intended
+   * for operational checks (see the `onehitter stats` command).
+   *
+   * @param {MongoClient} [client] - Optional MongoClient (managed mode).
+   * @returns {Promise<RecordCounts>} `{ active, expired }` record counts.
+   * @throws {Error} If the adapter in use cannot count its records.
+   */
+  async countRecords(client?: MongoClient): Promise<RecordCounts> {
+    const adapter = this.resolveAdapter(!!client)
+    if (!adapter.countRecords) {
+      throw new Error(`The ${adapter.name} adapter does not support countRecords()`)
+    }
+    return await adapter.countRecords({ client, options: this.storage })
+  }
+
+  /**
+   * @async
+   * @method purgeExpired
+   * @description
+   * Deletes OTP records that are past their stored expiry (records written
+   * without one go by `expirySeconds`, or `OTP_EXPIRY`) and
+   * reports how many were removed. Useful for storage without native expiry
+   * (SQLite, PostgreSQL) when run from a scheduled job; adapters that expire
+   * records on their own (Redis) return 0.
+   *
+   * @param {MongoClient} [client] - Optional MongoClient (managed mode).
+   * @returns {Promise<number>} The number of records removed.
+   * @throws {Error} If the adapter in use cannot purge expired records.
+   */
+  async purgeExpired(client?: MongoClient): Promise<number> {
+    const adapter = this.resolveAdapter(!!client)
+    if (!adapter.purgeExpired) {
+      throw new Error(`The ${adapter.name} adapter does not support purgeExpired()`)
+    }
+    return await adapter.purgeExpired({ client, options: this.storage })
   }
 
   /**
@@ -76,27 +394,50 @@ class OneHitter {
    * This function is designed to support two distinct operational modes
    * (or "drivers") through its overloads:
    * 1. An **unmanaged mode** where only the OTP document is provided, and the
-   * function uses an internal, pooled MongoClient.
+   * function uses an internal, pooled MongoClient (created lazily from
+   * `OTP_MONGO_CONNECTION` or the `mongo` constructor option; release it with `close()`).
    * 2. A **managed mode** where an existing MongoClient is provided (e.g., to
    * participate in an active transaction or session).
    *
    * The implementation uses type-checking heuristics to determine the calling
-   * pattern and selects the appropriate data access adapter via `getAdapter()`.
+   * pattern and uses the injected adapter, or selects the appropriate data
+   * access adapter via `getAdapter()` when none was injected.
+   *
+   * When `supersedePrevious` is enabled, the adapter inserts the new record and
+   * then removes (or, for Redis, revokes) every older record for the same
+   * contact, so a resend never leaves more than one valid code.
+   *
+   * Each record stores its own expiry: `otp.expiresAt`, or `createdAt` plus
+   * `otp.expiresInSeconds`, falling back to `expirySeconds`/`OTP_EXPIRY`. Short
+   * login codes and longer-lived invitation codes can therefore share storage.
+   *
+   * `otp.metadata` is a small JSON object (at most 4 KB serialized) stored with
+   * the record and returned by `validateDetailed` once the code is consumed,
+   * e.g. the user id or redirect target the code was issued for. With
+   * `encryptMetadata` it is sealed with AES-256-GCM under a key derived from
+   * the active pepper.
+   *
+   * The code is stored in its `normalize()`d form, so a grouped code from
+   * `make()` can be passed as is.
+   *
+   * The result carries a random `challengeId` stored with the record. Hand it
+   * to the client instead of the contact; `validate({ challengeId, otp })`
+   * then checks the code without the contact being sent back.
    *
    * @param {MongoClient | OtpDoc} arg1 - Either the MongoClient instance (managed mode)
    * or the OtpDoc object (unmanaged mode).
    * @param {OtpDoc} [arg2] - The OtpDoc object, required only if `arg1` is the MongoClient.
-   * @returns {Promise<InsertOneResult<unknown>>} A Promise that resolves to the
-   * result of the MongoDB insertion operation.
+   * @returns {Promise<CreateResult>} A Promise that resolves to the insertion
+   * result, including the record's `challengeId`.
   */
-  async create(otp: OtpDoc): Promise<InsertOneResult<unknown>>
-  async create(client: MongoClient, otp: OtpDoc): Promise<InsertOneResult<unknown>>
-  async create(arg1: MongoClient | OtpDoc, arg2?: OtpDoc): Promise<InsertOneResult<unknown>> {
+  async create(otp: OtpDoc): Promise<CreateResult>
+  async create(client: MongoClient, otp: OtpDoc): Promise<CreateResult>
+  async create(arg1: MongoClient | OtpDoc, arg2?: OtpDoc): Promise<CreateResult> {
     const isOtpFirst = (arg1 as any)?.contact && !(arg1 as any)?.db
     const otp = (isOtpFirst ? (arg1 as OtpDoc) : (arg2 as OtpDoc))
     const client = isOtpFirst ? undefined : (arg1 as MongoClient)
-    const adapter = getAdapter({ hasClient: !!client })
-    return await adapter.create({ client, otp })
+    const adapter = this.resolveAdapter(!!client)
+    return await adapter.create({ client, otp: this.normalized(otp), options: this.storage })
   }
 
   /**
@@ -110,20 +451,143 @@ class OneHitter {
    * or configuration value, `OTP_URL`, is present and not empty. This URL is
    * typically needed for template generation (e.g., a link to the application).
    * If missing, it throws an immediate configuration error.
-   * 2. **Delegation:** It then delegates the actual delivery logic (formatting,
-   * template rendering, and sending) to the underlying `sendEmail` utility,
+   * 2. **Throttling:** The send limiter is asked whether `to` (and `opts.ip`)
+   * may receive another code now. If not, nothing is sent and the result is
+   * `{ status: 'throttled', retryAfterMs }`. An allowed send counts toward the
+   * limits even if delivery then fails.
+   * 3. **Delegation:** It then delegates the actual delivery logic (formatting,
+   * template rendering, and sending) to `opts.transport`, the instance's
+   * `transport`, or by default the underlying `sendEmail` utility,
    * passing all necessary data, including the OTP code, expiry time, and custom messages.
    *
    * @param {string} to - The recipient's contact identifier (e.g., email address or phone number).
    * @param {string} otp - The actual generated One-Time Password code to be sent.
-   * @returns {Promise<void>} A Promise that resolves when the email has been successfully queued or sent.
-   * @throws {Error} If the required configuration value `OTP_URL` is missing.
+   * @param {SendOtpOptions} [opts] - `purpose` the code was created with, exposed to
+   * message templates as `ctx.purpose`; `expiresInSeconds` is the lifetime the code was created with, stated in the
+   * message instead of the default expiry; `ip` is the client IP for per-IP send caps; `transport` replaces the
+   * instance's transport for this call.
+   * @returns {Promise<SendResult>} `{ status: 'sent' }` once the message has been queued or sent, or
+   * `{ status: 'throttled', retryAfterMs }`.
+   * @throws {Error} If neither the `url` option nor `OTP_URL` is set.
+   */
+  async send(to: string, otp: string, opts?: SendOtpOptions): Promise<SendResult> {
+    const delivery = this.deliveryConfig()
+    const decision = await this.sendLimiter.beforeSend(to, { ip: opts?.ip })
+    if (!decision.allowed) return { status: 'throttled', retryAfterMs: decision.retryAfterMs }
+    await this.deliver(to, otp, delivery, opts)
+    return { status: 'sent' }
+  }
+
+  /**
+   * @method deliveryConfig
+   * @private
+   * @description
+   * Resolves the url and default expiry a message needs, failing before any
+   * limiter or storage is touched when the url is missing.
+   *
+   * @returns {{ url: string, expirySeconds?: number }} The resolved settings.
+   * @throws {Error} If neither the `url` option nor `OTP_URL` is set.
    */
-  async send(to: string, otp: string): Promise<void> {
-    if (!OTP_URL || String(OTP_URL).trim().length === 0) {
+  private deliveryConfig(): { url: string; expirySeconds?: number } {
+    const { url, expirySeconds } = resolveConfig(this.config)
+    if (!url || String(url).trim().length === 0) {
       throw new Error('Missing OTP_URL: set environment variable OTP_URL or provide it via config')
     }
-    await sendEmail(to, otp, OTP_URL, OTP_EXPIRY, this.message, this.email)
+    return { url, expirySeconds }
+  }
+
+  /**
+   * @async
+   * @method deliver
+   * @private
+   * @description
+   * Hands one code to the per-call transport, the instance's transport, or
+   * `sendEmail` when neither is set, after the send limiter has allowed it.
+   *
+   * @param {string} to - The recipient.
+   * @param {string} otp - The code.
+   * @param {{ url: string, expirySeconds?: number }} delivery - From `deliveryConfig()`.
+   * @param {SendOtpOptions} [opts] - `purpose`, `expiresInSeconds` and `transport`.
+   * @returns {Promise<void>} Resolves once the message has been queued or sent.
+   */
+  private async deliver(to: string, otp: string, delivery: { url: string; expirySeconds?: number }, opts?: SendOtpOptions): Promise<void> {
+    const expirySeconds = opts?.expiresInSeconds ?? delivery.expirySeconds
+    const transport = opts?.transport ?? this.transport
+    if (transport) {
+      await transport.deliver({ to, otp, context: { url: delivery.url, expirySeconds, ...(opts?.purpose ? { purpose: opts.purpose } : {}) } })
+      return
+    }
+    const email = opts?.purpose ? { ...this.email, purpose: opts.purpose } : this.email
+    await sendEmail(to, otp, delivery.url, expirySeconds, this.message, email)
+  }
+
+  /**
+   * @async
+   * @method issue
+   * @description
+   * Generates, stores and delivers a code in one call: `make()`, then `create()`
+   * with the given options, then `send()` to `contact`.
+   *
+   * **Throttling:** The send limiter is consulted first (with `opts.ip`). When
+   * it refuses, no code is generated or stored and the result is
+   * `{ status: 'throttled', retryAfterMs }`. If `create` then throws, the send
+   * is handed back through the limiter's `cancelSend` so it does not count.
+   *
+   * **Rollback:** If delivery throws, the record just created is deleted again
+   * through the adapter's `deleteRecord` and the delivery error is rethrown, so
+   * no undeliverable code is left in storage. The adapter must therefore
+   * implement `deleteRecord` (every built-in adapter does); if the delete itself
+   * fails, the error names both failures since the code stays valid until it
+   * expires. Codes revoked by `supersedePrevious` during `create` stay revoked.
+   *
+   * The code is never part of the result: only the record id, its expiry and
+   * the `challengeId` to hand to the client.
+   *
+   * @param {MongoClient | string} arg1 - The MongoClient (managed mode) or the contact.
+   * @param {string | IssueOptions} [arg2] - The contact in managed mode, otherwise the options.
+   * @param {IssueOptions} [arg3] - `purpose`, `expiresInSeconds`/`expiresAt`, `metadata`, `ip` and `transport`, in managed mode.
+   * @returns {Promise<IssueResult>} `{ status: 'issued', insertedId, expiresAt, challengeId }`, or
+   * `{ status: 'throttled', retryAfterMs }`.
+   * @throws {Error} If no url is configured, the adapter has no `deleteRecord`, the
+   * rollback failed, or whatever `create` or the delivery threw (after the rollback).
+   */
+  async issue(contact: string, opts?: IssueOptions): Promise<IssueResult>
+  async issue(client: MongoClient, contact: string, opts?: IssueOptions): Promise<IssueResult>
+  async issue(arg1: MongoClient | string, arg2?: string | IssueOptions, arg3?: IssueOptions): Promise<IssueResult> {
+    const hasClient = typeof arg1 !== 'string'
+    const client = hasClient ? (arg1 as MongoClient) : undefined
+    const contact = (hasClient ? arg2 : arg1) as string
+    const { ip, transport, ...opts } = ((hasClient ? arg3 : arg2) ?? {}) as IssueOptions
+    const delivery = this.deliveryConfig()
+    const adapter = this.resolveAdapter(hasClient)
+    if (!adapter.deleteRecord) {
+      throw new Error(`The ${adapter.name} adapter does not support deleteRecord(), which issue() needs to roll back a failed delivery`)
+    }
+    const decision = await this.sendLimiter.beforeSend(contact, { ip })
+    if (!decision.allowed) return { status: 'throttled', retryAfterMs: decision.retryAfterMs }
+    const otp = this.make()
+    const createdAt = new Date()
+    const doc: OtpDoc = { contact, otp, createdAt, ...opts }
+    let created: CreateResult
+    try {
+      created = client ? await this.create(client, doc) : await this.create(doc)
+    } catch (err) {
+      await this.sendLimiter.cancelSend?.(contact, { ip })
+      throw err
+    }
+    const expiresInSeconds = opts.expiresInSeconds
+      ?? (opts.expiresAt ? Math.max(1, Math.round((opts.expiresAt.getTime() - createdAt.getTime()) / 1000)) : undefined)
+    try {
+      await this.deliver(contact, otp, delivery, { purpose: opts.purpose, expiresInSeconds, transport })
+    } catch (err) {
+      try {
+        await adapter.deleteRecord({ client, id: created.insertedId, options: this.storage })
+      } catch (deleteErr) {
+        throw new Error(`Delivery failed (${(err as Error).message}) and the stored code could not be deleted (${(deleteErr as Error).message}); it stays valid until it expires`)
+      }
+      throw err
+    }
+    return { status: 'issued', insertedId: created.insertedId, expiresAt: created.expiresAt, challengeId: created.challengeId }
   }
 
   /**
@@ -142,16 +606,16 @@ class OneHitter {
    * It delegates the full validation logic to the private method `this.validateStatus`
    * and returns a simple boolean indicating success.
    *
-   * @param {MongoClient | Pick<OtpDoc, 'contact' | 'otp'>} arg1 - The MongoClient instance
+   * @param {MongoClient | OtpCheck} arg1 - The MongoClient instance
    * (in managed mode) or the partial OtpDoc object (in unmanaged mode).
-   * @param {Pick<OtpDoc, 'contact' | 'otp'>} [arg2] - The partial OtpDoc object containing
+   * @param {OtpCheck} [arg2] - The partial OtpDoc object containing
    * the contact identifier and the OTP code. Required only if `arg1` is the MongoClient.
    * @returns {Promise<boolean>} A Promise that resolves to `true` if the OTP is valid
    * and ready for use, or `false` otherwise.
   */
-  async validate(otp: Pick<OtpDoc, 'contact' | 'otp'>): Promise<boolean>
-  async validate(client: MongoClient, otp: Pick<OtpDoc, 'contact' | 'otp'>): Promise<boolean>
-  async validate(arg1: MongoClient | Pick<OtpDoc, 'contact' | 'otp'>, arg2?: Pick<OtpDoc, 'contact' | 'otp'>): Promise<boolean> {
+  async validate(otp: OtpCheck): Promise<boolean>
+  async validate(client: MongoClient, otp: OtpCheck): Promise<boolean>
+  async validate(arg1: MongoClient | OtpCheck, arg2?: OtpCheck): Promise<boolean> {
     const status = await this.validateStatus(arg1 as any, arg2 as any)
     return status === 'ok'
   }
@@ -176,63 +640,209 @@ class OneHitter {
    * **Security Flow:**
    * 1. Calls `this.limiter.beforeValidate` to check if the contact is currently rate-limited.
    * If blocked, returns 'blocked' immediately.
-   * 2. Selects the appropriate database adapter.
+   * 2. Uses the injected adapter, or selects the appropriate database adapter.
    * 3. Calls the adapter to perform the database-level validation (`adapter.validateWithStatus`).
+   * A wrong code counts against the contact's active codes; once they reach
+   * `maxAttempts` misses they are burned and 'too_many_attempts' is returned.
+   * A wrong code is 'mismatch' while the contact still has an unexpired code,
+   * and a code that was already consumed is 'used' for `usedTombstoneSeconds`.
    * 4. Reports success or failure back to the rate limiter (`this.limiter.onSuccess`/`onFailure`)
    * to update the throttling status for that contact.
    *
-   * @param {MongoClient | Pick<OtpDoc, 'contact' | 'otp'>} arg1 - The MongoClient or the OTP data.
-   * @param {Pick<OtpDoc, 'contact' | 'otp'>} [arg2] - Optional OTP data.
+   * **Input:** the code is `normalize()`d first, so spaces, dashes and (for a
+   * single-case charset) the letter case the user typed do not count as misses.
+   *
+   * **Purpose:** when the OTP data carries a `purpose`, only codes created with
+   * that same purpose match; a code created with a purpose never matches a
+   * validation without one (and vice versa).
+   *
+   * **Challenge:** with a `challengeId` from `create`, only that code is
+   * checked, the contact becomes optional (when given, the code must belong to
+   * it) and misses count against that code alone. The limiter is keyed on the
+   * contact and on `challenge:<challengeId>`; every key must be allowed.
+   *
+   * @param {MongoClient | OtpCheck} arg1 - The MongoClient or the OTP data.
+   * @param {OtpCheck} [arg2] - Optional OTP data.
    * @returns {Promise<ValidateStatus | 'blocked'>} A status string indicating the result.
-   * Possible values include: 'ok', 'expired', 'mismatch', 'used', or 'blocked'.
+   * Possible values include: 'ok', 'mismatch', 'used', 'expired', 'not_found', 'too_many_attempts', or 'blocked'.
    */
-  async validateStatus(otp: Pick<OtpDoc, 'contact' | 'otp'>): Promise<ValidateStatus | 'blocked'>
-  async validateStatus(client: MongoClient, otp: Pick<OtpDoc, 'contact' | 'otp'>): Promise<ValidateStatus | 'blocked'>
-  async validateStatus(arg1: MongoClient | Pick<OtpDoc, 'contact' | 'otp'>, arg2?: Pick<OtpDoc, 'contact' | 'otp'>): Promise<ValidateStatus | 'blocked'> {
+  async validateStatus(otp: OtpCheck): Promise<ValidateStatus | 'blocked'>
+  async validateStatus(client: MongoClient, otp: OtpCheck): Promise<ValidateStatus | 'blocked'>
+  async validateStatus(arg1: MongoClient | OtpCheck, arg2?: OtpCheck): Promise<ValidateStatus | 'blocked'> {
+    const result = await this.validateDetailed(arg1 as any, arg2 as any)
+    return result.status
+  }
+
+  /**
+   * @async
+   * @method validateDetailed
+   * @description
+   * Same validation and rate-limiting flow as `validateStatus`, but resolves to
+   * an object: `{ status }`, plus `metadata` on 'ok' when the code was created
+   * with some. Encrypted metadata is decrypted with the pepper the record was
+   * written under. Adapters without `validateDetailed` fall back to
+   * `validateWithStatus` and never return metadata.
+   *
+   * `expiresAt` (from the adapter) is when the code expires, set on 'ok',
+   * 'expired' and 'mismatch'. On any other status than 'ok', a limiter that
+   * implements `inspect` adds `remainingAttempts` (the fewest across the
+   * limiter keys) and, once blocked, `retryAfterMs` (the longest wait), so a UI
+   * can say "try again in 42 seconds". Limiters without `inspect` add neither.
+   *
+   * @param {MongoClient | OtpCheck} arg1 - The MongoClient or the OTP data.
+   * @param {OtpCheck} [arg2] - Optional OTP data.
+   * @returns {Promise<ValidateDetailedResult>} The status, the stored metadata on success, and the expiry and limiter details when known.
+   */
+  async validateDetailed(otp: OtpCheck): Promise<ValidateDetailedResult>
+  async validateDetailed(client: MongoClient, otp: OtpCheck): Promise<ValidateDetailedResult>
+  async validateDetailed(arg1: MongoClient | OtpCheck, arg2?: OtpCheck): Promise<ValidateDetailedResult> {
     const hasClient = typeof (arg1 as any)?.db === 'function'
-    const otp = (hasClient ? (arg2 as any) : (arg1 as any)) as Pick<OtpDoc, 'contact' | 'otp'>
-    const allowed = await this.limiter.beforeValidate(otp.contact)
-    if (!allowed) return 'blocked'
+    const otp = (hasClient ? (arg2 as any) : (arg1 as any)) as OtpCheck
+    const keys = limiterKeys(otp)
+    for (const key of keys) {
+      if (!(await this.limiter.beforeValidate(key))) return { status: 'blocked', ...(await limitState(this.limiter, keys)) }
+    }
 
-    const adapter = getAdapter({ hasClient })
-    const status = await adapter.validateWithStatus({ client: hasClient ? (arg1 as any) : undefined, otp })
-    if (status === 'ok') await this.limiter.onSuccess(otp.contact)
-    else await this.limiter.onFailure(otp.contact)
-    return status
+    const adapter = this.resolveAdapter(hasClient)
+    const args = { client: hasClient ? (arg1 as any) : undefined, otp: this.normalized(otp), options: this.storage }
+    const result = adapter.validateDetailed
+      ? await adapter.validateDetailed(args)
+      : { status: await adapter.validateWithStatus(args) }
+    for (const key of keys) {
+      if (result.status === 'ok') await this.limiter.onSuccess(key)
+      else await this.limiter.onFailure(key)
+    }
+    return result.status === 'ok' ? result : { ...result, ...(await limitState(this.limiter, keys)) }
   }
 
   /**
    * @method make
    * @description
-   * Generates a new One-Time Password (OTP) string based on predefined global
-   * configuration constants (OTP_LENGTH, OTP_DIGITS, etc.).
+   * Generates a new One-Time Password (OTP) string using the `otp` constructor
+   * option (`length`, `charset`), falling back to the env flags (OTP_LENGTH,
+   * OTP_DIGITS, etc.) for anything it leaves unset.
    *
    * This method ensures safe generation by applying the following configuration rules:
-   * 1. **Length Check:** If the global `OTP_LENGTH` is not a positive finite number,
+   * 1. **Length Check:** If the resolved length is not a positive finite number,
    * it defaults the OTP length to 6. Extremely large values are capped at 64 to
    * avoid excessive memory usage.
    * 2. **Character Set Guardrail:** It checks which character sets (digits, upper/lower
-   * alphabets, special characters) are enabled via global constants. If *no* set
+   * alphabets, special characters) are enabled. If *no* set
    * is enabled, it defaults to including **only digits** to prevent generating
    * an empty or invalid code.
+   * 3. **Look-alikes:** With `excludeAmbiguous` (`OTP_EXCLUDE_AMBIGUOUS`), the
+   * characters 0/O/o and 1/I/l are dropped from the output and replaced by
+   * fresh ones, so the remaining characters stay uniformly distributed.
+   * 4. **Grouping:** With `groupSize` (`OTP_GROUP_SIZE`), the code is split for
+   * display, e.g. `ABC-DEF`. `length` counts only the code characters, and
+   * `create`/`validate` remove the separators again.
    *
-   * The final parameters are passed to the external `otpGenerator` utility.
+   * 5. **Custom Alphabet:** With `alphabet` (here, in the `otp` option or
+   * `OTP_ALPHABET`), e.g. `CROCKFORD_BASE32`, every character is drawn from it
+   * with `crypto.randomInt`, which is unbiased for any alphabet size. The
+   * charset flags and `excludeAmbiguous` are then ignored.
    *
+   * Otherwise the final parameters are passed to the external `otpGenerator` utility.
+   * Set the alphabet on the instance rather than per call when it uses a
+   * single letter case, so `normalize()` folds input to that case.
+   *
+   * @param {{ alphabet?: string, length?: number }} [opts] - Overrides the configured alphabet and length for this code.
    * @returns {string} The newly generated OTP string.
+   * @throws {Error} If the alphabet has fewer than two characters, repeats one, or contains spaces or dashes.
    */
-  make(): string {
-    const rawLength = Number.isFinite(OTP_LENGTH) && OTP_LENGTH > 0 ? OTP_LENGTH : 6
-    const length = Math.min(rawLength, 64)
+  make(opts?: { alphabet?: string; length?: number }): string {
+    const resolved = resolveConfig(this.config).otp
+    const { charset, excludeAmbiguous, groupSize, groupSeparator } = resolved
+    const configured = opts?.length ?? resolved.length
+    const rawLength = Number.isFinite(configured) && configured > 0 ? configured : 6
+    const length = Math.min(rawLength, MAX_OTP_LENGTH)
+    const alphabet = opts?.alphabet ?? resolved.alphabet
+    if (alphabet) {
+      const problem = alphabetProblem(alphabet)
+      if (problem) throw new Error(`Invalid OTP alphabet: ${problem}`)
+      return groupOtp(randomCode(alphabet, length), groupSize, groupSeparator)
+    }
     const base = {
-      upperCaseAlphabets: OTP_LETTERS_UPPER,
-      lowerCaseAlphabets: OTP_LETTERS_LOWER,
-      digits: OTP_DIGITS,
-      specialChars: OTP_SPECIAL_CHARS,
+      upperCaseAlphabets: charset.lettersUpper,
+      lowerCaseAlphabets: charset.lettersLower,
+      digits: charset.digits,
+      specialChars: charset.specialChars,
     }
     const hasAny = base.upperCaseAlphabets || base.lowerCaseAlphabets || base.digits || base.specialChars
     const options = hasAny ? base : { ...base, digits: true }
-    return otpGenerator.generate(length, options)
+    let code = ''
+    while (code.length < length) {
+      const chunk = otpGenerator.generate(length, options)
+      code += excludeAmbiguous ? stripAmbiguous(chunk) : chunk
+    }
+    return groupOtp(code.slice(0, length), groupSize, groupSeparator)
+  }
+
+  /**
+   * @method normalize
+   * @description
+   * Returns `input` in the form codes are hashed in: spaces and dashes removed,
+   * and letters folded to the single case the configured alphabet or charset uses. Both
+   * `create` and the validate methods apply it, so grouping, copy/paste
+   * whitespace and case mistakes do not turn a right code into a miss.
+   *
+   * @param {string} input - A code as generated or as typed by the user.
+   * @returns {string} The normalized code.
+   */
+  normalize(input: string): string {
+    return normalizeOtp(String(input), resolveConfig(this.config).otp)
+  }
+
+  /**
+   * @method describePolicy
+   * @description
+   * Reports how guessable the codes of this instance are: the effective length
+   * and alphabet size `make()` uses, the resulting bits of entropy, and how
+   * many online guesses an attacker gets against one code before it expires.
+   *
+   * **Guess Budget:** The limiter allows `max` failures per `windowMs` for each
+   * key, taken from the limiter's `limits()` (the built-in
+   * `InMemoryRateLimiter` has it) or from `limits` passed here, and the code
+   * lives for `expirySeconds`/`OTP_EXPIRY`. That gives
+   * `max * ceil(expiry / windowMs)` guesses, further capped by the storage
+   * `maxAttempts`, after which the code is burned. Without a bound from either
+   * side `onlineGuesses` is `Infinity`.
+   *
+   * `successProbability` is the chance that those guesses hit the code.
+   *
+   * @param {Partial<RateLimitPolicy>} [limits] - Limiter settings to assume, over the limiter's own.
+   * @returns {OtpPolicy} The entropy and guess budget of the current configuration.
+   */
+  describePolicy(limits?: Partial<RateLimitPolicy>): OtpPolicy {
+    const resolved = resolveConfig(this.config)
+    const rawLength = resolved.otp.length
+    const length = Math.min(Number.isFinite(rawLength) && rawLength > 0 ? rawLength : 6, MAX_OTP_LENGTH)
+    const alphabetSize = otpAlphabetSize(resolved.otp)
+    const entropyBits = length * Math.log2(alphabetSize)
+    const own = this.limiter.limits?.()
+    const max = limits?.max ?? own?.max
+    const windowMs = limits?.windowMs ?? own?.windowMs
+    const limiter = max != null && windowMs != null ? { max, windowMs } : undefined
+    const maxAttempts = maxAttemptsOf(this.storage)
+    const expirySeconds = resolved.expirySeconds
+
+    let onlineGuesses = Infinity
+    if (limiter && expirySeconds != null && expirySeconds > 0) {
+      onlineGuesses = limiter.max * Math.ceil((expirySeconds * 1000) / limiter.windowMs)
+    }
+    if (maxAttempts > 0) onlineGuesses = Math.min(onlineGuesses, maxAttempts)
+    const successProbability = Math.min(1, onlineGuesses / Math.pow(2, entropyBits))
+    return { length, alphabetSize, entropyBits, expirySeconds, limiter, maxAttempts, onlineGuesses, successProbability }
+  }
+
+  // The OTP data with its code normalized; the same object when nothing changed
+  private normalized<T extends { otp: string }>(data: T): T {
+    const code = this.normalize(data.otp)
+    return code === data.otp ? data : { ...data, otp: code }
   }
 }
 
+export { ConfigValidationError, type ConfigProblem, type ConfigSeverity } from './config-check.js'
+export { CROCKFORD_BASE32 } from './otp-format.js'
+export type { DeliverArgs, DeliveryContext, Transport } from './transports/shared.js'
 export default OneHitter
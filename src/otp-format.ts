@@ -0,0 +1,70 @@
+import { randomInt } from 'crypto'
+import type { OtpCharset, OtpGroupSeparator } from './config.js'
+
+// Characters of each class that are easily misread for another (0/O/o, 1/I/l)
+export const AMBIGUOUS_CHARS = { lettersUpper: 'IO', lettersLower: 'lo', digits: '01', specialChars: '' } as const
+
+const AMBIGUOUS = new RegExp(`[${Object.values(AMBIGUOUS_CHARS).join('')}]`, 'g')
+
+// Crockford's base32: digits and uppercase letters without I, L, O and U
+export const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+
+// Characters a custom alphabet may not use: normalizeOtp() strips them
+const SEPARATORS = /[\s-]/
+
+// What the letter case of a code is folded to on input, if anything
+type LetterCase = 'upper' | 'lower' | undefined
+
+/** Describes what is wrong with a custom alphabet, or returns undefined when it is usable. */
+export function alphabetProblem(alphabet: string): string | undefined {
+  const symbols = [...alphabet]
+  if (new Set(symbols).size < 2) return 'needs at least two distinct characters'
+  if (new Set(symbols).size !== symbols.length) return 'must not repeat characters (it would bias the codes)'
+  if (SEPARATORS.test(alphabet)) return 'must not contain spaces or dashes (they are stripped from input)'
+  return undefined
+}
+
+/** `length` characters drawn uniformly from `alphabet` with `crypto.randomInt`. */
+export function randomCode(alphabet: string, length: number): string {
+  const symbols = [...alphabet]
+  let code = ''
+  for (let i = 0; i < length; i++) code += symbols[randomInt(symbols.length)]
+  return code
+}
+
+/** Removes every look-alike character listed in `AMBIGUOUS_CHARS`. */
+export function stripAmbiguous(code: string): string {
+  return code.replace(AMBIGUOUS, '')
+}
+
+/** Splits `code` into groups of `size` characters for display, e.g. `ABC-DEF`. A size of 0 leaves it as is. */
+export function groupOtp(code: string, size: number, separator: OtpGroupSeparator = '-'): string {
+  if (!(Number.isInteger(size) && size > 0) || code.length <= size) return code
+  const groups: string[] = []
+  for (let i = 0; i < code.length; i += size) groups.push(code.slice(i, i + size))
+  return groups.join(separator)
+}
+
+// The single letter case a custom alphabet or the charset classes use
+function letterCaseOf(format: { charset: Pick<OtpCharset, 'lettersUpper' | 'lettersLower'>; alphabet?: string }): LetterCase {
+  if (format.alphabet) {
+    const upper = format.alphabet !== format.alphabet.toLowerCase()
+    const lower = format.alphabet !== format.alphabet.toUpperCase()
+    return upper && !lower ? 'upper' : lower && !upper ? 'lower' : undefined
+  }
+  const { lettersUpper, lettersLower } = format.charset
+  return lettersUpper && !lettersLower ? 'upper' : lettersLower && !lettersUpper ? 'lower' : undefined
+}
+
+/**
+ * Turns what a user typed or pasted into the form the code was hashed in:
+ * spaces and dashes are removed, and letters are folded to the one case the
+ * alphabet (or the charset) uses; there is no folding when both cases occur.
+ */
+export function normalizeOtp(input: string, format: { charset: Pick<OtpCharset, 'lettersUpper' | 'lettersLower'>; alphabet?: string }): string {
+  const code = input.replace(/[\s-]+/g, '')
+  const letterCase = letterCaseOf(format)
+  if (letterCase === 'upper') return code.toUpperCase()
+  if (letterCase === 'lower') return code.toLowerCase()
+  return code
+}
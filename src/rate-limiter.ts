@@ -1,3 +1,18 @@
+// Where a key stands with a limiter, as reported by the optional `inspect` hook
+export interface RateLimitState {
+  // Milliseconds until the key may validate again; only set while it is blocked
+  retryAfterMs?: number
+  // Failed validations left before the key is blocked
+  remainingAttempts?: number
+}
+
+// Failure budget of a limiter, as reported by the optional `limits` hook
+export interface RateLimitPolicy {
+  // Failures allowed per key within windowMs
+  max: number
+  windowMs: number
+}
+
 export interface RateLimiter {
   // Called before validate; return true to allow, false to block
   beforeValidate(contact: string): Promise<boolean> | boolean
@@ -5,6 +20,11 @@ export interface RateLimiter {
   onSuccess(contact: string): Promise<void> | void
   // Called after a failed validation attempt
   onFailure(contact: string): Promise<void> | void
+  // Optional: report the key's state without recording an attempt; feeds
+  // retryAfterMs/remainingAttempts in OneHitter.validateDetailed()
+  inspect?(contact: string): Promise<RateLimitState> | RateLimitState
+  // Optional: the limiter's settings; feeds OneHitter.describePolicy()
+  limits?(): RateLimitPolicy
 }
 
 export class NoopRateLimiter implements RateLimiter {
@@ -187,8 +207,211 @@ export class InMemoryRateLimiter implements RateLimiter {
   async onSuccess(contact: string): Promise<void> {
     this.attempts.delete(contact)
   }
+
+  /**
+   * @async
+   * @method inspect
+   * @description
+   * Reports where a contact stands without recording an attempt or touching its
+   * bucket, so callers can tell a user how long to wait or how many tries are left.
+   *
+   * **Logic:**
+   * 1. **Active Cooldown:** If `cooldownUntil` is in the future, the contact is blocked:
+   * `retryAfterMs` is the time left and `remainingAttempts` is 0.
+   * 2. **Elapsed Cooldown:** If it has passed, the next `beforeValidate` resets the
+   * bucket, so the full `max` is remaining.
+   * 3. **Window Count:** Otherwise `remainingAttempts` is `max` minus the failures
+   * still inside `windowMs`. Should that reach 0 without a cooldown, `retryAfterMs`
+   * is the time until the oldest failure leaves the window.
+   *
+   * @param {string} contact - The unique identifier for the contact being inspected.
+   * @returns {Promise<RateLimitState>} The contact's `retryAfterMs` (only while blocked) and `remainingAttempts`.
+   */
+  async inspect(contact: string): Promise<RateLimitState> {
+    const now = Date.now()
+    const b = this.attempts.get(contact)
+    if (!b) return { remainingAttempts: this.max }
+    if (b.cooldownUntil) {
+      if (b.cooldownUntil > now) return { retryAfterMs: b.cooldownUntil - now, remainingAttempts: 0 }
+      return { remainingAttempts: this.max }
+    }
+    const times = b.times.filter(t => now - t <= this.windowMs)
+    const remainingAttempts = Math.max(0, this.max - times.length)
+    if (remainingAttempts > 0) return { remainingAttempts }
+    return { retryAfterMs: Math.min(...times) + this.windowMs - now + 1, remainingAttempts }
+  }
+
+  /**
+   * @method limits
+   * @description
+   * Reports the failure budget this limiter enforces per contact, so
+   * `OneHitter.describePolicy()` can estimate how many guesses an attacker gets
+   * while a code is valid. The cooldown is not part of it: it only delays the
+   * next window.
+   *
+   * @returns {RateLimitPolicy} The configured `max` failures per `windowMs`.
+   */
+  limits(): RateLimitPolicy {
+    return { max: this.max, windowMs: this.windowMs }
+  }
+}
+
+// Request details a send limiter may key on besides the contact
+export interface SendContext {
+  // Client IP the send was requested from, for per-IP caps
+  ip?: string
+}
+
+// Outcome of SendLimiter.beforeSend()
+export type SendDecision = { allowed: true } | { allowed: false; retryAfterMs: number }
+
+export interface SendLimiter {
+  // Called before a code is delivered; checks the limits and, when allowed,
+  // records the send in the same call so concurrent sends cannot both pass
+  beforeSend(contact: string, context?: SendContext): Promise<SendDecision> | SendDecision
+  // Optional: takes back the send recorded by an allowed beforeSend() when
+  // issue() could not store the code, so a failed create() costs no quota
+  cancelSend?(contact: string, context?: SendContext): Promise<void> | void
+}
+
+export class NoopSendLimiter implements SendLimiter {
+  beforeSend(): SendDecision { return { allowed: true } }
+}
+
+export interface InMemorySendLimiterOptions {
+  minGapMs?: number // minimum time between two sends to one contact
+  dailyMax?: number // max sends per contact within 24 hours
+  ipDailyMax?: number // optional max sends per client IP within 24 hours
+}
+
+const DAY_MS = 24 * 60 * 60_000
+
+export class InMemorySendLimiter implements SendLimiter {
+  private contacts = new Map<string, number[]>()
+  private ips = new Map<string, number[]>()
+  private minGapMs: number
+  private dailyMax: number
+  private ipDailyMax?: number
+
+  /**
+   * @class InMemorySendLimiter
+   * @constructor
+   * @description
+   * Initializes an in-memory limiter for code deliveries. Where
+   * `InMemoryRateLimiter` guards validation, this one stops a script from
+   * triggering `send`/`issue` over and over for one address (or from one IP),
+   * which would spam the recipient and hurt the sender's reputation.
+   *
+   * **Default Settings:**
+   * - `minGapMs`: 60 seconds between two sends to the same contact
+   * - `dailyMax`: 10 sends per contact in any 24 hours
+   * - `ipDailyMax`: unset, i.e. no per-IP cap
+   *
+   * Send times are kept per process; use a shared store behind your own
+   * `SendLimiter` when several instances serve the same users.
+   *
+   * @param {InMemorySendLimiterOptions} [opts] - Optional configuration object to customize
+   * the limits.
+   * @throws {Error} If `minGapMs` is negative, or a cap is not a positive integer
+   * (a cap of 0 would block every send; leave `ipDailyMax` unset instead).
+   */
+  constructor(opts?: InMemorySendLimiterOptions) {
+    this.minGapMs = opts?.minGapMs ?? 60_000
+    this.dailyMax = opts?.dailyMax ?? 10
+    this.ipDailyMax = opts?.ipDailyMax
+    if (!Number.isFinite(this.minGapMs) || this.minGapMs < 0) {
+      throw new Error(`InMemorySendLimiter minGapMs must be a non-negative number of milliseconds (got ${this.minGapMs})`)
+    }
+    for (const [name, value] of [['dailyMax', this.dailyMax], ['ipDailyMax', this.ipDailyMax]] as const) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`InMemorySendLimiter ${name} must be a positive integer (got ${value})`)
+      }
+    }
+  }
+
+  /**
+   * @method recent
+   * @private
+   * @description
+   * Returns the send times of `key` within the last 24 hours, dropping older
+   * ones (and the key itself once nothing is left) so the maps do not grow
+   * with stale entries.
+   *
+   * @param {Map<string, number[]>} sends - The per-contact or per-IP history.
+   * @param {string} key - The contact or IP.
+   * @param {number} now - The current timestamp in milliseconds.
+   * @returns {number[]} The remaining send timestamps, oldest first.
+   */
+  private recent(sends: Map<string, number[]>, key: string, now: number): number[] {
+    const times = (sends.get(key) ?? []).filter(t => now - t < DAY_MS)
+    if (times.length > 0) sends.set(key, times)
+    else sends.delete(key)
+    return times
+  }
+
+  /**
+   * @method beforeSend
+   * @description
+   * Decides whether a code may be sent to `contact` now, and records the send
+   * when it may.
+   *
+   * **Logic:**
+   * 1. **Gap:** If the last send to the contact was less than `minGapMs` ago,
+   * the send is denied until the gap has passed.
+   * 2. **Daily Cap:** If the contact already got `dailyMax` sends in the last 24
+   * hours, the send is denied until the oldest of them is 24 hours old.
+   * 3. **IP Cap:** With `ipDailyMax` and a `context.ip`, the same rolling cap
+   * applies to all sends requested from that IP.
+   * 4. **Record:** Otherwise the current time is stored for the contact (and
+   * the IP), and the send is allowed.
+   *
+   * A denial reports the longest of the applicable waits as `retryAfterMs`.
+   *
+   * @param {string} contact - The recipient.
+   * @param {SendContext} [context] - Optional request details (`ip`).
+   * @returns {SendDecision} `{ allowed: true }`, or `{ allowed: false, retryAfterMs }`.
+   */
+  beforeSend(contact: string, context?: SendContext): SendDecision {
+    const now = Date.now()
+    const sent = this.recent(this.contacts, contact, now)
+    let retryAfterMs = 0
+    if (sent.length > 0) retryAfterMs = Math.max(retryAfterMs, sent[sent.length - 1] + this.minGapMs - now)
+    if (sent.length >= this.dailyMax) retryAfterMs = Math.max(retryAfterMs, sent[sent.length - this.dailyMax] + DAY_MS - now)
+    const ip = this.ipDailyMax != null ? context?.ip : undefined
+    const fromIp = ip != null ? this.recent(this.ips, ip, now) : []
+    if (ip != null && fromIp.length >= this.ipDailyMax!) {
+      retryAfterMs = Math.max(retryAfterMs, fromIp[fromIp.length - this.ipDailyMax!] + DAY_MS - now)
+    }
+    if (retryAfterMs > 0) return { allowed: false, retryAfterMs }
+    this.contacts.set(contact, [...sent, now])
+    if (ip != null) this.ips.set(ip, [...fromIp, now])
+    return { allowed: true }
+  }
+
+  /**
+   * @method cancelSend
+   * @description
+   * Forgets the most recent send recorded for `contact` (and for `context.ip`
+   * when the per-IP cap is on). `issue()` calls this when `create()` throws
+   * after the send was allowed, since nothing was delivered.
+   *
+   * @param {string} contact - The contact passed to `beforeSend`.
+   * @param {SendContext} [context] - The context passed to `beforeSend`.
+   * @returns {void}
+   */
+  cancelSend(contact: string, context?: SendContext): void {
+    const now = Date.now()
+    const ip = this.ipDailyMax != null ? context?.ip : undefined
+    for (const [sends, key] of [[this.contacts, contact], [this.ips, ip]] as const) {
+      if (key == null) continue
+      const times = this.recent(sends, key, now)
+      if (times.length > 1) sends.set(key, times.slice(0, -1))
+      else sends.delete(key)
+    }
+  }
 }
 
 export interface OneHitterOptions {
   rateLimiter?: RateLimiter
+  sendLimiter?: SendLimiter
 }
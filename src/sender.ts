@@ -1,9 +1,24 @@
 import nodemailer from 'nodemailer'
-import { OTP_MESSAGE_FROM, OTP_MESSAGE_SUBJECT, OTP_SES_REGION, OTP_EXPIRY } from './config.js'
+import {
+  OTP_MESSAGE_FROM,
+  OTP_MESSAGE_SUBJECT,
+  OTP_SES_REGION,
+  OTP_EXPIRY,
+  resolveEmailTransport,
+  resolveSmtpConfig,
+  type EmailTransportKind,
+  type SmtpConfig,
+} from './config.js'
 
 export interface SendOptions {
   region?: string
   transporter?: nodemailer.Transporter
+  // 'ses' or 'smtp' (see resolveEmailTransport); ignored when a transporter is given
+  transport?: EmailTransportKind
+  // SMTP server, over OTP_SMTP_*; used by the 'smtp' transport
+  smtp?: SmtpConfig
+  // Purpose the code was created for, exposed to templates as `ctx.purpose`
+  purpose?: string
 }
 
 export interface MessageContext {
@@ -12,6 +27,8 @@ export interface MessageContext {
   url: string
   expirySeconds: number
   minutesText: string
+  // What the code is for (e.g. 'password_reset'), when it was created with a purpose
+  purpose?: string
 }
 
 export type MessageTemplate = (ctx: MessageContext) => Partial<{ subject: string; text: string; html: string; from: string }>
@@ -43,7 +60,7 @@ export interface MessageConfig {
  * @returns {{ seconds: number; minutes: number; text: string }} An object containing the expiration time
  * in raw seconds, rounded minutes, and a human-readable text string (e.g., "30 minutes").
  */
-function formatExpiry(expiry?: number | string): { seconds: number; minutes: number; text: string } {
+export function formatExpiry(expiry?: number | string): { seconds: number; minutes: number; text: string } {
   const secFromArg = Number(expiry)
   const envExpiryNum = Number(OTP_EXPIRY)
   const seconds: number = (Number.isFinite(secFromArg) && secFromArg > 0)
@@ -77,11 +94,19 @@ function formatExpiry(expiry?: number | string): { seconds: number; minutes: num
  * @param {string} url - The base URL/application link.
  * @param {number | string} [expiry] - The raw OTP expiration time.
  * @param {MessageConfig | MessageTemplate} [cfgOrFn] - Optional custom message configuration object or a template function.
+ * @param {string} [purpose] - Optional purpose of the code, passed to templates as `ctx.purpose`.
  * @returns {{ subject: string; text: string; html: string | undefined; from: string }} An object containing the final, resolved email parts.
  */
-function resolveMessage(to: string, otp: string, url: string, expiry?: number | string, cfgOrFn?: MessageConfig | MessageTemplate) {
+function resolveMessage(
+  to: string,
+  otp: string,
+  url: string,
+  expiry?: number | string,
+  cfgOrFn?: MessageConfig | MessageTemplate,
+  purpose?: string,
+) {
   const { seconds, text: minutesText } = formatExpiry(expiry)
-  const ctx: MessageContext = { to, otp, url, expirySeconds: seconds, minutesText }
+  const ctx: MessageContext = { to, otp, url, expirySeconds: seconds, minutesText, ...(purpose ? { purpose } : {}) }
 
   let override: Partial<{ subject: string; text: string; html: string; from: string }> = {}
   if (typeof cfgOrFn === 'function') {
@@ -121,8 +146,10 @@ Once used, this one-time password can not be used again. That's why it's called
  *
  * This function handles the entire email dispatch process, including:
  * 1. **Argument Validation:** Ensures the recipient (`to`) and sender (`from`) addresses are provided.
- * 2. **AWS SES Setup:** Configures a Nodemailer transporter using AWS SES. It prioritizes a user-provided
- * transporter or region, falling back to global constants (`OTP_SES_REGION`) or a default region (`us-east-1`).
+ * 2. **Transport Setup:** Uses a user-provided Nodemailer transporter when given. Otherwise it builds one
+ * for the selected transport (`opts.transport`, `OTP_EMAIL_TRANSPORT`, or `smtp` when `OTP_SMTP_HOST` is set):
+ * an SMTP transport from `opts.smtp`/`OTP_SMTP_*`, or AWS SES in `opts.region`, falling back to global
+ * constants (`OTP_SES_REGION`) or a default region (`us-east-1`).
  * 3. **Message Resolution:** Calls an external utility (`resolveMessage`) to format the email content
  * (subject, text, HTML body) using the OTP, URL, expiry, and any custom message templates.
  * 4. **Email Dispatch:** Uses the configured transporter to send the final email.
@@ -132,9 +159,10 @@ Once used, this one-time password can not be used again. That's why it's called
  * @param {string} url - The base URL, often used within the email template (e.g., for linking back to the app).
  * @param {number | string} [expiry] - The OTP expiration time, used in message resolution (e.g., "Expires in 5 minutes").
  * @param {MessageConfig | MessageTemplate} [message] - Custom configuration or templates for the email content.
- * @param {SendOptions} [opts] - Optional parameters, including an existing Nodemailer `transporter` or a specific `region`.
+ * @param {SendOptions} [opts] - Optional parameters, including an existing Nodemailer `transporter`, the `transport` kind
+ * with its `smtp` server or SES `region`, or the code's `purpose`.
  * @returns {Promise<void>} A Promise that resolves when the email is sent by the transporter.
- * @throws {Error} If the recipient (`to`) or the sender (`from`) address is missing.
+ * @throws {Error} If the recipient (`to`) or the sender (`from`) address is missing, the transport is unknown, or SMTP has no host.
  */
 function createSesTransport(region: string): nodemailer.Transporter {
   // Force SESv2 path only; do not use legacy SES
@@ -149,6 +177,24 @@ function createSesTransport(region: string): nodemailer.Transporter {
   }
 }
 
+/** Nodemailer SMTP transporter from `smtp` over `OTP_SMTP_*`; authenticates only when a user is set. */
+export function createSmtpTransport(smtp?: SmtpConfig): nodemailer.Transporter {
+  const { host, port, secure, user, pass } = resolveSmtpConfig(smtp)
+  if (!host) {
+    throw new Error('Missing SMTP host: set OTP_SMTP_HOST or provide email.smtp.host')
+  }
+  return nodemailer.createTransport({ host, port, secure, ...(user ? { auth: { user, pass } } : {}) })
+}
+
+// The configured transporter, or one built for the selected transport kind
+function transporterFor(opts?: SendOptions): nodemailer.Transporter {
+  if (opts?.transporter) return opts.transporter
+  const kind = resolveEmailTransport(opts?.transport)
+  if (kind === 'smtp') return createSmtpTransport(opts?.smtp)
+  if (kind === 'ses') return createSesTransport(opts?.region ?? OTP_SES_REGION ?? 'us-east-1')
+  throw new Error(`Unknown email transport "${kind}": expected "ses" or "smtp" (OTP_EMAIL_TRANSPORT)`)
+}
+
 async function send(
   to: string,
   otp: string,
@@ -161,11 +207,9 @@ async function send(
     throw new Error('Missing recipient email: ensure OTP_MESSAGE_TEST_TO (for tests) or the "to" argument is set')
   }
 
-  const region = opts?.region ?? OTP_SES_REGION ?? 'us-east-1'
-
-  const transporter = opts?.transporter ?? createSesTransport(region)
+  const transporter = transporterFor(opts)
 
-  const { subject, text, html, from } = resolveMessage(to, otp, url, expiry, message)
+  const { subject, text, html, from } = resolveMessage(to, otp, url, expiry, message, opts?.purpose)
 
   if (!from || String(from).trim().length === 0) {
     throw new Error('Missing sender address: set OTP_MESSAGE_FROM or provide message.from')
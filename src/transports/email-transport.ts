@@ -0,0 +1,49 @@
+import type nodemailer from 'nodemailer'
+import send, { type MessageConfig, type MessageTemplate } from '../sender.js'
+import type { EmailTransportKind, SmtpConfig } from '../config.js'
+import type { DeliverArgs, Transport } from './shared.js'
+
+export interface EmailTransportOptions {
+  // Subject/text/html/from overrides, as for the OneHitter `message` option
+  message?: MessageConfig | MessageTemplate
+  // SES region; OTP_SES_REGION, then us-east-1 when unset
+  region?: string
+  // Nodemailer transporter to use instead of SES/SMTP
+  transporter?: nodemailer.Transporter
+  // 'ses' or 'smtp'; OTP_EMAIL_TRANSPORT, then 'smtp' when OTP_SMTP_HOST is set, else 'ses'
+  transport?: EmailTransportKind
+  // SMTP server, over OTP_SMTP_*
+  smtp?: SmtpConfig
+}
+
+/**
+ * Delivers codes by email through `sender.ts`: SES or SMTP, or the given
+ * Nodemailer transporter. OneHitter behaves like this when no transport is
+ * configured; construct one to pick email per call, or with other settings.
+ */
+export class EmailTransport implements Transport {
+  readonly name = 'email'
+  private readonly message?: MessageConfig | MessageTemplate
+  private readonly region?: string
+  private readonly transporter?: nodemailer.Transporter
+  private readonly transport?: EmailTransportKind
+  private readonly smtp?: SmtpConfig
+
+  constructor(opts?: EmailTransportOptions) {
+    this.message = opts?.message
+    this.region = opts?.region
+    this.transporter = opts?.transporter
+    this.transport = opts?.transport
+    this.smtp = opts?.smtp
+  }
+
+  async deliver({ to, otp, context }: DeliverArgs): Promise<void> {
+    await send(to, otp, context.url, context.expirySeconds, this.message, {
+      region: this.region,
+      transporter: this.transporter,
+      transport: this.transport,
+      smtp: this.smtp,
+      purpose: context.purpose,
+    })
+  }
+}
@@ -0,0 +1,132 @@
+import { formatExpiry, type MessageContext } from '../sender.js'
+import type { DeliverArgs, Transport } from './shared.js'
+
+// Fields a body template can place: `{{to}}`, `{{message}}` and `{{otp}}`
+export interface SmsPayload {
+  to: string
+  message: string
+  otp: string
+}
+
+export interface SmsTextOptions {
+  // Message text: a function of the message context, or a string with
+  // `{{otp}}`, `{{url}}`, `{{minutesText}}`, `{{purpose}}` and `{{to}}` placeholders
+  text?: string | ((ctx: MessageContext) => string)
+  // Longest allowed text including the WebOTP line (default 160, one GSM-7 segment; 0 disables)
+  maxLength?: number
+  // Appends the WebOTP line `@<domain> #<code>` so browsers can autofill the code;
+  // `true` takes the domain from the url
+  webOtp?: true | string
+}
+
+export interface HttpSmsTransportOptions extends SmsTextOptions {
+  // URL the provider's "send message" request goes to
+  endpoint: string
+  method?: 'POST' | 'PUT'
+  // Sent as the Authorization header, e.g. `Bearer <token>` or `Basic <base64>`
+  authHeader?: string
+  headers?: Record<string, string>
+  // Request body: a string with `{{to}}`, `{{message}}` and `{{otp}}` placeholders
+  // (escaped for the content type), or a function returning a string or an object
+  // sent as JSON. Defaults to `{"to": ..., "message": ...}`.
+  body?: string | ((sms: SmsPayload) => string | Record<string, unknown>)
+  // Default application/json
+  contentType?: string
+  // Request timeout (default 10000)
+  timeoutMs?: number
+}
+
+const DEFAULT_MAX_LENGTH = 160
+
+// Replaces `{{name}}` placeholders; unknown names are left as they are
+function fill(template: string, values: Record<string, string | undefined>, escape: (v: string) => string = (v) => v): string {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name: string) => {
+    const value = values[name]
+    return value == null ? match : escape(value)
+  })
+}
+
+// Escapes a body placeholder value for the request's content type
+function escaperFor(contentType: string): (v: string) => string {
+  if (/json/i.test(contentType)) return (v) => JSON.stringify(v).slice(1, -1)
+  if (/x-www-form-urlencoded/i.test(contentType)) return encodeURIComponent
+  return (v) => v
+}
+
+/**
+ * Builds the text of an OTP SMS: the template (or a short default naming the
+ * url's host and the expiry), then the WebOTP line when enabled. Whitespace is
+ * removed from the code in that line, which must be a single token.
+ *
+ * @throws {Error} If the text is longer than `maxLength`.
+ */
+export function renderSms(to: string, otp: string, url: string, expiry?: number, opts?: SmsTextOptions & { purpose?: string }): string {
+  const { seconds, text: minutesText } = formatExpiry(expiry)
+  const ctx: MessageContext = { to, otp, url, expirySeconds: seconds, minutesText, ...(opts?.purpose ? { purpose: opts.purpose } : {}) }
+  const host = new URL(url).hostname
+  let text = typeof opts?.text === 'function'
+    ? opts.text(ctx)
+    : opts?.text != null
+      ? fill(opts.text, { to, otp, url, minutesText, purpose: opts.purpose ?? '' })
+      : `${otp} is your one-time password for ${host}. It expires in ${minutesText}.`
+  if (opts?.webOtp) {
+    const domain = opts.webOtp === true ? host : opts.webOtp
+    text += `\n\n@${domain} #${otp.replace(/\s+/g, '')}`
+  }
+  const maxLength = opts?.maxLength ?? DEFAULT_MAX_LENGTH
+  if (maxLength > 0 && text.length > maxLength) {
+    throw new Error(`SMS text is ${text.length} characters, over the maxLength of ${maxLength}`)
+  }
+  return text
+}
+
+/**
+ * Delivers codes as SMS through a provider's HTTP API: one request per code
+ * to `endpoint`, shaped by `body`. Any non-2xx response fails the delivery.
+ * Uses the global `fetch` (Node 18+).
+ */
+export class HttpSmsTransport implements Transport {
+  readonly name = 'http-sms'
+  private readonly opts: HttpSmsTransportOptions
+
+  constructor(opts: HttpSmsTransportOptions) {
+    try {
+      new URL(opts?.endpoint)
+    } catch {
+      throw new Error(`HttpSmsTransport requires an absolute endpoint URL (got "${opts?.endpoint}")`)
+    }
+    this.opts = opts
+  }
+
+  async deliver({ to, otp, context }: DeliverArgs): Promise<void> {
+    const { endpoint, method = 'POST', authHeader, headers, body, contentType = 'application/json', timeoutMs = 10_000 } = this.opts
+    const message = renderSms(to, otp, context.url, context.expirySeconds, { ...this.opts, purpose: context.purpose })
+    const sms: SmsPayload = { to, message, otp }
+
+    let payload: string
+    if (typeof body === 'function') {
+      const built = body(sms)
+      payload = typeof built === 'string' ? built : JSON.stringify(built)
+    } else if (body != null) {
+      payload = fill(body, { ...sms }, escaperFor(contentType))
+    } else {
+      payload = JSON.stringify({ to, message })
+    }
+
+    const res = await fetch(endpoint, {
+      method,
+      headers: {
+        'Content-Type': contentType,
+        ...(authHeader ? { Authorization: authHeader } : {}),
+        ...headers,
+      },
+      body: payload,
+      signal: AbortSignal.timeout(timeoutMs),
+    })
+    // Read the body so the connection is released
+    await res.arrayBuffer().catch(() => undefined)
+    if (!res.ok) {
+      throw new Error(`SMS endpoint responded with HTTP ${res.status}`)
+    }
+  }
+}
@@ -0,0 +1,3 @@
+export { EmailTransport, type EmailTransportOptions } from './email-transport.js'
+export { HttpSmsTransport, renderSms, type HttpSmsTransportOptions, type SmsPayload, type SmsTextOptions } from './http-sms-transport.js'
+export type { DeliverArgs, DeliveryContext, Transport } from './shared.js'
@@ -0,0 +1,25 @@
+// What a transport needs besides the recipient and the code
+export interface DeliveryContext {
+  // Application URL (`url` option or OTP_URL)
+  url: string
+  // Lifetime to state in the message; unset falls back to OTP_EXPIRY, then 30 minutes
+  expirySeconds?: number
+  // What the code is for (e.g. 'login'), when it was created with a purpose
+  purpose?: string
+}
+
+export interface DeliverArgs {
+  to: string
+  otp: string
+  context: DeliveryContext
+}
+
+/**
+ * Channel a code is delivered through (email, SMS, push, ...). OneHitter
+ * calls `deliver` once per allowed send; throwing fails the send (and makes
+ * `issue` roll the record back).
+ */
+export interface Transport {
+  readonly name: string
+  deliver(args: DeliverArgs): Promise<void>
+}
@@ -0,0 +1,189 @@
+const assert = require('assert')
+
+// Use built artifacts so nyc maps coverage to dist/cjs/**
+const OneHitter = require('../dist/cjs/onehitter.js').default
+const { MemoryAdapter, MongoAdapter, SqliteAdapter, getAdapter } = require('../dist/cjs/db/index.js')
+
+function makeRecordingAdapter(name, status = 'ok') {
+  const calls = { create: [], validateWithStatus: [] }
+  return {
+    name,
+    calls,
+    async create(args) {
+      calls.create.push(args)
+      return { acknowledged: true, insertedId: `${name}-${calls.create.length}` }
+    },
+    async validateWithStatus(args) {
+      calls.validateWithStatus.push(args)
+      return status
+    },
+  }
+}
+
+describe('OneHitter adapter injection', () => {
+  it('create() uses the injected adapter without a client', async () => {
+    const adapter = makeRecordingAdapter('custom')
+    const one = new OneHitter({ adapter })
+    const otp = { contact: 'inject@test.local', otp: '123456', createdAt: new Date() }
+
+    const res = await one.create(otp)
+
+    assert.strictEqual(res.insertedId, 'custom-1')
+    assert.strictEqual(adapter.calls.create.length, 1)
+    assert.strictEqual(adapter.calls.create[0].client, undefined)
+    assert.strictEqual(adapter.calls.create[0].otp, otp)
+  })
+
+  it('forwards an explicit client to the injected adapter', async () => {
+    const adapter = makeRecordingAdapter('custom')
+    const one = new OneHitter({ adapter })
+    const client = { db() { return {} } }
+
+    await one.create(client, { contact: 'c@test.local', otp: '111111', createdAt: new Date() })
+    const status = await one.validateStatus(client, { contact: 'c@test.local', otp: '111111' })
+
+    assert.strictEqual(status, 'ok')
+    assert.strictEqual(adapter.calls.create[0].client, client)
+    assert.strictEqual(adapter.calls.validateWithStatus[0].client, client)
+  })
+
+  it('validateStatus() uses the injected adapter and reports to the limiter', async () => {
+    const adapter = makeRecordingAdapter('custom', 'expired')
+    const seen = { success: 0, failure: 0 }
+    const rateLimiter = {
+      beforeValidate: () => true,
+      onSuccess: () => { seen.success++ },
+      onFailure: () => { seen.failure++ },
+    }
+    const one = new OneHitter({ adapter, rateLimiter })
+
+    const status = await one.validateStatus({ contact: 'v@test.local', otp: '000000' })
+
+    assert.strictEqual(status, 'expired')
+    assert.deepStrictEqual(adapter.calls.validateWithStatus[0].otp, { contact: 'v@test.local', otp: '000000' })
+    assert.deepStrictEqual(seen, { success: 0, failure: 1 })
+  })
+
+  it('keeps instances with different adapters independent', async () => {
+    const a = makeRecordingAdapter('a')
+    const b = makeRecordingAdapter('b', 'not_found')
+    const oneA = new OneHitter({ adapter: a })
+    const oneB = new OneHitter({ adapter: b })
+
+    assert.strictEqual(await oneA.validate({ contact: 'x@test.local', otp: '1' }), true)
+    assert.strictEqual(await oneB.validate({ contact: 'x@test.local', otp: '1' }), false)
+    assert.strictEqual(a.calls.validateWithStatus.length, 1)
+    assert.strictEqual(b.calls.validateWithStatus.length, 1)
+  })
+
+  it('connect()/close() delegate to the adapter lifecycle hooks', async () => {
+    const adapter = makeRecordingAdapter('lifecycle')
+    const seen = []
+    adapter.connect = async () => { seen.push('connect') }
+    adapter.close = async () => { seen.push('close') }
+    const one = new OneHitter({ adapter })
+
+    await one.connect()
+    await one.close()
+
+    assert.deepStrictEqual(seen, ['connect', 'close'])
+  })
+
+  it('connect()/close() are no-ops for adapters without lifecycle hooks', async () => {
+    const one = new OneHitter({ adapter: makeRecordingAdapter('plain') })
+    await one.connect()
+    await one.close()
+  })
+
+  it('purgeExpired() delegates to the adapter and rejects when it is unsupported', async () => {
+    const adapter = makeRecordingAdapter('purging')
+    adapter.purgeExpired = async () => 7
+    assert.strictEqual(await new OneHitter({ adapter }).purgeExpired(), 7)
+
+    const plain = new OneHitter({ adapter: makeRecordingAdapter('plain') })
+    await assert.rejects(() => plain.purgeExpired(), /The plain adapter does not support purgeExpired\(\)/)
+  })
+
+  it('builds an instance-owned MongoAdapter from the mongo option', () => {
+    const one = new OneHitter({ mongo: { connection: 'mongodb://unit-test' } })
+    assert.ok(one.adapter instanceof MongoAdapter)
+    assert.notStrictEqual(one.adapter, getAdapter({ hasClient: true }))
+  })
+
+  it('builds an instance-owned SqliteAdapter from the sqlite option', () => {
+    const one = new OneHitter({ sqlite: { path: ':memory:' } })
+    assert.ok(one.adapter instanceof SqliteAdapter)
+    assert.notStrictEqual(one.adapter, new OneHitter({ sqlite: { path: ':memory:' } }).adapter)
+  })
+
+  it('forwards expirySeconds so instances can use different lifetimes', async () => {
+    const adapter = new MemoryAdapter({ ttlSeconds: 3600 })
+    const short = new OneHitter({ adapter, expirySeconds: 60 })
+    const long = new OneHitter({ adapter })
+    const createdAt = new Date(Date.now() - 90_000)
+    await long.create({ contact: 'y@test.local', otp: '202020', createdAt })
+    await short.create({ contact: 'x@test.local', otp: '101010', createdAt })
+
+    // The expiry is fixed when the code is created, whichever instance validates it
+    assert.strictEqual(await long.validateStatus({ contact: 'x@test.local', otp: '101010' }), 'expired')
+    assert.strictEqual(await short.validateStatus({ contact: 'y@test.local', otp: '202020' }), 'ok')
+  })
+})
+
+describe('built-in adapter classes', () => {
+  it('are exported as constructable classes from db/index', () => {
+    assert.strictEqual(new MongoAdapter().name, 'mongodb')
+    assert.strictEqual(new SqliteAdapter().name, 'sqlite')
+    assert.ok(getAdapter({ hasClient: true }) instanceof MongoAdapter)
+  })
+
+  it('MongoAdapter falls back to the client given at construction', async () => {
+    const inserted = []
+    const collection = { async insertOne(doc) { inserted.push(doc); return { acknowledged: true, insertedId: 'id-1' } } }
+    const client = { db() { return { collection() { return collection } } } }
+    const prev = { db: process.env.OTP_MONGO_DATABASE, coll: process.env.OTP_MONGO_COLLECTION }
+    process.env.OTP_MONGO_DATABASE = 'onehitter-test'
+    process.env.OTP_MONGO_COLLECTION = 'otp'
+    try {
+      const adapter = new MongoAdapter({ client })
+      const res = await adapter.create({ otp: { contact: 'm@test.local', otp: '222222', createdAt: new Date() } })
+      assert.strictEqual(res.insertedId, 'id-1')
+      assert.strictEqual(inserted.length, 1)
+    } finally {
+      if (prev.db == null) delete process.env.OTP_MONGO_DATABASE; else process.env.OTP_MONGO_DATABASE = prev.db
+      if (prev.coll == null) delete process.env.OTP_MONGO_COLLECTION; else process.env.OTP_MONGO_COLLECTION = prev.coll
+    }
+  })
+
+  it('MongoAdapter uses the database/collection options before the env names', async () => {
+    const used = []
+    const collection = { async insertOne() { return { acknowledged: true, insertedId: 'id-2' } } }
+    const client = { db(name) { return { collection(coll) { used.push([name, coll]); return collection } } } }
+    const prev = { db: process.env.OTP_MONGO_DATABASE, coll: process.env.OTP_MONGO_COLLECTION }
+    delete process.env.OTP_MONGO_DATABASE
+    process.env.OTP_MONGO_COLLECTION = 'env-otp'
+    try {
+      await new MongoAdapter({ client, database: 'tenant-a' }).create({ otp: { contact: 'm@test.local', otp: '1', createdAt: new Date() } })
+      await new MongoAdapter({ client, database: 'tenant-b', collection: 'codes' }).create({ otp: { contact: 'm@test.local', otp: '1', createdAt: new Date() } })
+      assert.deepStrictEqual(used, [['tenant-a', 'env-otp'], ['tenant-b', 'codes']])
+      await assert.rejects(() => new MongoAdapter({ client }).create({ otp: { contact: 'm@test.local', otp: '1' } }), /Missing OTP_MONGO_DATABASE/)
+    } finally {
+      if (prev.db == null) delete process.env.OTP_MONGO_DATABASE; else process.env.OTP_MONGO_DATABASE = prev.db
+      if (prev.coll == null) delete process.env.OTP_MONGO_COLLECTION; else process.env.OTP_MONGO_COLLECTION = prev.coll
+    }
+  })
+
+  it('MongoAdapter without any client or connection string rejects with a clear error', async () => {
+    const prev = process.env.OTP_MONGO_CONNECTION
+    delete process.env.OTP_MONGO_CONNECTION
+    try {
+      const adapter = new MongoAdapter()
+      await assert.rejects(
+        () => adapter.create({ otp: { contact: 'm@test.local', otp: '1', createdAt: new Date() } }),
+        /requires a MongoClient or a connection string/,
+      )
+    } finally {
+      if (prev != null) process.env.OTP_MONGO_CONNECTION = prev
+    }
+  })
+})
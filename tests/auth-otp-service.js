@@ -38,6 +38,23 @@ describe('OtpAuthService', () => {
     assert.strictEqual(ev.userAgent, extra.userAgent)
   })
 
+  it('merges metadata from validateDetailed into the success payload, under extra', async () => {
+    const oneHitter = {
+      async validateDetailed() {
+        return { status: 'ok', metadata: { userId: 'spoofed', accountId: 'acc-1', redirect: '/from-metadata' } }
+      },
+    }
+    const svc = new OtpAuthService({ oneHitter })
+    const events = []
+    svc.on(OtpAuthService.AUTH_SUCCESS, (payload) => events.push(payload))
+
+    assert.strictEqual(await svc.authenticateUser('OTP123', 'user-md@test', { redirect: '/from-extra' }), true)
+    const ev = events[0]
+    assert.strictEqual(ev.userId, 'user-md@test')
+    assert.strictEqual(ev.accountId, 'acc-1')
+    assert.strictEqual(ev.redirect, '/from-extra')
+  })
+
   it('emits AUTH_FAILURE with reason and returns false on non-ok status', async () => {
     const oneHitter = makeStubOneHitterWithStatus('expired')
     const svc = new OtpAuthService({ oneHitter })
@@ -64,6 +81,25 @@ describe('OtpAuthService', () => {
     assert.strictEqual(ev.ip, extra.ip)
   })
 
+  it('passes reason="too_many_attempts" through when storage burned the codes', async () => {
+    const svc = new OtpAuthService({ oneHitter: makeStubOneHitterWithStatus('too_many_attempts') })
+    const failureEvents = []
+    svc.on(OtpAuthService.AUTH_FAILURE, (p) => failureEvents.push(p))
+
+    assert.strictEqual(await svc.authenticateUser('OTP', 'user-burned@test'), false)
+    assert.strictEqual(failureEvents[0].reason, 'too_many_attempts')
+  })
+
+  it('passes reason="mismatch" and reason="used" through', async () => {
+    const svc = new OtpAuthService({ oneHitter: makeStubOneHitterWithStatus(['mismatch', 'used']) })
+    const failureEvents = []
+    svc.on(OtpAuthService.AUTH_FAILURE, (p) => failureEvents.push(p))
+
+    assert.strictEqual(await svc.authenticateUser('000000', 'user-wrong@test'), false)
+    assert.strictEqual(await svc.authenticateUser('OTP', 'user-wrong@test'), false)
+    assert.deepStrictEqual(failureEvents.map(e => e.reason), ['mismatch', 'used'])
+  })
+
   it('maps unknown underlying status to reason="unknown"', async () => {
     // Even if the underlying implementation somehow returns an unexpected
     // status string at runtime, the public reason should stay within the
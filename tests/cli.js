@@ -0,0 +1,210 @@
+const assert = require('assert')
+const proxyquire = require('proxyquire')
+
+// Built CJS entrypoint so nyc maps coverage to dist/cjs/**
+const MODULE_PATH = '../dist/cjs/cli.js'
+
+function makeAdapter(name = 'fake') {
+  const calls = { purgeExpired: 0, countRecords: 0, close: 0 }
+  return {
+    name,
+    calls,
+    async purgeExpired() { calls.purgeExpired++; return 4 },
+    async countRecords() { calls.countRecords++; return { active: 2, expired: 3 } },
+    async close() { calls.close++ },
+  }
+}
+
+function makeMongoFake(indexes = []) {
+  const calls = { connect: 0, close: 0, createIndex: [] }
+  class MongoClient {
+    async connect() { calls.connect++ }
+    async close() { calls.close++ }
+    db() {
+      return {
+        collection() {
+          return {
+            async indexes() { return indexes },
+            async dropIndex() {},
+            async createIndex(keys, options) { calls.createIndex.push(options) },
+          }
+        },
+      }
+    }
+  }
+  return { mongodb: { MongoClient, ServerApiVersion: { v1: '1' } }, calls }
+}
+
+function loadCli(stubs = {}) {
+  return proxyquire.noPreserveCache()(MODULE_PATH, stubs)
+}
+
+describe('onehitter CLI', () => {
+  const save = { log: console.log, error: console.error, env: { ...process.env } }
+  let out, err
+
+  beforeEach(() => {
+    out = []
+    err = []
+    console.log = (...a) => { out.push(a.join(' ')) }
+    console.error = (...a) => { err.push(a.join(' ')) }
+  })
+
+  afterEach(() => {
+    console.log = save.log
+    console.error = save.error
+    for (const key of Object.keys(process.env)) if (!(key in save.env)) delete process.env[key]
+    Object.assign(process.env, save.env)
+  })
+
+  it('parseArgs() reads the command, --json and both value forms', () => {
+    const { parseArgs } = loadCli()
+    assert.deepStrictEqual(parseArgs(['send-test', '--to', 'a@b.c', '--json']), { command: 'send-test', to: 'a@b.c', json: true, help: false })
+    assert.strictEqual(parseArgs(['gen-pepper', '--id=k3']).id, 'k3')
+    assert.throws(() => parseArgs(['stats', '--nope']), /Unknown option: --nope/)
+    assert.throws(() => parseArgs(['send-test', '--to']), /--to requires a value/)
+  })
+
+  it('exits 2 with usage for a missing or unknown command', async () => {
+    const { main } = loadCli()
+    assert.strictEqual(await main([]), 2)
+    assert.match(err[0], /Missing command[\s\S]*Usage: onehitter/)
+    assert.strictEqual(await main(['bogus', '--json']), 2)
+    assert.deepStrictEqual(JSON.parse(out[0]), { ok: false, command: 'bogus', error: 'Unknown command: bogus' })
+  })
+
+  it('purge-expired reports the removed count and closes the adapter', async () => {
+    const adapter = makeAdapter('sqlite')
+    const { main } = loadCli({ './db/index.js': { getAdapter: () => adapter } })
+    assert.strictEqual(await main(['purge-expired', '--json']), 0)
+    assert.deepStrictEqual(JSON.parse(out[0]), { ok: true, command: 'purge-expired', driver: 'sqlite', removed: 4 })
+    assert.strictEqual(adapter.calls.close, 1)
+  })
+
+  it('stats prints active and expired counts', async () => {
+    const adapter = makeAdapter('postgres')
+    const { main } = loadCli({ './db/index.js': { getAdapter: () => adapter } })
+    assert.strictEqual(await main(['stats']), 0)
+    assert.deepStrictEqual(out, ['[stats] postgres: active=2 expired=3'])
+  })
+
+  it('exits 1 when the adapter fails, still closing it', async () => {
+    const adapter = makeAdapter('mongodb')
+    adapter.countRecords = async () => { throw new Error('connection refused') }
+    const { main } = loadCli({ './db/index.js': { getAdapter: () => adapter } })
+    assert.strictEqual(await main(['stats']), 1)
+    assert.deepStrictEqual(err, ['[stats] error: connection refused'])
+    assert.strictEqual(adapter.calls.close, 1)
+  })
+
+  it('ensure-ttl creates the Mongo index on expiresAt, replacing the createdAt one', async () => {
+    process.env.OTP_DB_DRIVER = 'mongodb'
+    process.env.OTP_MONGO_CONNECTION = 'mongodb://unit-test'
+    process.env.OTP_MONGO_DATABASE = 'onehitter-test'
+    process.env.OTP_MONGO_COLLECTION = 'otps'
+    const { mongodb, calls } = makeMongoFake([{ name: 'onehitter_createdAt_ttl', key: { createdAt: 1 }, expireAfterSeconds: 600 }])
+    const { main } = loadCli({ mongodb })
+    assert.strictEqual(await main(['ensure-ttl', '--json']), 0)
+    assert.deepStrictEqual(JSON.parse(out[0]), {
+      ok: true,
+      command: 'ensure-ttl',
+      driver: 'mongodb',
+      action: 'created',
+      name: 'onehitter_expiresAt_ttl',
+      expireAfterSeconds: 0,
+      droppedLegacy: 'onehitter_createdAt_ttl',
+    })
+    assert.strictEqual(calls.close, 1)
+
+    assert.strictEqual(await main(['ensure-ttl']), 0)
+    assert.strictEqual(out[1], '[ensure-ttl] created: index=onehitter_expiresAt_ttl field=expiresAt (dropped legacy createdAt index onehitter_createdAt_ttl)')
+  })
+
+  it('ensure-ttl is skipped for drivers without a TTL index', async () => {
+    process.env.OTP_DB_DRIVER = 'sqlite'
+    const { main } = loadCli()
+    assert.strictEqual(await main(['ensure-ttl']), 0)
+    assert.match(out[0], /skipped: the sqlite driver/)
+  })
+
+  it('gen-pepper prints a random secret, optionally as an OTP_PEPPERS entry', async () => {
+    const { main } = loadCli()
+    assert.strictEqual(await main(['gen-pepper', '--id', 'k3', '--json']), 0)
+    const res = JSON.parse(out[0])
+    assert.match(res.pepper, /^[A-Za-z0-9_-]{43}$/)
+    assert.strictEqual(res.entry, `k3:${res.pepper}`)
+    assert.strictEqual(await main(['gen-pepper', '--id', 'bad id']), 2)
+  })
+
+  it('doctor exits 1 on configuration errors and 0 with only warnings', async () => {
+    const { main, doctorChecks } = loadCli()
+    process.env.OTP_DB_DRIVER = 'memory'
+    process.env.OTP_EXPIRY = 'soon'
+    process.env.OTP_PEPPERS = 'missing-secret'
+    assert.strictEqual(await main(['doctor', '--json']), 1)
+    const res = JSON.parse(out[0])
+    assert.strictEqual(res.errors, 2)
+    assert.deepStrictEqual(res.checks.filter(c => c.level === 'error').map(c => c.name), ['OTP_EXPIRY', 'OTP_PEPPERS'])
+
+    process.env.OTP_EXPIRY = '1800'
+    process.env.OTP_PEPPERS = 'k1:secret1'
+    assert.strictEqual(await main(['doctor']), 0)
+    assert.ok(doctorChecks().some(c => c.name === 'OTP_PEPPER' && c.message === 'keyring with 1 key(s)'))
+  })
+
+  it('doctor checks the selected email transport', () => {
+    const { doctorChecks } = loadCli()
+    delete process.env.OTP_EMAIL_TRANSPORT
+    delete process.env.OTP_SMTP_PORT
+    process.env.OTP_SMTP_HOST = 'localhost'
+    const smtp = doctorChecks().find(c => c.name === 'OTP_EMAIL_TRANSPORT')
+    assert.deepStrictEqual(smtp, { name: 'OTP_EMAIL_TRANSPORT', level: 'ok', message: 'smtp localhost:587' })
+    process.env.OTP_EMAIL_TRANSPORT = 'smtp'
+    delete process.env.OTP_SMTP_HOST
+    assert.strictEqual(doctorChecks().find(c => c.name === 'OTP_SMTP_HOST').level, 'error')
+  })
+
+  it('doctor reports the same problems as validateConfig()', () => {
+    const { doctorChecks } = loadCli()
+    const OneHitter = require('../dist/cjs/onehitter.js').default
+    process.env.OTP_DB_DRIVER = 'sqlite'
+    delete process.env.SQLITE_PATH
+    delete process.env.OTP_URL
+    process.env.OTP_LENGTH = '3'
+    const problems = new OneHitter().validateConfig().map(p => [p.field, p.severity === 'warning' ? 'warn' : 'error'])
+    assert.ok(problems.some(([field]) => field === 'SQLITE_PATH'))
+    assert.deepStrictEqual(doctorChecks().filter(c => c.level !== 'ok').map(c => [c.name, c.level]), problems)
+  })
+
+  it('doctor requires a pepper in production', () => {
+    const { doctorChecks } = loadCli()
+    process.env.NODE_ENV = 'production'
+    delete process.env.OTP_PEPPER
+    delete process.env.OTP_PEPPERS
+    assert.strictEqual(doctorChecks().find(c => c.name === 'OTP_PEPPER').level, 'error')
+  })
+
+  it('send-test sends a generated code to --to', async () => {
+    const sent = []
+    class FakeOneHitter {
+      make() { return '123456' }
+      async send(to, otp) { sent.push({ to, otp }); return { status: 'sent' } }
+    }
+    const { main } = loadCli({ './onehitter.js': { default: FakeOneHitter, __esModule: true } })
+    assert.strictEqual(await main(['send-test', '--to', 'ops@example.com']), 0)
+    assert.deepStrictEqual(sent, [{ to: 'ops@example.com', otp: '123456' }])
+    assert.strictEqual(await main(['send-test']), 2)
+  })
+
+  it('send-test exits 1 when the send limiter refuses the send', async () => {
+    class ThrottledOneHitter {
+      make() { return '123456' }
+      async send() { return { status: 'throttled', retryAfterMs: 42_500 } }
+    }
+    const { main } = loadCli({ './onehitter.js': { default: ThrottledOneHitter, __esModule: true } })
+    assert.strictEqual(await main(['send-test', '--to', 'ops@example.com', '--json']), 1)
+    assert.deepStrictEqual(JSON.parse(out[0]), { ok: false, command: 'send-test', to: 'ops@example.com', sent: false, retryAfterMs: 42_500 })
+    assert.strictEqual(await main(['send-test', '--to', 'ops@example.com']), 1)
+    assert.strictEqual(out[1], '[send-test] throttled by the send limiter; retry in 43s')
+  })
+})
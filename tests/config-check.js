@@ -0,0 +1,177 @@
+const assert = require('assert')
+
+// Use built artifacts so nyc maps coverage to dist/cjs/**
+const OneHitter = require('../dist/cjs/onehitter.js').default
+const { ConfigValidationError } = require('../dist/cjs/onehitter.js')
+const { checkConfig, isValidSenderAddress } = require('../dist/cjs/config-check.js')
+const { MongoAdapter, MemoryAdapter } = require('../dist/cjs/db/index.js')
+const { InMemoryRateLimiter } = require('../dist/cjs/rate-limiter.js')
+
+const VALID_ENV = {
+  OTP_DB_DRIVER: 'memory',
+  OTP_URL: 'https://example.com/verify',
+  OTP_EXPIRY: '1800',
+  OTP_MESSAGE_FROM: 'OneHitter <noreply@example.com>',
+}
+
+const fieldsOf = (problems, severity) => problems.filter(p => !severity || p.severity === severity).map(p => p.field)
+
+describe('configuration validation', () => {
+  const saved = { ...process.env }
+
+  beforeEach(() => {
+    for (const key of Object.keys(process.env)) if (/^(OTP_|ONEHITTER_|SQLITE_PATH$|NODE_ENV$)/.test(key)) delete process.env[key]
+    Object.assign(process.env, VALID_ENV)
+  })
+
+  afterEach(() => {
+    for (const key of Object.keys(process.env)) if (!(key in saved)) delete process.env[key]
+    Object.assign(process.env, saved)
+  })
+
+  it('returns no problems for a complete configuration', () => {
+    assert.deepStrictEqual(new OneHitter().validateConfig(), [])
+  })
+
+  it('reports every problem at once', () => {
+    process.env.NODE_ENV = 'production'
+    process.env.OTP_EXPIRY = 'soon'
+    process.env.OTP_LENGTH = '4'
+    process.env.OTP_MESSAGE_FROM = 'not-an-address'
+    process.env.OTP_MAX_ATTEMPTS = '-1'
+    delete process.env.OTP_URL
+
+    const problems = new OneHitter().validateConfig()
+    assert.deepStrictEqual(fieldsOf(problems, 'error'), ['OTP_URL', 'OTP_EXPIRY', 'OTP_LENGTH', 'OTP_MAX_ATTEMPTS', 'OTP_PEPPER', 'OTP_MESSAGE_FROM'])
+    assert.match(problems.find(p => p.field === 'OTP_LENGTH').message, /13\.3 bits of entropy; at least 19\.9/)
+  })
+
+  it('checks explicit options in place of their env variables', () => {
+    const one = new OneHitter({
+      url: 'not a url',
+      expirySeconds: 0,
+      otp: { length: 8, charset: { lettersUpper: true, digits: false } },
+      maxAttempts: 3,
+      message: { from: 'team@example.com' },
+    })
+    const problems = one.validateConfig()
+    assert.deepStrictEqual(fieldsOf(problems), ['url', 'expirySeconds'])
+    assert.strictEqual(new OneHitter({ otp: { length: 3 } }).validateConfig()[0].field, 'otp')
+  })
+
+  it('accepts enough entropy from a larger alphabet with a shorter code', () => {
+    assert.deepStrictEqual(checkConfig({ otp: { length: 4, charset: { lettersUpper: true, lettersLower: true, digits: true } } }), [])
+    assert.deepStrictEqual(fieldsOf(checkConfig({ otp: { length: 5 } })), ['otp'])
+  })
+
+  it('counts excluded look-alike characters out of the alphabet', () => {
+    assert.deepStrictEqual(checkConfig({ otp: { length: 6, excludeAmbiguous: true } }).map(p => p.field), ['otp'])
+    assert.deepStrictEqual(checkConfig({ otp: { length: 7, excludeAmbiguous: true } }), [])
+  })
+
+  it('checks a custom alphabet and counts its symbols', () => {
+    assert.deepStrictEqual(checkConfig({ otp: { alphabet: '0123456789ABCDEFGHJKMNPQRSTVWXYZ', length: 4 } }), [])
+    assert.match(checkConfig({ otp: { alphabet: 'AAB' } })[0].message, /must not repeat/)
+    process.env.OTP_ALPHABET = 'ab'
+    assert.deepStrictEqual(fieldsOf(checkConfig()), ['OTP_LENGTH'])
+  })
+
+  it('describePolicy() reports entropy and the online guess budget', () => {
+    const rateLimiter = new InMemoryRateLimiter({ max: 5, windowMs: 5 * 60_000 })
+    const policy = new OneHitter({ rateLimiter, expirySeconds: 1800, maxAttempts: 0 }).describePolicy()
+    assert.strictEqual(policy.length, 6)
+    assert.strictEqual(policy.alphabetSize, 10)
+    assert.ok(Math.abs(policy.entropyBits - Math.log2(1e6)) < 1e-9)
+    assert.deepStrictEqual(policy.limiter, { max: 5, windowMs: 300_000 })
+    assert.strictEqual(policy.onlineGuesses, 30)
+    assert.ok(Math.abs(policy.successProbability - 30 / 1e6) < 1e-12)
+
+    // Storage burns the code after maxAttempts misses; explicit limits win over the limiter's
+    assert.strictEqual(new OneHitter({ rateLimiter, expirySeconds: 1800 }).describePolicy().onlineGuesses, 5)
+    assert.strictEqual(new OneHitter({ maxAttempts: 0, expirySeconds: 600 }).describePolicy({ max: 3, windowMs: 60_000 }).onlineGuesses, 30)
+    const open = new OneHitter({ maxAttempts: 0, otp: { alphabet: '0123456789ABCDEFGHJKMNPQRSTVWXYZ', length: 8 } }).describePolicy()
+    assert.strictEqual(open.entropyBits, 40)
+    assert.strictEqual(open.onlineGuesses, Infinity)
+    assert.strictEqual(open.successProbability, 1)
+  })
+
+  it('checks the SMTP settings when SMTP is selected', () => {
+    process.env.OTP_EMAIL_TRANSPORT = 'smtp'
+    process.env.OTP_SMTP_PORT = 'twenty-five'
+    process.env.OTP_SMTP_USER = 'mailer'
+    assert.deepStrictEqual(fieldsOf(new OneHitter().validateConfig(), 'error'), ['OTP_SMTP_HOST', 'OTP_SMTP_PORT'])
+    assert.deepStrictEqual(fieldsOf(new OneHitter().validateConfig(), 'warning'), ['OTP_SMTP_PASS'])
+    assert.deepStrictEqual(new OneHitter({ email: { smtp: { host: 'localhost', port: 1025, user: 'u', pass: 'p' } } }).validateConfig(), [])
+    assert.deepStrictEqual(new OneHitter({ email: { transporter: {} } }).validateConfig(), [])
+
+    process.env.OTP_EMAIL_TRANSPORT = 'sendmail'
+    assert.deepStrictEqual(fieldsOf(new OneHitter().validateConfig()), ['OTP_EMAIL_TRANSPORT'])
+    assert.deepStrictEqual(fieldsOf(new OneHitter({ email: { transport: 'ses' } }).validateConfig()), [])
+  })
+
+  it('warns about an unset expiry and an overlong code', () => {
+    delete process.env.OTP_EXPIRY
+    process.env.OTP_LENGTH = '100'
+    const problems = new OneHitter().validateConfig()
+    assert.deepStrictEqual(fieldsOf(problems, 'warning'), ['OTP_EXPIRY', 'OTP_LENGTH'])
+    assert.deepStrictEqual(fieldsOf(problems, 'error'), [])
+  })
+
+  it('reports a malformed keyring instead of a missing pepper', () => {
+    process.env.NODE_ENV = 'production'
+    process.env.OTP_PEPPERS = 'missing-secret'
+    assert.deepStrictEqual(fieldsOf(new OneHitter().validateConfig()), ['OTP_PEPPERS'])
+    process.env.OTP_PEPPERS = 'k1:secret1'
+    assert.deepStrictEqual(new OneHitter().validateConfig(), [])
+  })
+
+  it('does not require a sender address when a template supplies it', () => {
+    delete process.env.OTP_MESSAGE_FROM
+    assert.deepStrictEqual(fieldsOf(new OneHitter().validateConfig()), ['OTP_MESSAGE_FROM'])
+    assert.deepStrictEqual(new OneHitter({ message: () => ({ from: 'a@example.com' }) }).validateConfig(), [])
+  })
+
+  it('validates sender address syntax', () => {
+    assert.ok(isValidSenderAddress('noreply@example.com'))
+    assert.ok(isValidSenderAddress('Example App <noreply@example.com>'))
+    assert.ok(!isValidSenderAddress('noreply@localhost'))
+    assert.ok(!isValidSenderAddress('Example <noreply>'))
+  })
+
+  it('includes the storage checks of the adapter in use', () => {
+    process.env.OTP_DB_DRIVER = 'mongodb'
+    const problems = new OneHitter().validateConfig()
+    assert.deepStrictEqual(fieldsOf(problems, 'error'), ['OTP_MONGO_DATABASE', 'OTP_MONGO_COLLECTION'])
+    assert.deepStrictEqual(fieldsOf(problems, 'warning'), ['OTP_MONGO_CONNECTION'])
+
+    const tenant = new OneHitter({ mongo: { connection: 'mongodb://unit-test', database: 'tenant', collection: 'otps' } })
+    assert.deepStrictEqual(tenant.validateConfig(), [])
+    assert.deepStrictEqual(fieldsOf(new OneHitter({ adapter: new MongoAdapter({ database: 'd' }) }).validateConfig(), 'error'), ['OTP_MONGO_COLLECTION'])
+  })
+
+  it('reports an unknown OTP_DB_DRIVER only when storage comes from env', () => {
+    process.env.OTP_DB_DRIVER = 'cassandra'
+    process.env.OTP_MONGO_DATABASE = 'd'
+    process.env.OTP_MONGO_COLLECTION = 'c'
+    process.env.OTP_MONGO_CONNECTION = 'mongodb://unit-test'
+    assert.deepStrictEqual(fieldsOf(new OneHitter().validateConfig()), ['OTP_DB_DRIVER'])
+    assert.deepStrictEqual(new OneHitter({ adapter: new MemoryAdapter() }).validateConfig(), [])
+  })
+
+  it('assertConfig() throws every error and returns the warnings', () => {
+    delete process.env.OTP_URL
+    process.env.OTP_EXPIRY = '-5'
+    try {
+      new OneHitter().assertConfig()
+      assert.fail('expected assertConfig() to throw')
+    } catch (err) {
+      assert.ok(err instanceof ConfigValidationError)
+      assert.deepStrictEqual(fieldsOf(err.problems), ['OTP_URL', 'OTP_EXPIRY'])
+      assert.match(err.message, /Invalid OneHitter configuration:\n- OTP_URL: required by send\(\)\n- OTP_EXPIRY:/)
+    }
+
+    process.env.OTP_URL = 'https://example.com'
+    delete process.env.OTP_EXPIRY
+    assert.deepStrictEqual(fieldsOf(new OneHitter().assertConfig()), ['OTP_EXPIRY'])
+  })
+})
@@ -29,7 +29,7 @@ function makeMongoFake(indexes = []) {
 }
 
 describe('ensure-ttl CLI main()', () => {
-  const save = { log: console.log, error: console.error, exit: process.exit }
+  const save = { log: console.log, error: console.error, exit: process.exit, env: { ...process.env } }
   let logs, errors, exitCode
 
   beforeEach(() => {
@@ -39,19 +39,20 @@ describe('ensure-ttl CLI main()', () => {
     console.log = (...a) => { logs.push(a.join(' ')) }
     console.error = (...a) => { errors.push(a.join(' ')) }
     process.exit = (code) => { exitCode = code }
-    // minimal env for ensureCreatedAtTTLIndex
-    process.env.MONGO_DATABASE = 'onehitter-test'
-    process.env.MONGO_COLLECTION = 'otps'
+    // minimal env for ensureExpiresAtTTLIndex
+    process.env.OTP_MONGO_DATABASE = 'onehitter-test'
+    process.env.OTP_MONGO_COLLECTION = 'otps'
   })
 
   afterEach(() => {
     console.log = save.log
     console.error = save.error
     process.exit = save.exit
+    for (const key of Object.keys(process.env)) if (!(key in save.env)) delete process.env[key]
+    Object.assign(process.env, save.env)
   })
 
-  it('logs success and exits 0 with TTL from OTP_EXPIRY', async () => {
-    process.env.OTP_EXPIRY = '123'
+  it('logs success and exits 0', async () => {
     const { MongoClient } = makeMongoFake([])
     const mod = fresh('../dist/cjs/db/ensure-ttl.js', {
       '../config': { MONGO_CONNECTION: 'mongodb://unit-test', OTP_MONGO_CONNECTION: 'mongodb://unit-test' },
@@ -66,11 +67,10 @@ describe('ensure-ttl CLI main()', () => {
     }
 
     assert.strictEqual(exitCode, 0)
-    assert(logs.some(l => l.includes('[ensure-ttl]') && l.includes('ttl=123s')))
+    assert(logs.some(l => l.includes('[ensure-ttl]') && l.includes('field=expiresAt')))
   })
 
   it('throws when MONGO_CONNECTION missing (pre-flight)', async () => {
-    delete process.env.OTP_EXPIRY
     const { MongoClient } = makeMongoFake([])
     const mod = fresh('../dist/cjs/db/ensure-ttl.js', {
       '../config': { MONGO_CONNECTION: undefined, OTP_MONGO_CONNECTION: undefined },
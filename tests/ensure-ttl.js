@@ -28,7 +28,7 @@ const CONFIG_STUB = {
   OTP_SPECIAL_CHARS: false,
 }
 
-const { ensureCreatedAtTTLIndex } = pq('../dist/cjs/db/ensure-ttl.js', {
+const { ensureCreatedAtTTLIndex, ensureExpiresAtTTLIndex } = pq('../dist/cjs/db/ensure-ttl.js', {
   '../config': CONFIG_STUB,
 })
 
@@ -128,3 +128,50 @@ describe('ensureCreatedAtTTLIndex()', () => {
     }
   })
 })
+
+describe('ensureExpiresAtTTLIndex()', () => {
+  it('creates an expiresAt index that expires each document at its own time', async () => {
+    const { client, calls } = makeFake({ indexes: [] })
+
+    const res = await ensureExpiresAtTTLIndex(client)
+
+    assert.deepStrictEqual(res, { action: 'created', name: 'onehitter_expiresAt_ttl', expireAfterSeconds: 0 })
+    assert.deepStrictEqual(calls.createIndex, [{ spec: { expiresAt: 1 }, options: { expireAfterSeconds: 0, name: 'onehitter_expiresAt_ttl' } }])
+  })
+
+  it('drops the legacy createdAt TTL index', async () => {
+    const state = {
+      indexes: [{ name: 'onehitter_createdAt_ttl', key: { createdAt: 1 }, expireAfterSeconds: 1800 }],
+    }
+    const { client, calls } = makeFake(state)
+
+    const res = await ensureExpiresAtTTLIndex(client)
+
+    assert.strictEqual(res.action, 'created')
+    assert.strictEqual(res.droppedLegacy, 'onehitter_createdAt_ttl')
+    assert.deepStrictEqual(calls.dropIndex, ['onehitter_createdAt_ttl'])
+  })
+
+  it('recreates an expiresAt index with a non-zero delay and otherwise no-ops', async () => {
+    const stale = makeFake({ indexes: [{ name: 'custom_ttl', key: { expiresAt: 1 }, expireAfterSeconds: 60 }] })
+    const res = await ensureExpiresAtTTLIndex(stale.client)
+    assert.deepStrictEqual(res, { action: 'updated', name: 'custom_ttl', expireAfterSeconds: 0 })
+    assert.deepStrictEqual(stale.calls.dropIndex, ['custom_ttl'])
+
+    const current = makeFake({ indexes: [{ name: 'onehitter_expiresAt_ttl', key: { expiresAt: 1 }, expireAfterSeconds: 0 }] })
+    assert.strictEqual((await ensureExpiresAtTTLIndex(current.client)).action, 'unchanged')
+    assert.strictEqual(current.calls.createIndex.length, 0)
+  })
+
+  it('honors explicit database/collection names', async () => {
+    const db = process.env.OTP_MONGO_DATABASE
+    delete process.env.OTP_MONGO_DATABASE
+    try {
+      const { client } = makeFake({ indexes: [] })
+      await assert.rejects(() => ensureExpiresAtTTLIndex(client), /Missing OTP_MONGO_DATABASE or OTP_MONGO_COLLECTION/)
+      assert.strictEqual((await ensureExpiresAtTTLIndex(client, { database: 'd', collection: 'c' })).action, 'created')
+    } finally {
+      process.env.OTP_MONGO_DATABASE = db
+    }
+  })
+})
@@ -0,0 +1,93 @@
+const assert = require('assert')
+const proxyquireBase = require('proxyquire')
+const pq = proxyquireBase.noCallThru().noPreserveCache()
+
+// Use built artifacts so nyc maps coverage to dist/cjs/**
+const { MemoryAdapter } = require('../dist/cjs/db/memory-adapter.js')
+const { InMemorySendLimiter } = require('../dist/cjs/rate-limiter.js')
+
+const ENV_KEYS = ['OTP_URL', 'OTP_EXPIRY']
+const savedEnv = {}
+for (const k of ENV_KEYS) savedEnv[k] = process.env[k]
+
+function restoreEnv() {
+  for (const k of ENV_KEYS) {
+    if (savedEnv[k] == null) delete process.env[k]; else process.env[k] = savedEnv[k]
+  }
+}
+
+// Loads OneHitter with a stubbed sender, which receives send()'s arguments
+function loadOneHitter(sendEmail = function noopSend() { /* no-op in unit tests */ }) {
+  process.env.OTP_URL = 'https://example.com'
+  process.env.OTP_EXPIRY = '1800'
+  return pq('../dist/cjs/onehitter.js', {
+    './sender': sendEmail,
+  }).default
+}
+
+describe('OneHitter.issue()', function () {
+  this.timeout(10000)
+  afterEach(restoreEnv)
+
+  it('issue() generates, stores and sends a code without returning it', async () => {
+    const sent = []
+    const OneHitter = loadOneHitter(async (to, otp, url, expiry, message, o) => { sent.push({ to, otp, expiry, o }) })
+    const adapter = new MemoryAdapter()
+    const one = new OneHitter({ adapter, expirySeconds: 600 })
+    const before = Date.now()
+    const res = await one.issue('issue@test.local', { purpose: 'login', expiresInSeconds: 120, metadata: { userId: 'u-1' } })
+
+    assert.deepStrictEqual(Object.keys(res).sort(), ['challengeId', 'expiresAt', 'insertedId', 'status'])
+    assert.strictEqual(res.status, 'issued')
+    assert.ok(res.expiresAt.getTime() >= before + 120_000 && res.expiresAt.getTime() <= Date.now() + 120_000)
+    assert.strictEqual(sent.length, 1)
+    assert.strictEqual(sent[0].to, 'issue@test.local')
+    assert.strictEqual(sent[0].expiry, 120)
+    assert.strictEqual(sent[0].o.purpose, 'login')
+    assert.ok(!JSON.stringify(res).includes(sent[0].otp))
+    assert.deepStrictEqual(await one.validateDetailed({ challengeId: res.challengeId, otp: sent[0].otp, purpose: 'login' }).then(r => r.metadata), { userId: 'u-1' })
+  })
+
+  it('issue() deletes the record and rethrows when delivery fails', async () => {
+    const OneHitter = loadOneHitter(async () => { throw new Error('SES unavailable') })
+    const adapter = new MemoryAdapter()
+    const one = new OneHitter({ adapter })
+    await assert.rejects(() => one.issue('fail@test.local'), /SES unavailable/)
+    assert.strictEqual(adapter.size, 0)
+
+    // Without a url issue() throws before anything is stored
+    delete process.env.OTP_URL
+    await assert.rejects(() => one.issue('fail@test.local'), /Missing OTP_URL/)
+    assert.strictEqual(adapter.size, 0)
+  })
+
+  it('issue() requires deleteRecord and reports a failed rollback', async () => {
+    const sent = []
+    const OneHitter = loadOneHitter(async (to) => { sent.push(to); throw new Error('SES unavailable') })
+    const memory = new MemoryAdapter()
+    const adapter = { name: 'custom', create: (args) => memory.create(args), validateWithStatus: (args) => memory.validateWithStatus(args) }
+    await assert.rejects(() => new OneHitter({ adapter }).issue('nodelete@test.local'), /custom adapter does not support deleteRecord\(\)/)
+    assert.strictEqual(memory.size, 0)
+    assert.deepStrictEqual(sent, [])
+
+    adapter.deleteRecord = async () => { throw new Error('store offline') }
+    await assert.rejects(() => new OneHitter({ adapter }).issue('nodelete@test.local'),
+      /Delivery failed \(SES unavailable\) and the stored code could not be deleted \(store offline\)/)
+    assert.strictEqual(memory.size, 1)
+  })
+
+  it('issue() does not count a send whose create() threw', async () => {
+    const sent = []
+    const OneHitter = loadOneHitter(async (to) => { sent.push(to) })
+    const adapter = new MemoryAdapter()
+    const create = adapter.create.bind(adapter)
+    let failing = true
+    adapter.create = async (args) => { if (failing) throw new Error('disk full'); return create(args) }
+    const one = new OneHitter({ adapter, sendLimiter: new InMemorySendLimiter({ dailyMax: 1, ipDailyMax: 1 }) })
+    await assert.rejects(() => one.issue('full@test.local', { ip: '10.0.0.1' }), /disk full/)
+    failing = false
+    assert.strictEqual((await one.issue('full@test.local', { ip: '10.0.0.1' })).status, 'issued')
+    assert.strictEqual((await one.issue('full@test.local', { ip: '10.0.0.1' })).status, 'throttled')
+    assert.deepStrictEqual(sent, ['full@test.local'])
+  })
+})
@@ -2,10 +2,19 @@ const assert = require('assert')
 const proxyquireBase = require('proxyquire')
 const pq = proxyquireBase.noCallThru().noPreserveCache()
 
-function loadOneHitterWithConfig(cfg) {
+const ENV_KEYS = ['OTP_URL', 'OTP_EXPIRY', 'OTP_LENGTH', 'OTP_LETTERS_UPPER', 'OTP_LETTERS_LOWER', 'OTP_DIGITS', 'OTP_SPECIAL_CHARS']
+const savedEnv = {}
+for (const k of ENV_KEYS) savedEnv[k] = process.env[k]
+
+function restoreEnv() {
+  for (const k of ENV_KEYS) {
+    if (savedEnv[k] == null) delete process.env[k]; else process.env[k] = savedEnv[k]
+  }
+}
+
+// OneHitter resolves its settings from env at call time, so the config is applied through process.env
+function loadOneHitterWithConfig(cfg, sendEmail = function noopSend() { /* no-op in unit tests */ }) {
   const defaults = {
-    OTP_MESSAGE_FROM: 'noreply@example.com',
-    OTP_MESSAGE_SUBJECT: 'One-time password',
     OTP_URL: 'https://example.com',
     OTP_EXPIRY: 1800,
     OTP_LENGTH: 6,
@@ -15,33 +24,16 @@ function loadOneHitterWithConfig(cfg) {
     OTP_SPECIAL_CHARS: false,
   }
   const c = Object.assign({}, defaults, cfg)
-  const configStub = {
-    OTP_MESSAGE_FROM: c.OTP_MESSAGE_FROM,
-    OTP_MESSAGE_SUBJECT: c.OTP_MESSAGE_SUBJECT,
-    OTP_URL: c.OTP_URL,
-    OTP_EXPIRY: c.OTP_EXPIRY,
-    OTP_LENGTH: c.OTP_LENGTH,
-    OTP_LETTERS_UPPER: c.OTP_LETTERS_UPPER,
-    OTP_LETTERS_LOWER: c.OTP_LETTERS_LOWER,
-    OTP_DIGITS: c.OTP_DIGITS,
-    OTP_SPECIAL_CHARS: c.OTP_SPECIAL_CHARS,
-  }
-  // Purge caches so stubs always apply
-  for (const p of ['../dist/cjs/onehitter.js', '../dist/cjs/sender.js', '../dist/cjs/config.js']) {
-    try {
-      const abs = require.resolve(p)
-      if (require.cache[abs]) delete require.cache[abs]
-    } catch {}
-  }
-  // Stub both config and sender (noop) to avoid requiring real config via sender
+  for (const k of ENV_KEYS) process.env[k] = String(c[k])
+  // Stub sender (noop) to avoid requiring real config via sender
   return pq('../dist/cjs/onehitter.js', {
-    './config': configStub,
-    './sender': function noopSend() { /* no-op in unit tests */ },
+    './sender': sendEmail,
   }).default
 }
 
 describe('OneHitter.make()', function () {
   this.timeout(10000)
+  afterEach(restoreEnv)
 
   it('parses OTP_LENGTH as a positive integer', () => {
     const OneHitter = loadOneHitterWithConfig({
@@ -165,4 +157,126 @@ describe('OneHitter.make()', function () {
     assert.strictEqual(code.length, 12)
     assert.match(code, /^[^A-Za-z0-9]+$/)
   })
+
+  it('explicit otp options win over the env flags', () => {
+    const OneHitter = loadOneHitterWithConfig({ OTP_LENGTH: 4, OTP_DIGITS: true })
+    const one = new OneHitter({ otp: { length: 9, charset: { lettersLower: true, digits: false } } })
+    const code = one.make()
+    assert.strictEqual(code.length, 9)
+    assert.match(code, /^[a-z]+$/)
+    // Unset fields still fall back to env, read at call time
+    process.env.OTP_LENGTH = '7'
+    assert.match(new OneHitter({ otp: { charset: { digits: true } } }).make(), /^[0-9]{7}$/)
+  })
+
+  it('excludeAmbiguous leaves out 0/O/o and 1/I/l', () => {
+    const OneHitter = loadOneHitterWithConfig({})
+    const one = new OneHitter({ otp: { length: 64, charset: { lettersUpper: true, lettersLower: true, digits: true }, excludeAmbiguous: true } })
+    for (let i = 0; i < 20; i++) {
+      const code = one.make()
+      assert.strictEqual(code.length, 64)
+      assert.doesNotMatch(code, /[0Oo1Il]/)
+    }
+  })
+
+  it('groups codes for display from groupSize or OTP_GROUP_SIZE', () => {
+    const OneHitter = loadOneHitterWithConfig({})
+    assert.match(new OneHitter({ otp: { length: 6, groupSize: 3, charset: { lettersUpper: true, digits: false } } }).make(), /^[A-Z]{3}-[A-Z]{3}$/)
+    assert.match(new OneHitter({ otp: { length: 8, groupSize: 3, groupSeparator: ' ' } }).make(), /^[0-9]{3} [0-9]{3} [0-9]{2}$/)
+    process.env.OTP_GROUP_SIZE = '4'
+    try {
+      assert.match(new OneHitter({ otp: { length: 8 } }).make(), /^[0-9]{4}-[0-9]{4}$/)
+    } finally {
+      delete process.env.OTP_GROUP_SIZE
+    }
+  })
+
+  it('normalize() strips spaces and dashes and folds case only for a single-case charset', () => {
+    const OneHitter = loadOneHitterWithConfig({})
+    const upper = new OneHitter({ otp: { charset: { lettersUpper: true } } })
+    assert.strictEqual(upper.normalize(' abc-d ef\n'), 'ABCDEF')
+    assert.strictEqual(new OneHitter({ otp: { charset: { lettersLower: true } } }).normalize('AbC-dEf'), 'abcdef')
+    assert.strictEqual(new OneHitter({ otp: { charset: { lettersUpper: true, lettersLower: true } } }).normalize('AbC dEf'), 'AbCdEf')
+    assert.strictEqual(new OneHitter().normalize('123 456'), '123456')
+  })
+
+  it('draws from a custom alphabet, per instance or per call', () => {
+    const OneHitter = loadOneHitterWithConfig({})
+    const { CROCKFORD_BASE32 } = require('../dist/cjs/onehitter.js')
+    const one = new OneHitter({ otp: { alphabet: CROCKFORD_BASE32, length: 10, groupSize: 5 } })
+    assert.match(one.make(), /^[0-9A-HJKMNP-TV-Z]{5}-[0-9A-HJKMNP-TV-Z]{5}$/)
+    assert.strictEqual(one.normalize('abcde fghjk'), 'ABCDEFGHJK')
+    assert.match(new OneHitter().make({ alphabet: 'xy', length: 20 }), /^[xy]{20}$/)
+    assert.match(new OneHitter().make({ length: 9 }), /^[0-9]{9}$/)
+    assert.throws(() => new OneHitter().make({ alphabet: 'aab' }), /Invalid OTP alphabet: must not repeat/)
+    assert.throws(() => new OneHitter().make({ alphabet: 'ab-' }), /spaces or dashes/)
+  })
+
+  it('spreads custom alphabet characters evenly', () => {
+    const OneHitter = loadOneHitterWithConfig({})
+    const counts = { a: 0, b: 0, c: 0 }
+    const one = new OneHitter({ otp: { alphabet: 'abc', length: 64 } })
+    for (let i = 0; i < 50; i++) for (const ch of one.make()) counts[ch]++
+    for (const n of Object.values(counts)) assert.ok(n > 900 && n < 1230, `unexpected count ${n}`)
+  })
+
+  it('instances with different otp options coexist', () => {
+    const OneHitter = loadOneHitterWithConfig({})
+    const a = new OneHitter({ otp: { length: 5 } })
+    const b = new OneHitter({ otp: { length: 11, charset: { lettersUpper: true, digits: false } } })
+    assert.match(a.make(), /^[0-9]{5}$/)
+    assert.match(b.make(), /^[A-Z]{11}$/)
+  })
+})
+
+describe('OneHitter explicit config', function () {
+  this.timeout(10000)
+  afterEach(restoreEnv)
+
+  it('send() prefers the url and expirySeconds options over OTP_URL/OTP_EXPIRY', async () => {
+    const sent = []
+    const OneHitter = loadOneHitterWithConfig({ OTP_URL: 'https://env.example', OTP_EXPIRY: 1800 }, async (to, otp, url, expiry) => {
+      sent.push({ to, otp, url, expiry })
+    })
+    await new OneHitter({ url: 'https://tenant-a.example', expirySeconds: 300 }).send('a@test.local', '123456')
+    await new OneHitter().send('b@test.local', '654321')
+    assert.deepStrictEqual(sent, [
+      { to: 'a@test.local', otp: '123456', url: 'https://tenant-a.example', expiry: 300 },
+      { to: 'b@test.local', otp: '654321', url: 'https://env.example', expiry: 1800 },
+    ])
+  })
+
+  it('send() forwards the purpose for message templates', async () => {
+    const opts = []
+    const OneHitter = loadOneHitterWithConfig({}, async (to, otp, url, expiry, message, o) => { opts.push(o) })
+    const one = new OneHitter({ email: { region: 'eu-west-1' } })
+    await one.send('a@test.local', '1', { purpose: 'login' })
+    await one.send('b@test.local', '2')
+    assert.deepStrictEqual(opts, [{ region: 'eu-west-1', purpose: 'login' }, { region: 'eu-west-1' }])
+  })
+
+  it('send() forwards the email transporter and SMTP settings', async () => {
+    const opts = []
+    const OneHitter = loadOneHitterWithConfig({}, async (to, otp, url, expiry, message, o) => { opts.push(o) })
+    const transporter = { async sendMail() {} }
+    await new OneHitter({ email: { transporter } }).send('a@test.local', '1')
+    await new OneHitter({ email: { transport: 'smtp', smtp: { host: 'localhost', port: 1025 } } }).send('a@test.local', '2')
+    assert.strictEqual(opts[0].transporter, transporter)
+    assert.deepStrictEqual(opts[1], { transport: 'smtp', smtp: { host: 'localhost', port: 1025 } })
+  })
+
+  it('send() states a per-code expiry instead of the default', async () => {
+    const expiries = []
+    const OneHitter = loadOneHitterWithConfig({}, async (to, otp, url, expiry) => { expiries.push(expiry) })
+    const one = new OneHitter({ expirySeconds: 600 })
+    await one.send('a@test.local', '1', { expiresInSeconds: 7 * 86400 })
+    await one.send('b@test.local', '2')
+    assert.deepStrictEqual(expiries, [7 * 86400, 600])
+  })
+
+  it('send() still requires a url from either source', async () => {
+    const OneHitter = loadOneHitterWithConfig({})
+    delete process.env.OTP_URL
+    await assert.rejects(() => new OneHitter().send('a@test.local', '1'), /Missing OTP_URL/)
+  })
 })
@@ -0,0 +1,352 @@
+const assert = require('assert')
+
+// Use built artifacts so nyc maps coverage to dist/cjs/**
+const { MemoryAdapter } = require('../dist/cjs/db/memory-adapter.js')
+const { getAdapter } = require('../dist/cjs/db/index.js')
+const OneHitter = require('../dist/cjs/onehitter.js').default
+const { InMemoryRateLimiter } = require('../dist/cjs/rate-limiter.js')
+
+describe('MemoryAdapter (unit)', () => {
+  it('exposes name = "memory"', () => {
+    assert.strictEqual(new MemoryAdapter().name, 'memory')
+  })
+
+  it('does not keep plaintext contact or otp', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    await a.create({ otp: { contact: 'plain@test.local', otp: '123456', createdAt: new Date() } })
+    const stored = JSON.stringify([...a.records.values()])
+    assert.ok(!stored.includes('plain@test.local'))
+    assert.ok(!stored.includes('123456'))
+  })
+
+  it('returns ok once for a fresh OTP, then used while the tombstone lasts', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    const res = await a.create({ otp: { contact: 'a@test.local', otp: '111111', createdAt: new Date() } })
+    assert.strictEqual(res.acknowledged, true)
+    assert.ok(res.insertedId)
+
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'a@test.local', otp: '111111' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'a@test.local', otp: '111111' } }), 'used')
+    assert.strictEqual(a.size, 1)
+
+    const later = new Date(Date.now() + 301_000)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'a@test.local', otp: '111111' } }, later), 'not_found')
+    assert.strictEqual(a.evictExpired(later), 1)
+  })
+
+  it('removes consumed records at once when usedTombstoneSeconds is 0', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    const options = { usedTombstoneSeconds: 0 }
+    await a.create({ otp: { contact: 'a@test.local', otp: '121212', createdAt: new Date() } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'a@test.local', otp: '121212' }, options }), 'ok')
+    assert.strictEqual(a.size, 0)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'a@test.local', otp: '121212' }, options }), 'not_found')
+  })
+
+  it('returns mismatch for a wrong code and leaves the record in place', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    await a.create({ otp: { contact: 'b@test.local', otp: '222222', createdAt: new Date() } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b@test.local', otp: '000000' } }), 'mismatch')
+    assert.strictEqual(a.size, 1)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'nobody@test.local', otp: '000000' } }), 'not_found')
+  })
+
+  it('only validates a purpose-bound code for the same purpose', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    await a.create({ otp: { contact: 'p@test.local', otp: '919191', createdAt: new Date(), purpose: 'password_reset' } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'p@test.local', otp: '919191' } }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'p@test.local', otp: '919191', purpose: 'login' } }), 'mismatch')
+    assert.strictEqual([...a.records.values()][0][0].purpose, 'password_reset')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'p@test.local', otp: '919191', purpose: 'password_reset' } }), 'ok')
+  })
+
+  it('validates by challengeId without the contact, only against that code', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    const first = await a.create({ otp: { contact: 'c@test.local', otp: '303030', createdAt: new Date() } })
+    const second = await a.create({ otp: { contact: 'c@test.local', otp: '313131', createdAt: new Date() } })
+    assert.match(first.challengeId, /^[\w-]{22}$/)
+    assert.notStrictEqual(first.challengeId, second.challengeId)
+
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: first.challengeId, otp: '313131' } }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: second.challengeId, otp: '313131', contact: 'x@test.local' } }), 'not_found')
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: first.challengeId, otp: '303030' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: second.challengeId, otp: '313131', contact: 'c@test.local' } }), 'ok')
+    await assert.rejects(a.validateWithStatus({ otp: { otp: '303030' } }), /needs a contact or a challengeId/)
+  })
+
+  it('counts misses by challengeId against that code alone', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    const options = { maxAttempts: 1 }
+    const target = await a.create({ otp: { contact: 'd@test.local', otp: '323232', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'd@test.local', otp: '333333', createdAt: new Date() } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: target.challengeId, otp: '000000' }, options }), 'too_many_attempts')
+    assert.strictEqual(a.size, 1)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'd@test.local', otp: '333333' }, options }), 'ok')
+  })
+
+  it('salts each record when perRecordSalt is set and still validates', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    const options = { perRecordSalt: true }
+    await a.create({ otp: { contact: 's@test.local', otp: '121212', createdAt: new Date() }, options })
+    await a.create({ otp: { contact: 's@test.local', otp: '121212', createdAt: new Date() }, options })
+    const [r1, r2] = a.records.get([...a.records.keys()][0])
+    assert.ok(r1.salt && r2.salt && r1.salt !== r2.salt)
+    assert.notStrictEqual(r1.otpHash, r2.otpHash)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '121212' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '121212' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '121212' } }), 'used')
+  })
+
+  it('keeps codes valid across a pepper rotation and counts retired-key records', async () => {
+    const prev = process.env.OTP_PEPPERS
+    try {
+      const a = new MemoryAdapter({ ttlSeconds: 1800 })
+      process.env.OTP_PEPPERS = 'k1:secret1'
+      await a.create({ otp: { contact: 'r@test.local', otp: '141414', createdAt: new Date() } })
+      process.env.OTP_PEPPERS = 'k2:secret2,k1:secret1'
+      await a.create({ otp: { contact: 'r@test.local', otp: '151515', createdAt: new Date() } })
+      assert.strictEqual(await a.countRetiredPepperRecords(), 1)
+
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'r@test.local', otp: '141414' } }), 'ok')
+      assert.strictEqual(await a.countRetiredPepperRecords(), 0)
+
+      // Once k1 is dropped from the ring its records can no longer be verified
+      await a.create({ otp: { contact: 'q@test.local', otp: '161616', createdAt: new Date() } })
+      process.env.OTP_PEPPERS = 'k3:secret3,k2:secret2'
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'r@test.local', otp: '151515' } }), 'ok')
+      process.env.OTP_PEPPERS = 'k3:secret3'
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'q@test.local', otp: '161616' } }), 'not_found')
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPERS; else process.env.OTP_PEPPERS = prev
+    }
+  })
+
+  it('burns the codes after maxAttempts misses and counts from OTP_MAX_ATTEMPTS by default', async () => {
+    const prev = process.env.OTP_MAX_ATTEMPTS
+    process.env.OTP_MAX_ATTEMPTS = '2'
+    try {
+      const a = new MemoryAdapter({ ttlSeconds: 1800 })
+      await a.create({ otp: { contact: 'm@test.local', otp: '262626', createdAt: new Date() } })
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'm@test.local', otp: '000000' } }), 'mismatch')
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'm@test.local', otp: '000000' } }), 'too_many_attempts')
+      assert.strictEqual(a.size, 0)
+
+      await a.create({ otp: { contact: 'm@test.local', otp: '272727', createdAt: new Date() } })
+      const options = { maxAttempts: 0 }
+      for (let i = 0; i < 5; i++) {
+        assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'm@test.local', otp: '000000' }, options }), 'mismatch')
+      }
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'm@test.local', otp: '272727' }, options }), 'ok')
+    } finally {
+      if (prev == null) delete process.env.OTP_MAX_ATTEMPTS; else process.env.OTP_MAX_ATTEMPTS = prev
+    }
+  })
+
+  it('supersedePrevious keeps only the newest code for the contact', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    await a.create({ otp: { contact: 'n@test.local', otp: '323232', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'other@test.local', otp: '333333', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'n@test.local', otp: '343434', createdAt: new Date() }, options: { supersedePrevious: true } })
+
+    assert.strictEqual(a.size, 2)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'n@test.local', otp: '323232' } }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'n@test.local', otp: '343434' } }), 'ok')
+  })
+
+  it('returns expired (and consumes) when older than the TTL', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 60 })
+    const createdAt = new Date('2020-01-01T00:00:00Z')
+    await a.create({ otp: { contact: 'c@test.local', otp: '333333', createdAt } })
+    const status = await a.validateWithStatus(
+      { otp: { contact: 'c@test.local', otp: '333333' } },
+      new Date('2020-01-01T00:01:01Z'),
+    )
+    assert.strictEqual(status, 'expired')
+    assert.strictEqual(a.size, 0)
+  })
+
+  it('evicts expired records on create', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 60 })
+    await a.create({ otp: { contact: 'd@test.local', otp: '444444', createdAt: new Date(Date.now() - 120_000) } })
+    await a.create({ otp: { contact: 'e@test.local', otp: '555555', createdAt: new Date() } })
+    assert.strictEqual(a.size, 1)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'd@test.local', otp: '444444' } }), 'not_found')
+  })
+
+  it('evictExpired() reports how many records were removed', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 60 })
+    const old = new Date('2020-01-01T00:00:00Z')
+    await a.create({ otp: { contact: 'f@test.local', otp: '1', createdAt: new Date() } })
+    a.records.get([...a.records.keys()][0]).push({ id: 99, contactId: 'x', otpHash: 'y', createdAt: old.getTime() })
+    assert.strictEqual(a.evictExpired(), 1)
+    assert.strictEqual(a.size, 1)
+  })
+
+  it('purgeExpired() evicts expired records and returns the count', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 60 })
+    await a.create({ otp: { contact: 'g@test.local', otp: '1', createdAt: new Date() } })
+    assert.strictEqual(await a.purgeExpired({ now: new Date(Date.now() + 120_000) }), 1)
+    assert.strictEqual(a.size, 0)
+  })
+
+  it('countRecords() splits records by the expiry window', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 60 })
+    await a.create({ otp: { contact: 'g@test.local', otp: '1', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'h@test.local', otp: '2', createdAt: new Date() } })
+    a.records.get([...a.records.keys()][0])[0].expiresAt -= 120_000
+    assert.deepStrictEqual(await a.countRecords(), { active: 1, expired: 1 })
+
+    // The tombstone of a used code is no longer active
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'h@test.local', otp: '2' } }), 'ok')
+    assert.deepStrictEqual(await a.countRecords(), { active: 0, expired: 1 })
+  })
+
+  it('honors a per-code expiry over the adapter TTL', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 60 })
+    const createdAt = new Date()
+    await a.create({ otp: { contact: 'i@test.local', otp: '919191', createdAt, expiresInSeconds: 7 * 86400 } })
+    await a.create({ otp: { contact: 'i@test.local', otp: '929292', createdAt, expiresAt: new Date(createdAt.getTime() + 30_000) } })
+    const now = new Date(createdAt.getTime() + 86400_000)
+
+    assert.deepStrictEqual(await a.countRecords({ now }), { active: 1, expired: 1 })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'i@test.local', otp: '919191' } }, now), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'i@test.local', otp: '929292' } }, now), 'expired')
+  })
+
+  it('falls back to OTP_EXPIRY when no ttlSeconds option is given', async () => {
+    const prev = process.env.OTP_EXPIRY
+    process.env.OTP_EXPIRY = '1'
+    try {
+      const a = new MemoryAdapter()
+      await a.create({ otp: { contact: 'g@test.local', otp: '777777', createdAt: new Date(Date.now() - 5000) } })
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'g@test.local', otp: '777777' } }), 'expired')
+    } finally {
+      if (prev == null) delete process.env.OTP_EXPIRY; else process.env.OTP_EXPIRY = prev
+    }
+  })
+
+  it('returns the stored metadata from validateDetailed on ok only', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    const metadata = { userId: 'u-42', redirect: '/settings' }
+    const createdAt = new Date()
+    const expiresAt = new Date(createdAt.getTime() + 1800_000)
+    await a.create({ otp: { contact: 'md@test.local', otp: '454545', createdAt, metadata } })
+    assert.deepStrictEqual(await a.validateDetailed({ otp: { contact: 'md@test.local', otp: '000000' } }), { status: 'mismatch', expiresAt })
+    assert.deepStrictEqual(await a.validateDetailed({ otp: { contact: 'md@test.local', otp: '454545' } }), { status: 'ok', metadata, expiresAt })
+
+    const stale = new Date(Date.now() - 3600_000)
+    await a.create({ otp: { contact: 'md@test.local', otp: '464646', createdAt: stale, metadata } })
+    assert.deepStrictEqual(await a.validateDetailed({ otp: { contact: 'md@test.local', otp: '464646' } }),
+      { status: 'expired', expiresAt: new Date(stale.getTime() + 1800_000) })
+  })
+
+  it('encrypts metadata with encryptMetadata and decrypts it through OneHitter.validateDetailed', async () => {
+    const prev = process.env.OTP_PEPPER
+    process.env.OTP_PEPPER = 'metadata-pepper'
+    try {
+      const adapter = new MemoryAdapter({ ttlSeconds: 1800 })
+      const one = new OneHitter({ adapter, encryptMetadata: true })
+      await one.create({ contact: 'enc@test.local', otp: '474747', createdAt: new Date(), metadata: { email: 'pending@test.local' } })
+      const [record] = [...adapter.records.values()][0]
+      assert.match(record.metadata, /^enc:v1:/)
+      assert.ok(!record.metadata.includes('pending@test.local'))
+      const res = await one.validateDetailed({ contact: 'enc@test.local', otp: '474747' })
+      assert.deepStrictEqual(res.metadata, { email: 'pending@test.local' })
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPER; else process.env.OTP_PEPPER = prev
+    }
+  })
+
+  it('leaves the code unused when its metadata cannot be decrypted', async () => {
+    const prev = process.env.OTP_PEPPER
+    process.env.OTP_PEPPER = 'metadata-pepper'
+    try {
+      const adapter = new MemoryAdapter({ ttlSeconds: 1800 })
+      const one = new OneHitter({ adapter, encryptMetadata: true })
+      await one.create({ contact: 'tamper@test.local', otp: '494949', createdAt: new Date(), metadata: { userId: 'u-9' } })
+      const [record] = [...adapter.records.values()][0]
+      const sealed = record.metadata
+      record.metadata = `enc:v1:${Buffer.alloc(40, 1).toString('base64')}`
+      await assert.rejects(() => one.validateDetailed({ contact: 'tamper@test.local', otp: '494949' }))
+      assert.strictEqual(record.usedAt, undefined)
+
+      record.metadata = sealed
+      assert.deepStrictEqual((await one.validateDetailed({ contact: 'tamper@test.local', otp: '494949' })).metadata, { userId: 'u-9' })
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPER; else process.env.OTP_PEPPER = prev
+    }
+  })
+
+  it('keys the limiter on the contact and the challenge through OneHitter', async () => {
+    const seen = { before: [], failure: [], success: [] }
+    const rateLimiter = {
+      blocked: new Set(),
+      async beforeValidate(key) { seen.before.push(key); return !this.blocked.has(key) },
+      async onSuccess(key) { seen.success.push(key) },
+      async onFailure(key) { seen.failure.push(key) },
+    }
+    const one = new OneHitter({ adapter: new MemoryAdapter({ ttlSeconds: 1800 }), rateLimiter })
+    const { challengeId } = await one.create({ contact: 'rl@test.local', otp: '484848', createdAt: new Date() })
+
+    assert.strictEqual(await one.validateStatus({ challengeId, otp: '000000', contact: 'rl@test.local' }), 'mismatch')
+    assert.deepStrictEqual(seen.failure, ['rl@test.local', `challenge:${challengeId}`])
+    rateLimiter.blocked.add(`challenge:${challengeId}`)
+    assert.strictEqual(await one.validateStatus({ challengeId, otp: '484848' }), 'blocked')
+    rateLimiter.blocked.clear()
+    assert.strictEqual(await one.validateStatus({ challengeId, otp: '484848' }), 'ok')
+    assert.deepStrictEqual(seen.success, [`challenge:${challengeId}`])
+  })
+
+  it('reports the expiry and the limiter state from OneHitter.validateDetailed', async () => {
+    const rateLimiter = new InMemoryRateLimiter({ max: 2, windowMs: 60_000, cooldownMs: 30_000 })
+    const one = new OneHitter({ adapter: new MemoryAdapter({ ttlSeconds: 1800 }), rateLimiter })
+    const createdAt = new Date()
+    await one.create({ contact: 'ra@test.local', otp: '494949', createdAt })
+    const expiresAt = new Date(createdAt.getTime() + 1800_000)
+
+    assert.deepStrictEqual(await one.validateDetailed({ contact: 'ra@test.local', otp: '000000' }),
+      { status: 'mismatch', expiresAt, remainingAttempts: 1 })
+    const second = await one.validateDetailed({ contact: 'ra@test.local', otp: '000001' })
+    assert.strictEqual(second.remainingAttempts, 0)
+    assert.ok(second.retryAfterMs > 29_000 && second.retryAfterMs <= 30_000)
+    const blocked = await one.validateDetailed({ contact: 'ra@test.local', otp: '494949' })
+    assert.strictEqual(blocked.status, 'blocked')
+    assert.ok(blocked.retryAfterMs > 0 && blocked.retryAfterMs <= 30_000)
+    assert.strictEqual(blocked.expiresAt, undefined)
+  })
+
+  it('stores grouped codes normalized and accepts them typed loosely through OneHitter', async () => {
+    const one = new OneHitter({ adapter: new MemoryAdapter({ ttlSeconds: 1800 }), otp: { length: 6, groupSize: 3, charset: { lettersUpper: true, digits: true }, excludeAmbiguous: true } })
+    const otp = one.make()
+    assert.match(otp, /^[A-Z2-9]{3}-[A-Z2-9]{3}$/)
+    await one.create({ contact: 'n@test.local', otp, createdAt: new Date() })
+    assert.strictEqual(await one.validateStatus({ contact: 'n@test.local', otp: ` ${otp.toLowerCase().replace('-', ' ')} ` }), 'ok')
+  })
+
+  it('allows exactly one success under concurrent validation', async () => {
+    const a = new MemoryAdapter({ ttlSeconds: 1800 })
+    await a.create({ otp: { contact: 'h@test.local', otp: '888888', createdAt: new Date() } })
+    const payload = { otp: { contact: 'h@test.local', otp: '888888' } }
+    const results = await Promise.all([a.validateWithStatus(payload), a.validateWithStatus(payload)])
+    assert.strictEqual(results.filter((s) => s === 'ok').length, 1)
+  })
+
+  it('works end to end when injected into OneHitter', async () => {
+    const one = new OneHitter({ adapter: new MemoryAdapter() })
+    const otp = one.make()
+    await one.create({ contact: 'i@test.local', otp, createdAt: new Date() })
+    assert.strictEqual(await one.validate({ contact: 'i@test.local', otp }), true)
+    assert.strictEqual(await one.validate({ contact: 'i@test.local', otp }), false)
+  })
+
+  it('is selected by OTP_DB_DRIVER=memory', () => {
+    const prev = process.env.OTP_DB_DRIVER
+    process.env.OTP_DB_DRIVER = 'memory'
+    try {
+      assert.ok(getAdapter() instanceof MemoryAdapter)
+      assert.strictEqual(getAdapter(), getAdapter())
+    } finally {
+      if (prev == null) delete process.env.OTP_DB_DRIVER; else process.env.OTP_DB_DRIVER = prev
+    }
+  })
+})
@@ -0,0 +1,357 @@
+const assert = require('assert')
+const proxyquire = require('proxyquire')
+
+// Target module is built CJS so nyc attributes coverage: dist/cjs/db/mongo-adapter.js
+const MODULE_PATH = '../dist/cjs/db/mongo-adapter.js'
+const pq = proxyquire.noCallThru().noPreserveCache()
+
+// Evaluates the subset of Mongo query operators used by mongodb-functions
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, cond]) => {
+    if (field === '$or') return cond.some(f => matches(doc, f))
+    const value = doc[field]
+    if (cond === null) return value == null
+    if (typeof cond !== 'object' || cond instanceof Date) return value === cond
+    return Object.entries(cond).every(([op, arg]) => {
+      if (op === '$in') return arg.includes(value)
+      if (op === '$lt') return value != null && value < arg
+      if (op === '$gte') return value != null && value >= arg
+      if (op === '$ne') return value !== arg
+      if (op === '$exists') return (value !== undefined) === arg
+      throw new Error(`Unhandled operator in fake: ${op}`)
+    })
+  })
+}
+
+// Fake MongoClient that records construction, connect and close calls
+function makeMongoFake() {
+  const state = { instances: [], docs: [], seq: 0 }
+  class MongoClient {
+    constructor(uri, options) {
+      this.uri = uri
+      this.options = options
+      this.connects = 0
+      this.closes = 0
+      state.instances.push(this)
+    }
+    async connect() { this.connects++ }
+    async close() { this.closes++ }
+    db() {
+      return {
+        collection() {
+          return {
+            async insertOne(doc) {
+              doc._id = ++state.seq
+              state.docs.push(doc)
+              return { acknowledged: true, insertedId: doc._id }
+            },
+            find(filter) {
+              const found = state.docs.filter(d => matches(d, filter))
+              return {
+                sort() { found.sort((a, b) => b._id - a._id); return this },
+                async toArray() { return found.map(d => ({ ...d })) },
+              }
+            },
+            async updateMany(filter, update) {
+              state.docs.filter(d => matches(d, filter)).forEach(d => { d.attempts = (d.attempts || 0) + update.$inc.attempts })
+              return { acknowledged: true }
+            },
+            async deleteMany(filter) {
+              const before = state.docs.length
+              state.docs = state.docs.filter(d => !matches(d, filter))
+              return { deletedCount: before - state.docs.length }
+            },
+            async countDocuments(filter) {
+              state.countFilter = filter
+              return state.docs.filter(d => matches(d, filter)).length
+            },
+            async updateOne(filter, update) {
+              const doc = state.docs.find(d => matches(d, filter))
+              if (doc) Object.assign(doc, update.$set)
+              return { acknowledged: true, modifiedCount: doc ? 1 : 0 }
+            },
+            async deleteOne(filter) {
+              const i = state.docs.findIndex(d => matches(d, filter))
+              if (i >= 0) state.docs.splice(i, 1)
+              return { deletedCount: i < 0 ? 0 : 1 }
+            },
+          }
+        },
+      }
+    }
+  }
+  return { mongodb: { MongoClient, ServerApiVersion: { v1: '1' } }, state }
+}
+
+describe('MongoAdapter managed client (unit)', () => {
+  const saved = {}
+  for (const k of ['OTP_MONGO_CONNECTION', 'OTP_MONGO_DATABASE', 'OTP_MONGO_COLLECTION']) saved[k] = process.env[k]
+
+  beforeEach(() => {
+    process.env.OTP_MONGO_CONNECTION = 'mongodb://env-host'
+    process.env.OTP_MONGO_DATABASE = 'onehitter-test'
+    process.env.OTP_MONGO_COLLECTION = 'otp'
+  })
+
+  afterEach(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v == null) delete process.env[k]; else process.env[k] = v
+    }
+  })
+
+  it('lazily builds one pooled client from OTP_MONGO_CONNECTION and reuses it', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+
+    assert.strictEqual(state.instances.length, 0)
+    await Promise.all([
+      a.create({ otp: { contact: 'x@test.local', otp: '111111', createdAt: new Date() } }),
+      a.create({ otp: { contact: 'y@test.local', otp: '222222', createdAt: new Date() } }),
+    ])
+    const status = await a.validateWithStatus({ otp: { contact: 'x@test.local', otp: '111111' } })
+
+    assert.strictEqual(status, 'ok')
+    assert.strictEqual(state.instances.length, 1)
+    assert.strictEqual(state.instances[0].uri, 'mongodb://env-host')
+    assert.strictEqual(state.instances[0].connects, 1)
+    assert.strictEqual(state.instances[0].options.serverApi.strict, true)
+  })
+
+  it('prefers the connection/clientOptions passed to the constructor', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter({ connection: 'mongodb://option-host', clientOptions: { maxPoolSize: 3 } })
+
+    await a.connect()
+
+    assert.strictEqual(state.instances[0].uri, 'mongodb://option-host')
+    assert.deepStrictEqual(state.instances[0].options, { maxPoolSize: 3 })
+  })
+
+  it('close() closes the managed client and a later call reconnects', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+
+    await a.connect()
+    await a.close()
+    assert.strictEqual(state.instances[0].closes, 1)
+
+    await a.close() // second close is a no-op
+    assert.strictEqual(state.instances[0].closes, 1)
+
+    await a.create({ otp: { contact: 'z@test.local', otp: '333333', createdAt: new Date() } })
+    assert.strictEqual(state.instances.length, 2)
+  })
+
+  it('never builds or closes a client when one is supplied', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const own = new mongodb.MongoClient('mongodb://app-owned')
+    const a = new MongoAdapter({ client: own })
+
+    await a.connect()
+    await a.create({ otp: { contact: 'o@test.local', otp: '444444', createdAt: new Date() } })
+    await a.close()
+
+    assert.strictEqual(state.instances.length, 1)
+    assert.strictEqual(own.connects, 0)
+    assert.strictEqual(own.closes, 0)
+  })
+
+  it('a per-call client takes precedence over the managed client', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const perCall = new mongodb.MongoClient('mongodb://per-call')
+    const a = new MongoAdapter()
+
+    await a.create({ client: perCall, otp: { contact: 'p@test.local', otp: '555555', createdAt: new Date() } })
+
+    assert.strictEqual(state.instances.length, 1)
+  })
+
+  it('retries the connection after a failed first attempt', async () => {
+    const { mongodb, state } = makeMongoFake()
+    let fail = true
+    const origConnect = mongodb.MongoClient.prototype.connect
+    mongodb.MongoClient.prototype.connect = async function () {
+      if (fail) { fail = false; throw new Error('boom') }
+      return origConnect.call(this)
+    }
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+
+    await assert.rejects(() => a.connect(), /boom/)
+    await a.connect()
+    assert.strictEqual(state.instances.length, 2)
+  })
+
+  it('persists a per-record salt when enabled and validates against it', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+
+    await a.create({ otp: { contact: 's@test.local', otp: '777777', createdAt: new Date() }, options: { perRecordSalt: true } })
+    await a.create({ otp: { contact: 's@test.local', otp: '888888', createdAt: new Date() } })
+
+    assert.match(state.docs[0].salt, /^[0-9a-f]{32}$/)
+    assert.strictEqual(state.docs[1].salt, undefined)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '777777' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '888888' } }), 'ok')
+    assert.ok(state.docs.every(d => d.usedAt instanceof Date))
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '777777' } }), 'used')
+  })
+
+  it('keeps a short tombstone for consumed codes unless usedTombstoneSeconds is 0', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+    const now = Date.now()
+
+    await a.create({ otp: { contact: 'u@test.local', otp: '656565', createdAt: new Date(now) }, options: { expirySeconds: 1800 } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'u@test.local', otp: '000000' } }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'u@test.local', otp: '656565' } }), 'ok')
+    // The tombstone ends after usedTombstoneSeconds, so the TTL index removes it early
+    assert.ok(state.docs[0].expiresAt.getTime() - state.docs[0].usedAt.getTime() <= 300_000)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'u@test.local', otp: '656565' } }), 'used')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'u@test.local', otp: '000000' } }), 'not_found')
+
+    const options = { usedTombstoneSeconds: 0 }
+    await a.create({ otp: { contact: 'v@test.local', otp: '666666', createdAt: new Date() }, options })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'v@test.local', otp: '666666' }, options }), 'ok')
+    assert.strictEqual(state.docs.length, 1)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'v@test.local', otp: '666666' }, options }), 'not_found')
+  })
+
+  it('stores the purpose and only validates the code for it', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+
+    await a.create({ otp: { contact: 'p@test.local', otp: '616161', createdAt: new Date(), purpose: 'email_change' } })
+    assert.strictEqual(state.docs[0].purpose, 'email_change')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'p@test.local', otp: '616161' }, options: { maxAttempts: 0 } }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'p@test.local', otp: '616161', purpose: 'email_change' } }), 'ok')
+  })
+
+  it('stores a challengeId and validates by it without the contact', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+
+    const res = await a.create({ otp: { contact: 'ch@test.local', otp: '636363', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'ch@test.local', otp: '646464', createdAt: new Date() } })
+    assert.strictEqual(state.docs[0].challengeId, res.challengeId)
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: res.challengeId, otp: '646464' }, options: { maxAttempts: 1 } }), 'too_many_attempts')
+    assert.deepStrictEqual(state.docs.map(d => d.challengeId === res.challengeId), [false])
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'ch@test.local', otp: '646464' } }), 'ok')
+  })
+
+  it('keeps codes valid across a pepper rotation and counts retired-key documents', async () => {
+    const prev = process.env.OTP_PEPPERS
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+    try {
+      process.env.OTP_PEPPERS = 'k1:secret1'
+      await a.create({ otp: { contact: 'r@test.local', otp: '131313', createdAt: new Date() } })
+      assert.strictEqual(state.docs[0].pepperKeyId, 'k1')
+
+      process.env.OTP_PEPPERS = 'k2:secret2,k1:secret1'
+      const now = new Date()
+      assert.strictEqual(await a.countRetiredPepperRecords({ now }), 1)
+      assert.deepStrictEqual(state.countFilter.pepperKeyId, { $ne: 'k2' })
+      assert.deepStrictEqual(state.countFilter.$or[0], { expiresAt: { $gte: now } })
+
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'r@test.local', otp: '131313' } }), 'ok')
+      assert.strictEqual(await a.countRetiredPepperRecords({ now }), 0)
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPERS; else process.env.OTP_PEPPERS = prev
+    }
+  })
+
+  it('burns every active code for the contact after maxAttempts misses', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+    const options = { maxAttempts: 2 }
+
+    await a.create({ otp: { contact: 'b@test.local', otp: '232323', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'b@test.local', otp: '242424', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'other@test.local', otp: '252525', createdAt: new Date() } })
+
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b@test.local', otp: '000000' }, options }), 'mismatch')
+    assert.deepStrictEqual(state.docs.map(d => d.attempts), [1, 1, undefined])
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b@test.local', otp: '000000' }, options }), 'too_many_attempts')
+    assert.strictEqual(state.docs.length, 1)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b@test.local', otp: '232323' }, options }), 'not_found')
+  })
+
+  it('supersedePrevious deletes older documents for the contact after inserting', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+
+    await a.create({ otp: { contact: 'n@test.local', otp: '292929', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'other@test.local', otp: '303030', createdAt: new Date() } })
+    const res = await a.create({ otp: { contact: 'n@test.local', otp: '313131', createdAt: new Date() }, options: { supersedePrevious: true } })
+
+    assert.deepStrictEqual(state.docs.map(d => d._id), [2, res.insertedId])
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'n@test.local', otp: '313131' } }), 'ok')
+  })
+
+  it('deleteRecord() removes the document create returned and reports whether it existed', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+    const keep = await a.create({ otp: { contact: 'del@test.local', otp: '323232', createdAt: new Date() } })
+    const res = await a.create({ otp: { contact: 'del@test.local', otp: '333333', createdAt: new Date() } })
+
+    assert.strictEqual(await a.deleteRecord({ id: res.insertedId }), true)
+    assert.strictEqual(await a.deleteRecord({ id: res.insertedId }), false)
+    assert.deepStrictEqual(state.docs.map(d => d._id), [keep.insertedId])
+  })
+
+  it('purgeExpired() deletes documents older than the expiry window', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+    await a.create({ otp: { contact: 'q@test.local', otp: '404040', createdAt: new Date(Date.now() - 3_600_000) } })
+    await a.create({ otp: { contact: 'q@test.local', otp: '414141', createdAt: new Date() } })
+
+    assert.strictEqual(await a.purgeExpired(), 1)
+    assert.strictEqual(state.docs.length, 1)
+  })
+
+  it('stores expiresAt and honors it over the TTL, falling back to createdAt for legacy documents', async () => {
+    const { mongodb, state } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+    const createdAt = new Date(Date.now() - 3_600_000)
+    await a.create({ otp: { contact: 'w@test.local', otp: '454545', createdAt, expiresInSeconds: 7 * 86400 } })
+    await a.create({ otp: { contact: 'w@test.local', otp: '464646', createdAt } })
+    await a.create({ otp: { contact: 'w@test.local', otp: '474747', createdAt } })
+    delete state.docs[2].expiresAt
+
+    assert.strictEqual(state.docs[0].expiresAt.getTime() - createdAt.getTime(), 7 * 86400_000)
+    assert.strictEqual(state.docs[1].expiresAt.getTime() - createdAt.getTime(), 1800_000)
+    assert.deepStrictEqual(await a.countRecords(), { active: 1, expired: 2 })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'w@test.local', otp: '474747' } }), 'expired')
+    assert.strictEqual(await a.purgeExpired(), 1)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'w@test.local', otp: '454545' } }), 'ok')
+  })
+
+  it('countRecords() counts documents on both sides of the expiry cutoff', async () => {
+    const { mongodb } = makeMongoFake()
+    const { MongoAdapter } = pq(MODULE_PATH, { mongodb })
+    const a = new MongoAdapter()
+    await a.create({ otp: { contact: 'q@test.local', otp: '424242', createdAt: new Date(Date.now() - 3_600_000) } })
+    await a.create({ otp: { contact: 'q@test.local', otp: '434343', createdAt: new Date() } })
+    assert.deepStrictEqual(await a.countRecords(), { active: 1, expired: 1 })
+
+    // The tombstone of a used code is no longer active
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'q@test.local', otp: '434343' } }), 'ok')
+    assert.deepStrictEqual(await a.countRecords(), { active: 0, expired: 1 })
+  })
+})
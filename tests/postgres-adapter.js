@@ -0,0 +1,281 @@
+const assert = require('assert')
+const { newDb } = require('pg-mem')
+
+// Use built artifacts so nyc maps coverage to dist/cjs/**
+const { PostgresAdapter } = require('../dist/cjs/db/postgres-adapter.js')
+const { getAdapter } = require('../dist/cjs/db/index.js')
+const OneHitter = require('../dist/cjs/onehitter.js').default
+
+// In-process Postgres stand-in; each call gets a fresh, empty database
+function makePool() {
+  const mem = newDb()
+  const { Pool } = mem.adapters.createPg()
+  return new Pool()
+}
+
+describe('PostgresAdapter (pg-mem)', () => {
+  const prevExpiry = process.env.OTP_EXPIRY
+  beforeEach(() => { process.env.OTP_EXPIRY = '1800' })
+  after(() => {
+    if (prevExpiry == null) delete process.env.OTP_EXPIRY; else process.env.OTP_EXPIRY = prevExpiry
+  })
+
+  it('exposes name = "postgres"', () => {
+    assert.strictEqual(new PostgresAdapter({ pool: makePool() }).name, 'postgres')
+  })
+
+  it('creates the otp table and indexes on first use, once per pool', async () => {
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    await a.connect()
+    await a.connect()
+    const cols = await pool.query("SELECT column_name FROM information_schema.columns WHERE table_name = 'otp'")
+    const names = cols.rows.map(r => r.column_name).sort()
+    assert.deepStrictEqual(names, ['attempts', 'challengeHash', 'challengeId', 'contactId', 'createdAt', 'expiresAt', 'id', 'metadata', 'otpHash', 'pepperKeyId', 'purpose', 'salt', 'usedAt'])
+  })
+
+  it('stores hashes only and returns an InsertOne-like result', async () => {
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    const res = await a.create({ otp: { contact: 'a@test.local', otp: '123456', createdAt: new Date() } })
+    assert.strictEqual(res.acknowledged, true)
+    assert.ok(res.insertedId != null)
+
+    const { rows } = await pool.query('SELECT * FROM otp')
+    assert.strictEqual(rows.length, 1)
+    assert.notStrictEqual(rows[0].contactId, 'a@test.local')
+    assert.ok(!JSON.stringify(rows[0]).includes('123456'))
+  })
+
+  it('returns the stored expiry from create and deletes a row by its id', async () => {
+    const a = new PostgresAdapter({ pool: makePool() })
+    const createdAt = new Date()
+    const res = await a.create({ otp: { contact: 'del@test.local', otp: '353535', createdAt } })
+    assert.strictEqual(res.expiresAt.getTime(), createdAt.getTime() + 1800_000)
+    assert.strictEqual(await a.deleteRecord({ id: res.insertedId }), true)
+    assert.strictEqual(await a.deleteRecord({ id: res.insertedId }), false)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'del@test.local', otp: '353535' } }), 'not_found')
+  })
+
+  it('returns ok once, then used while the tombstone lasts', async () => {
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    await a.create({ otp: { contact: 'b@test.local', otp: '111111', createdAt: new Date() } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b@test.local', otp: '111111' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b@test.local', otp: '111111' } }), 'used')
+    const { rows } = await pool.query('SELECT "usedAt", "expiresAt" FROM otp')
+    assert.ok(rows[0].expiresAt - rows[0].usedAt <= 300_000)
+
+    const options = { usedTombstoneSeconds: 0 }
+    await a.create({ otp: { contact: 'b@test.local', otp: '121212', createdAt: new Date() } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b@test.local', otp: '121212' }, options }), 'ok')
+    assert.strictEqual((await pool.query('SELECT id FROM otp')).rows.length, 1)
+  })
+
+  it('stores metadata (encrypted when asked) and returns it from validateDetailed', async () => {
+    const prev = process.env.OTP_PEPPER
+    process.env.OTP_PEPPER = 'pg-metadata-pepper'
+    try {
+      const pool = makePool()
+      const a = new PostgresAdapter({ pool })
+      const options = { encryptMetadata: true }
+      const createdAt = new Date()
+      await a.create({ otp: { contact: 'md@test.local', otp: '252525', createdAt, metadata: { userId: 'u-7' } }, options })
+      const { rows } = await pool.query('SELECT metadata FROM otp')
+      assert.match(rows[0].metadata, /^enc:v1:/)
+      assert.deepStrictEqual(await a.validateDetailed({ otp: { contact: 'md@test.local', otp: '252525' }, options }),
+        { status: 'ok', metadata: { userId: 'u-7' }, expiresAt: new Date(createdAt.getTime() + 1800_000) })
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPER; else process.env.OTP_PEPPER = prev
+    }
+  })
+
+  it('does not consume a code whose metadata fails to decrypt', async () => {
+    const prev = process.env.OTP_PEPPER
+    process.env.OTP_PEPPER = 'pg-metadata-pepper'
+    try {
+      const pool = makePool()
+      const a = new PostgresAdapter({ pool })
+      const options = { encryptMetadata: true }
+      await a.create({ otp: { contact: 'tamper@test.local', otp: '262626', createdAt: new Date(), metadata: { userId: 'u-8' } }, options })
+      const { rows: [{ metadata: sealed }] } = await pool.query('SELECT metadata FROM otp')
+      await pool.query('UPDATE otp SET metadata = $1', [`enc:v1:${Buffer.alloc(40, 1).toString('base64')}`])
+      await assert.rejects(() => a.validateDetailed({ otp: { contact: 'tamper@test.local', otp: '262626' }, options }))
+
+      await pool.query('UPDATE otp SET metadata = $1', [sealed])
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'tamper@test.local', otp: '262626' }, options }), 'ok')
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPER; else process.env.OTP_PEPPER = prev
+    }
+  })
+
+  it('returns mismatch for a wrong code without consuming the real one', async () => {
+    const a = new PostgresAdapter({ pool: makePool() })
+    await a.create({ otp: { contact: 'c@test.local', otp: '222222', createdAt: new Date() } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'c@test.local', otp: '000000' } }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'c@test.local', otp: '222222' } }), 'ok')
+  })
+
+  it('validates by challengeId, checking the contact when one is given', async () => {
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    const res = await a.create({ otp: { contact: 'ch@test.local', otp: '232323', createdAt: new Date() } })
+
+    const { rows } = await pool.query('SELECT "challengeId" FROM otp')
+    assert.strictEqual(rows[0].challengeId, res.challengeId)
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: res.challengeId, otp: '232323', contact: 'other@test.local' } }), 'not_found')
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: 'unknown', otp: '232323' } }), 'not_found')
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: res.challengeId, otp: '232323' } }), 'ok')
+  })
+
+  it('stores a per-record salt when enabled and validates against it', async () => {
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    await a.create({ otp: { contact: 's@test.local', otp: '454545', createdAt: new Date() }, options: { perRecordSalt: true } })
+    await a.create({ otp: { contact: 's@test.local', otp: '565656', createdAt: new Date() } })
+
+    const { rows } = await pool.query('SELECT salt FROM otp ORDER BY id')
+    assert.match(rows[0].salt, /^[0-9a-f]{32}$/)
+    assert.strictEqual(rows[1].salt, null)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '454545' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '565656' } }), 'ok')
+  })
+
+  it('stores the purpose and only validates the code for it', async () => {
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    await a.create({ otp: { contact: 'p@test.local', otp: '626262', createdAt: new Date(), purpose: 'login' } })
+
+    const { rows } = await pool.query('SELECT purpose FROM otp')
+    assert.strictEqual(rows[0].purpose, 'login')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'p@test.local', otp: '626262', purpose: 'password_reset' } }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'p@test.local', otp: '626262', purpose: 'login' } }), 'ok')
+  })
+
+  it('keeps codes valid across a pepper rotation and counts retired-key rows', async () => {
+    const prev = process.env.OTP_PEPPERS
+    try {
+      const pool = makePool()
+      const a = new PostgresAdapter({ pool })
+      delete process.env.OTP_PEPPERS
+      await a.create({ otp: { contact: 'r@test.local', otp: '171717', createdAt: new Date() } })
+      process.env.OTP_PEPPERS = 'k1:secret1'
+      await a.create({ otp: { contact: 'r@test.local', otp: '181818', createdAt: new Date() } })
+      await a.create({ otp: { contact: 'r@test.local', otp: '191919', createdAt: new Date(Date.now() - 3_600_000) } })
+
+      const { rows } = await pool.query('SELECT "pepperKeyId" FROM otp ORDER BY id')
+      assert.deepStrictEqual(rows.map(r => r.pepperKeyId), [null, 'k1', 'k1'])
+      // Legacy row is retired; the expired k1 row is ignored
+      assert.strictEqual(await a.countRetiredPepperRecords(), 1)
+
+      process.env.OTP_PEPPERS = 'k2:secret2,k1:secret1'
+      assert.strictEqual(await a.countRetiredPepperRecords(), 2)
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'r@test.local', otp: '181818' } }), 'ok')
+      assert.strictEqual(await a.countRetiredPepperRecords(), 1)
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPERS; else process.env.OTP_PEPPERS = prev
+    }
+  })
+
+  it('burns the codes after maxAttempts misses', async () => {
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    const options = { maxAttempts: 2 }
+    await a.create({ otp: { contact: 't@test.local', otp: '282828', createdAt: new Date() } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 't@test.local', otp: '000000' }, options }), 'mismatch')
+    assert.strictEqual((await pool.query('SELECT attempts FROM otp')).rows[0].attempts, 1)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 't@test.local', otp: '000000' }, options }), 'too_many_attempts')
+    assert.strictEqual((await pool.query('SELECT id FROM otp')).rows.length, 0)
+  })
+
+  it('supersedePrevious deletes older rows for the contact', async () => {
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    await a.create({ otp: { contact: 'n@test.local', otp: '353535', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'other@test.local', otp: '363636', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'n@test.local', otp: '373737', createdAt: new Date() }, options: { supersedePrevious: true } })
+
+    assert.strictEqual((await pool.query('SELECT id FROM otp')).rows.length, 2)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'n@test.local', otp: '373737' } }), 'ok')
+  })
+
+  it('returns expired when older than OTP_EXPIRY', async () => {
+    process.env.OTP_EXPIRY = '60'
+    const a = new PostgresAdapter({ pool: makePool() })
+    await a.create({ otp: { contact: 'd@test.local', otp: '333333', createdAt: new Date(Date.now() - 120_000) } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'd@test.local', otp: '333333' } }), 'expired')
+  })
+
+  it('allows exactly one success under concurrent validation', async () => {
+    const a = new PostgresAdapter({ pool: makePool() })
+    await a.create({ otp: { contact: 'e@test.local', otp: '444444', createdAt: new Date() } })
+    const payload = { otp: { contact: 'e@test.local', otp: '444444' } }
+    const results = await Promise.all([a.validateWithStatus(payload), a.validateWithStatus(payload)])
+    assert.strictEqual(results.filter(s => s === 'ok').length, 1)
+  })
+
+  it('purgeExpired() deletes only rows past the expiry window', async () => {
+    process.env.OTP_EXPIRY = '60'
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    await a.create({ otp: { contact: 'f@test.local', otp: '1', createdAt: new Date(Date.now() - 120_000) } })
+    await a.create({ otp: { contact: 'g@test.local', otp: '2', createdAt: new Date() } })
+    assert.strictEqual(await a.purgeExpired(), 1)
+    const { rows } = await pool.query('SELECT id FROM otp')
+    assert.strictEqual(rows.length, 1)
+  })
+
+  it('stores a per-code expiry and judges legacy rows by OTP_EXPIRY', async () => {
+    process.env.OTP_EXPIRY = '60'
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    const createdAt = new Date(Date.now() - 120_000)
+    await a.create({ otp: { contact: 'h@test.local', otp: '515151', createdAt, expiresInSeconds: 86400 } })
+    await a.create({ otp: { contact: 'h@test.local', otp: '525252', createdAt } })
+    await a.create({ otp: { contact: 'h@test.local', otp: '535353', createdAt } })
+    await pool.query('UPDATE otp SET "expiresAt" = NULL WHERE id = 3')
+
+    assert.deepStrictEqual(await a.countRecords(), { active: 1, expired: 2 })
+    assert.strictEqual(await a.countRetiredPepperRecords(), 0)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'h@test.local', otp: '535353' } }), 'expired')
+    assert.strictEqual(await a.purgeExpired(), 1)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'h@test.local', otp: '515151' } }), 'ok')
+  })
+
+  it('countRecords() splits rows by the expiry window', async () => {
+    process.env.OTP_EXPIRY = '60'
+    const a = new PostgresAdapter({ pool: makePool() })
+    await a.create({ otp: { contact: 'f@test.local', otp: '1', createdAt: new Date(Date.now() - 120_000) } })
+    await a.create({ otp: { contact: 'g@test.local', otp: '2', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'g@test.local', otp: '3', createdAt: new Date() } })
+    assert.deepStrictEqual(await a.countRecords(), { active: 2, expired: 1 })
+
+    // The tombstone of a used code is no longer active
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'g@test.local', otp: '3' } }), 'ok')
+    assert.deepStrictEqual(await a.countRecords(), { active: 1, expired: 1 })
+  })
+
+  it('close() leaves an application-owned pool open', async () => {
+    const pool = makePool()
+    const a = new PostgresAdapter({ pool })
+    await a.close()
+    await a.create({ otp: { contact: 'h@test.local', otp: '5', createdAt: new Date() } })
+  })
+
+  it('works end to end when injected into OneHitter', async () => {
+    const one = new OneHitter({ adapter: new PostgresAdapter({ pool: makePool() }) })
+    const otp = one.make()
+    await one.create({ contact: 'i@test.local', otp, createdAt: new Date() })
+    assert.strictEqual(await one.validate({ contact: 'i@test.local', otp }), true)
+  })
+
+  it('is selected by OTP_DB_DRIVER=postgres', () => {
+    const prev = process.env.OTP_DB_DRIVER
+    process.env.OTP_DB_DRIVER = 'postgres'
+    try {
+      assert.ok(getAdapter() instanceof PostgresAdapter)
+    } finally {
+      if (prev == null) delete process.env.OTP_DB_DRIVER; else process.env.OTP_DB_DRIVER = prev
+    }
+  })
+})
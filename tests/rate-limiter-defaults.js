@@ -1,5 +1,5 @@
 const assert = require('assert')
-const { InMemoryRateLimiter, NoopRateLimiter } = require('../dist/cjs/rate-limiter.js')
+const { InMemoryRateLimiter, InMemorySendLimiter, NoopRateLimiter } = require('../dist/cjs/rate-limiter.js')
 
 describe('InMemoryRateLimiter defaults', () => {
   it('blocks after default max (5) failures without options', async () => {
@@ -21,6 +21,63 @@ describe('InMemoryRateLimiter defaults', () => {
   })
 })
 
+describe('InMemoryRateLimiter.inspect', () => {
+  it('reports remaining attempts and the wait without counting anything', async () => {
+    const rl = new InMemoryRateLimiter({ max: 3, windowMs: 60_000, cooldownMs: 10_000 })
+    assert.deepStrictEqual(await rl.inspect('x'), { remainingAttempts: 3 })
+    await rl.onFailure('x')
+    await rl.onFailure('x')
+    assert.deepStrictEqual(await rl.inspect('x'), { remainingAttempts: 1 })
+    assert.deepStrictEqual(await rl.inspect('x'), { remainingAttempts: 1 })
+
+    await rl.onFailure('x')
+    const state = await rl.inspect('x')
+    assert.strictEqual(state.remainingAttempts, 0)
+    assert.ok(state.retryAfterMs > 9_000 && state.retryAfterMs <= 10_000)
+
+    await rl.onSuccess('x')
+    assert.deepStrictEqual(await rl.inspect('x'), { remainingAttempts: 3 })
+  })
+})
+
+describe('InMemorySendLimiter', () => {
+  const DAY_MS = 24 * 60 * 60_000
+
+  it('enforces the gap between sends to one contact', () => {
+    const sl = new InMemorySendLimiter()
+    assert.deepStrictEqual(sl.beforeSend('a@test'), { allowed: true })
+    const denied = sl.beforeSend('a@test')
+    assert.strictEqual(denied.allowed, false)
+    assert.ok(denied.retryAfterMs > 59_000 && denied.retryAfterMs <= 60_000)
+    assert.deepStrictEqual(sl.beforeSend('b@test'), { allowed: true })
+  })
+
+  it('caps sends per contact and per IP over 24 hours', () => {
+    const sl = new InMemorySendLimiter({ minGapMs: 0, dailyMax: 2, ipDailyMax: 3 })
+    assert.strictEqual(sl.beforeSend('a@test', { ip: '10.0.0.1' }).allowed, true)
+    assert.strictEqual(sl.beforeSend('a@test', { ip: '10.0.0.1' }).allowed, true)
+    const capped = sl.beforeSend('a@test', { ip: '10.0.0.2' })
+    assert.strictEqual(capped.allowed, false)
+    assert.ok(capped.retryAfterMs > DAY_MS - 1_000 && capped.retryAfterMs <= DAY_MS)
+
+    // The refused send was not recorded for 10.0.0.2; 10.0.0.1 has one send left
+    assert.strictEqual(sl.beforeSend('b@test', { ip: '10.0.0.1' }).allowed, true)
+    assert.strictEqual(sl.beforeSend('c@test', { ip: '10.0.0.1' }).allowed, false)
+    assert.strictEqual(sl.beforeSend('c@test', { ip: '10.0.0.2' }).allowed, true)
+    assert.strictEqual(sl.beforeSend('d@test').allowed, true)
+  })
+
+  it('rejects caps of 0 and other invalid limits', () => {
+    assert.throws(() => new InMemorySendLimiter({ dailyMax: 0 }), /dailyMax must be a positive integer \(got 0\)/)
+    assert.throws(() => new InMemorySendLimiter({ ipDailyMax: 0 }), /ipDailyMax must be a positive integer \(got 0\)/)
+    assert.throws(() => new InMemorySendLimiter({ dailyMax: -1 }), /dailyMax/)
+    assert.throws(() => new InMemorySendLimiter({ ipDailyMax: 2.5 }), /ipDailyMax/)
+    assert.throws(() => new InMemorySendLimiter({ minGapMs: -1 }), /minGapMs/)
+    assert.throws(() => new InMemorySendLimiter({ minGapMs: NaN }), /minGapMs/)
+    assert.strictEqual(new InMemorySendLimiter({ minGapMs: 0, dailyMax: 1, ipDailyMax: 1 }).beforeSend('a@test', { ip: '10.0.0.1' }).allowed, true)
+  })
+})
+
 describe('NoopRateLimiter', () => {
   it('always allows and no-ops on success/failure', async () => {
     const rl = new NoopRateLimiter()
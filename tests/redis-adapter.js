@@ -0,0 +1,378 @@
+const assert = require('assert')
+
+// Use built artifacts so nyc maps coverage to dist/cjs/**
+const { RedisAdapter } = require('../dist/cjs/db/redis-adapter.js')
+const { getAdapter } = require('../dist/cjs/db/index.js')
+const OneHitter = require('../dist/cjs/onehitter.js').default
+
+// Minimal node-redis style mock with native key expiry (SET ... EX, GETDEL)
+function makeRedisMock() {
+  const store = new Map() // key -> { value, expiresAt }
+  const calls = []
+  const live = (key) => {
+    const e = store.get(key)
+    if (e && e.expiresAt != null && e.expiresAt <= Date.now()) store.delete(key)
+    return store.get(key)
+  }
+  return {
+    store,
+    calls,
+    async set(key, value, options) {
+      calls.push({ cmd: 'set', key, value, options })
+      store.set(key, { value, expiresAt: options && options.EX ? Date.now() + options.EX * 1000 : null })
+      return 'OK'
+    },
+    async getDel(key) {
+      calls.push({ cmd: 'getDel', key })
+      const e = live(key)
+      store.delete(key)
+      return e ? e.value : null
+    },
+    async get(key) {
+      const e = live(key)
+      return e ? e.value : null
+    },
+    async *scanIterator({ MATCH }) {
+      // Only prefix patterns ("<prefix>*") are used; yields one v5-style batch
+      const prefix = MATCH.slice(0, -1)
+      yield [...store.keys()].filter(k => k.startsWith(prefix) && live(k))
+    },
+    async sAdd(key, member) {
+      calls.push({ cmd: 'sAdd', key, member })
+      const e = live(key) ?? { value: new Set(), expiresAt: null }
+      e.value.add(member)
+      store.set(key, e)
+      return 1
+    },
+    async sMembers(key) {
+      const e = live(key)
+      return e ? [...e.value] : []
+    },
+    async sRem(key, member) {
+      calls.push({ cmd: 'sRem', key, member })
+      const e = live(key)
+      if (!e) return 0
+      e.value.delete(member)
+      if (e.value.size === 0) store.delete(key)
+      return 1
+    },
+    async expire(key, seconds) {
+      calls.push({ cmd: 'expire', key, seconds })
+      const e = live(key)
+      if (e) e.expiresAt = Date.now() + seconds * 1000
+      return e ? 1 : 0
+    },
+  }
+}
+
+describe('RedisAdapter (mock client)', () => {
+  it('exposes name = "redis"', () => {
+    assert.strictEqual(new RedisAdapter({ client: makeRedisMock() }).name, 'redis')
+  })
+
+  it('stores contactId/otpHash keys with EX from the OTP expiry plus grace', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 300, expiredGraceSeconds: 30 })
+    const res = await a.create({ otp: { contact: 'a@test.local', otp: '123456', createdAt: new Date() } })
+
+    assert.strictEqual(res.acknowledged, true)
+    const [set] = client.calls
+    assert.strictEqual(set.key, res.insertedId)
+    assert.match(set.key, /^onehitter:otp:[0-9a-f]{64}:[0-9a-f]{64}$/)
+    assert.ok(!set.key.includes('a@test.local'))
+    assert.ok(set.options.EX === 330 || set.options.EX === 331)
+  })
+
+  it('honors a custom key prefix', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, keyPrefix: 'app:otp:', ttlSeconds: 60 })
+    await a.create({ otp: { contact: 'p@test.local', otp: '1', createdAt: new Date() } })
+    assert.ok(client.calls[0].key.startsWith('app:otp:'))
+  })
+
+  it('derives EX from a per-code expiry and stores it with the key', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 300, expiredGraceSeconds: 0 })
+    const createdAt = new Date()
+    const res = await a.create({ otp: { contact: 'i@test.local', otp: '656565', createdAt, expiresInSeconds: 3 * 86400 } })
+
+    const [set] = client.calls
+    assert.strictEqual(set.value, `${createdAt.getTime()}::${createdAt.getTime() + 3 * 86400_000}:${res.challengeId}`)
+    assert.ok(set.options.EX === 3 * 86400 || set.options.EX === 3 * 86400 + 1)
+    assert.deepStrictEqual(await a.countRecords(), { active: 1, expired: 0 })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'i@test.local', otp: '656565' } }), 'ok')
+  })
+
+  it('appends metadata to the value and returns it from validateDetailed', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 300 })
+    const createdAt = new Date()
+    const metadata = { redirect: 'https://app.test/next?a=1' }
+    const res = await a.create({ otp: { contact: 'md@test.local', otp: '272727', createdAt, metadata } })
+
+    const [set] = client.calls
+    assert.strictEqual(set.value, `${createdAt.getTime()}::${createdAt.getTime() + 300_000}:${res.challengeId}:${JSON.stringify(metadata)}`)
+    assert.deepStrictEqual(await a.countRecords(), { active: 1, expired: 0 })
+    assert.deepStrictEqual(await a.validateDetailed({ otp: { contact: 'md@test.local', otp: '272727' } }),
+      { status: 'ok', metadata, expiresAt: new Date(createdAt.getTime() + 300_000) })
+  })
+
+  it('keeps the key when the metadata fails to decrypt', async () => {
+    const prev = process.env.OTP_PEPPER
+    process.env.OTP_PEPPER = 'redis-metadata-pepper'
+    try {
+      const client = makeRedisMock()
+      const a = new RedisAdapter({ client, ttlSeconds: 300 })
+      const options = { encryptMetadata: true }
+      const res = await a.create({ otp: { contact: 'tamper@test.local', otp: '282828', createdAt: new Date(), metadata: { userId: 'u-6' } }, options })
+      const entry = client.store.get(res.insertedId)
+      const sealed = entry.value
+      entry.value = sealed.replace(/enc:v1:.*$/, `enc:v1:${Buffer.alloc(40, 1).toString('base64')}`)
+      await assert.rejects(() => a.validateDetailed({ otp: { contact: 'tamper@test.local', otp: '282828' }, options }))
+      await assert.rejects(() => a.validateDetailed({ otp: { challengeId: res.challengeId, otp: '282828' }, options }))
+
+      entry.value = sealed
+      assert.deepStrictEqual((await a.validateDetailed({ otp: { challengeId: res.challengeId, otp: '282828' }, options })).metadata, { userId: 'u-6' })
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPER; else process.env.OTP_PEPPER = prev
+    }
+  })
+
+  it('judges values written without an expiry by the configured TTL', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 60 })
+    await a.create({ otp: { contact: 'l@test.local', otp: '666666', createdAt: new Date() } })
+    const [set] = client.calls
+    client.store.get(set.key).value = String(Date.now() - 90_000)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'l@test.local', otp: '666666' } }), 'expired')
+  })
+
+  it('omits EX when no expiry is configured', async () => {
+    const prev = process.env.OTP_EXPIRY
+    delete process.env.OTP_EXPIRY
+    try {
+      const client = makeRedisMock()
+      const a = new RedisAdapter({ client })
+      await a.create({ otp: { contact: 'n@test.local', otp: '1', createdAt: new Date() } })
+      assert.strictEqual(client.calls[0].options, undefined)
+    } finally {
+      if (prev != null) process.env.OTP_EXPIRY = prev
+    }
+  })
+
+  it('returns ok once, then used while the tombstone lasts (consumed with GETDEL)', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 600 })
+    await a.create({ otp: { contact: 'b@test.local', otp: '111111', createdAt: new Date() } })
+
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b@test.local', otp: '111111' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b@test.local', otp: '111111' } }), 'used')
+    assert.ok(client.calls.some(c => c.cmd === 'getDel'))
+    const tombstone = client.calls.find(c => c.cmd === 'set' && c.key.startsWith('onehitter:otp:used:'))
+    assert.strictEqual(tombstone.options.EX, 300)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b@test.local', otp: '000000' } }), 'not_found')
+
+    const options = { usedTombstoneSeconds: 0 }
+    await a.create({ otp: { contact: 'b2@test.local', otp: '121212', createdAt: new Date() } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b2@test.local', otp: '121212' }, options }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'b2@test.local', otp: '121212' }, options }), 'not_found')
+  })
+
+  it('returns mismatch for a wrong code without consuming the real one', async () => {
+    const a = new RedisAdapter({ client: makeRedisMock(), ttlSeconds: 300 })
+    await a.create({ otp: { contact: 'c@test.local', otp: '222222', createdAt: new Date() } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'c@test.local', otp: '000000' } }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'c@test.local', otp: '222222' } }), 'ok')
+  })
+
+  it('binds the purpose into the key hash', async () => {
+    const a = new RedisAdapter({ client: makeRedisMock(), ttlSeconds: 300 })
+    await a.create({ otp: { contact: 'p@test.local', otp: '646464', createdAt: new Date(), purpose: 'password_reset' } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'p@test.local', otp: '646464' } }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'p@test.local', otp: '646464', purpose: 'password_reset' } }), 'ok')
+  })
+
+  it('returns expired within the grace window after expiry', async () => {
+    const a = new RedisAdapter({ client: makeRedisMock(), ttlSeconds: 60, expiredGraceSeconds: 60 })
+    await a.create({ otp: { contact: 'd@test.local', otp: '333333', createdAt: new Date(Date.now() - 90_000) } })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'd@test.local', otp: '333333' } }), 'expired')
+  })
+
+  it('returns not_found once Redis has evicted the key (past expiry + grace)', async () => {
+    const a = new RedisAdapter({ client: makeRedisMock(), ttlSeconds: 60, expiredGraceSeconds: 10 })
+    await a.create({ otp: { contact: 'e@test.local', otp: '444444', createdAt: new Date(Date.now() - 120_000) } })
+    await new Promise(r => setTimeout(r, 1100)) // minimum EX is 1 second
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'e@test.local', otp: '444444' } }), 'not_found')
+  })
+
+  it('allows exactly one success under concurrent validation', async () => {
+    const a = new RedisAdapter({ client: makeRedisMock(), ttlSeconds: 300 })
+    await a.create({ otp: { contact: 'f@test.local', otp: '555555', createdAt: new Date() } })
+    const payload = { otp: { contact: 'f@test.local', otp: '555555' } }
+    const results = await Promise.all([a.validateWithStatus(payload), a.validateWithStatus(payload)])
+    assert.strictEqual(results.filter(s => s === 'ok').length, 1)
+  })
+
+  it('indexes per-record salts by contact and drops the salt once consumed', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 300 })
+    const options = { perRecordSalt: true, usedTombstoneSeconds: 0 }
+    await a.create({ otp: { contact: 's@test.local', otp: '676767', createdAt: new Date() }, options })
+    await a.create({ otp: { contact: 's@test.local', otp: '787878', createdAt: new Date() }, options })
+
+    const sAdds = client.calls.filter(c => c.cmd === 'sAdd' && c.key.includes(':salts:'))
+    assert.strictEqual(sAdds.length, 2)
+    assert.match(sAdds[0].key, /^onehitter:otp:salts:[0-9a-f]{64}$/)
+    assert.ok(client.calls.some(c => c.cmd === 'expire' && c.key === sAdds[0].key))
+
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '000000' }, options }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '787878' }, options }), 'ok')
+    assert.deepStrictEqual(await client.sMembers(sAdds[0].key), [sAdds[0].member])
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '676767' }, options }), 'ok')
+    assert.strictEqual(client.store.size, 0)
+  })
+
+  it('keeps salts indexed while tombstones last, so salted replays report used', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 300 })
+    const options = { perRecordSalt: true }
+    await a.create({ otp: { contact: 'u@test.local', otp: '898989', createdAt: new Date() }, options })
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'u@test.local', otp: '898989' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'u@test.local', otp: '898989' } }), 'used')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'u@test.local', otp: '000000' } }), 'not_found')
+    // Index and tombstone keys are not counted as records
+    assert.deepStrictEqual(await a.countRecords(), { active: 0, expired: 0 })
+  })
+
+  it('validates by challengeId and drops the challenge key with the code', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 300 })
+    const options = { perRecordSalt: true }
+    const first = await a.create({ otp: { contact: 'ch@test.local', otp: '292929', createdAt: new Date() }, options })
+    const second = await a.create({ otp: { contact: 'ch@test.local', otp: '303030', createdAt: new Date() }, options })
+    assert.ok(client.store.has(`onehitter:otp:challenge:${first.challengeId}`))
+
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: first.challengeId, otp: '303030' } }), 'mismatch')
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: first.challengeId, otp: '292929', contact: 'x@test.local' } }), 'not_found')
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: first.challengeId, otp: '292929' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: first.challengeId, otp: '292929' } }), 'used')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'ch@test.local', otp: '303030' } }), 'ok')
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: second.challengeId, otp: '303030' } }), 'used')
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: second.challengeId, otp: '000000' } }), 'not_found')
+    // Only tombstones and the salts they need are left
+    assert.ok([...client.store.keys()].every(k => /^onehitter:otp:(used|salts):/.test(k)))
+  })
+
+  it('keeps codes valid across a pepper rotation and counts retired-key entries', async () => {
+    const prev = process.env.OTP_PEPPERS
+    try {
+      const client = makeRedisMock()
+      const a = new RedisAdapter({ client, ttlSeconds: 300 })
+      process.env.OTP_PEPPERS = 'k1:secret1'
+      await a.create({ otp: { contact: 'r@test.local', otp: '202020', createdAt: new Date() } })
+      await a.create({ otp: { contact: 's@test.local', otp: '212121', createdAt: new Date() }, options: { perRecordSalt: true } })
+      assert.match(client.calls[0].value, /^\d+:k1:\d+:[\w-]{22}$/)
+
+      process.env.OTP_PEPPERS = 'k2:secret2,k1:secret1'
+      await a.create({ otp: { contact: 't@test.local', otp: '222222', createdAt: new Date() } })
+      assert.strictEqual(await a.countRetiredPepperRecords(), 2)
+
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'r@test.local', otp: '202020' } }), 'ok')
+      assert.strictEqual(await a.validateWithStatus({ otp: { contact: 's@test.local', otp: '212121' } }), 'ok')
+      assert.strictEqual(await a.countRetiredPepperRecords(), 0)
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPERS; else process.env.OTP_PEPPERS = prev
+    }
+  })
+
+  it('supersedePrevious revokes older keys through the latest pointer', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 300 })
+    await a.create({ otp: { contact: 'n@test.local', otp: '383838', createdAt: new Date() } })
+    await a.create({ otp: { contact: 'n@test.local', otp: '393939', createdAt: new Date() }, options: { supersedePrevious: true } })
+
+    const pointer = client.calls.find(c => c.cmd === 'set' && c.key.includes(':latest:'))
+    assert.ok(pointer && pointer.options.EX > 0)
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'n@test.local', otp: '383838' } }), 'not_found')
+    assert.strictEqual(await a.validateWithStatus({ otp: { contact: 'n@test.local', otp: '393939' } }), 'ok')
+  })
+
+  it('purgeExpired() is a no-op because Redis evicts keys natively', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 60 })
+    await a.create({ otp: { contact: 'h@test.local', otp: '1', createdAt: new Date(Date.now() - 90_000) } })
+    assert.strictEqual(await a.purgeExpired(), 0)
+    // The OTP key, its challenge key and the contact's code index
+    assert.strictEqual(client.store.size, 3)
+  })
+
+  it('deleteRecord() removes the key with its challenge key and index entry', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 60 })
+    const createdAt = new Date()
+    const res = await a.create({ otp: { contact: 'k@test.local', otp: '343434', createdAt } })
+    assert.strictEqual(res.expiresAt.getTime(), createdAt.getTime() + 60_000)
+
+    assert.strictEqual(await a.deleteRecord({ id: res.insertedId }), true)
+    assert.strictEqual(await a.deleteRecord({ id: res.insertedId }), false)
+    // Only the emptied code index is left
+    assert.deepStrictEqual([...client.store.keys()].filter(k => !k.includes(':codes:')), [])
+    assert.strictEqual(await a.validateWithStatus({ otp: { challengeId: res.challengeId, otp: '343434' } }), 'not_found')
+  })
+
+  it('countRecords() counts expired keys still inside the grace window', async () => {
+    const client = makeRedisMock()
+    const a = new RedisAdapter({ client, ttlSeconds: 60, expiredGraceSeconds: 60 })
+    await a.create({ otp: { contact: 'i@test.local', otp: '1', createdAt: new Date(Date.now() - 90_000) } })
+    await a.create({ otp: { contact: 'j@test.local', otp: '2', createdAt: new Date() }, options: { perRecordSalt: true, supersedePrevious: true } })
+    assert.deepStrictEqual(await a.countRecords(), { active: 1, expired: 1 })
+  })
+
+  it('close() leaves an application-owned client alone', async () => {
+    const a = new RedisAdapter({ client: makeRedisMock() })
+    await a.connect()
+    await a.close()
+  })
+
+  it('reports a clear error when the redis package is missing', async function () {
+    let installed = true
+    try { require.resolve('redis') } catch { installed = false }
+    if (installed) return this.skip()
+    const a = new RedisAdapter()
+    await assert.rejects(() => a.connect(), /The redis package is not installed/)
+  })
+
+  it('works end to end when injected into OneHitter', async () => {
+    const one = new OneHitter({ adapter: new RedisAdapter({ client: makeRedisMock() }) })
+    const otp = one.make()
+    await one.create({ contact: 'g@test.local', otp, createdAt: new Date() })
+    assert.strictEqual(await one.validate({ contact: 'g@test.local', otp }), true)
+  })
+
+  it('validateConfig() warns that a configured miss limit is ignored', () => {
+    const prev = process.env.OTP_MAX_ATTEMPTS
+    delete process.env.OTP_MAX_ATTEMPTS
+    try {
+      const a = new RedisAdapter({ client: makeRedisMock() })
+      assert.deepStrictEqual(a.validateConfig(), [])
+      assert.deepStrictEqual(a.validateConfig({ maxAttempts: 0 }), [])
+      assert.deepStrictEqual(a.validateConfig({ maxAttempts: 3 }).map(p => [p.field, p.severity]), [['maxAttempts', 'warning']])
+      process.env.OTP_MAX_ATTEMPTS = '5'
+      assert.deepStrictEqual(a.validateConfig().map(p => p.field), ['OTP_MAX_ATTEMPTS'])
+      const one = new OneHitter({ adapter: a, maxAttempts: 2 })
+      assert.ok(one.validateConfig().some(p => p.field === 'maxAttempts' && /does not count wrong guesses/.test(p.message)))
+    } finally {
+      if (prev == null) delete process.env.OTP_MAX_ATTEMPTS; else process.env.OTP_MAX_ATTEMPTS = prev
+    }
+  })
+
+  it('is selected by OTP_DB_DRIVER=redis', () => {
+    const prev = process.env.OTP_DB_DRIVER
+    process.env.OTP_DB_DRIVER = 'redis'
+    try {
+      assert.ok(getAdapter() instanceof RedisAdapter)
+    } finally {
+      if (prev == null) delete process.env.OTP_DB_DRIVER; else process.env.OTP_DB_DRIVER = prev
+    }
+  })
+})
@@ -0,0 +1,74 @@
+const assert = require('assert')
+const proxyquireBase = require('proxyquire')
+const pq = proxyquireBase.noCallThru().noPreserveCache()
+
+// Use built artifacts so nyc maps coverage to dist/cjs/**
+const { MemoryAdapter } = require('../dist/cjs/db/memory-adapter.js')
+const { InMemorySendLimiter, NoopSendLimiter } = require('../dist/cjs/rate-limiter.js')
+
+const ENV_KEYS = ['OTP_URL', 'OTP_EXPIRY']
+const savedEnv = {}
+for (const k of ENV_KEYS) savedEnv[k] = process.env[k]
+
+function restoreEnv() {
+  for (const k of ENV_KEYS) {
+    if (savedEnv[k] == null) delete process.env[k]; else process.env[k] = savedEnv[k]
+  }
+}
+
+// Loads OneHitter with a stubbed sender, which receives send()'s arguments
+function loadOneHitter(sendEmail = function noopSend() { /* no-op in unit tests */ }) {
+  process.env.OTP_URL = 'https://example.com'
+  process.env.OTP_EXPIRY = '1800'
+  return pq('../dist/cjs/onehitter.js', {
+    './sender': sendEmail,
+  }).default
+}
+
+describe('OneHitter send limiting', function () {
+  this.timeout(10000)
+  afterEach(restoreEnv)
+
+  it('send() does not throttle repeat sends by default', async () => {
+    const sent = []
+    const OneHitter = loadOneHitter(async (to) => { sent.push(to) })
+    const one = new OneHitter()
+    assert.deepStrictEqual(await one.send('twice@test.local', '1'), { status: 'sent' })
+    assert.deepStrictEqual(await one.send('twice@test.local', '2'), { status: 'sent' })
+    assert.deepStrictEqual(sent, ['twice@test.local', 'twice@test.local'])
+  })
+
+  it('send() and issue() are throttled by the send limiter', async () => {
+    const sent = []
+    const OneHitter = loadOneHitter(async (to) => { sent.push(to) })
+    const adapter = new MemoryAdapter()
+    const one = new OneHitter({ adapter, sendLimiter: new InMemorySendLimiter() })
+    assert.deepStrictEqual(await one.send('t@test.local', '1'), { status: 'sent' })
+    const again = await one.send('t@test.local', '2')
+    assert.strictEqual(again.status, 'throttled')
+    assert.ok(again.retryAfterMs > 0 && again.retryAfterMs <= 60_000)
+
+    const issued = await one.issue('t@test.local', { ip: '10.0.0.1' })
+    assert.deepStrictEqual(Object.keys(issued), ['status', 'retryAfterMs'])
+    assert.strictEqual(adapter.size, 0)
+    assert.deepStrictEqual(sent, ['t@test.local'])
+  })
+
+  it('issue() passes the ip to an injected send limiter without storing it', async () => {
+    const calls = []
+    const OneHitter = loadOneHitter()
+    const adapter = new MemoryAdapter()
+    const sendLimiter = { beforeSend: (contact, context) => { calls.push({ contact, context }); return { allowed: true } } }
+    const one = new OneHitter({ adapter, sendLimiter })
+    assert.strictEqual((await one.issue('ip@test.local', { ip: '10.0.0.1' })).status, 'issued')
+    assert.strictEqual((await one.issue('ip@test.local')).status, 'issued')
+    assert.deepStrictEqual(calls, [
+      { contact: 'ip@test.local', context: { ip: '10.0.0.1' } },
+      { contact: 'ip@test.local', context: { ip: undefined } },
+    ])
+    assert.ok(!JSON.stringify([...adapter.records.values()]).includes('10.0.0.1'))
+
+    const open = new OneHitter({ sendLimiter: new NoopSendLimiter() })
+    for (let i = 0; i < 3; i++) assert.deepStrictEqual(await open.send('x@test.local', '1'), { status: 'sent' })
+  })
+})
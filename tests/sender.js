@@ -99,6 +99,16 @@ const send = require('../dist/cjs/sender.js').default
     assert.strictEqual(msg.text, 'Custom ABC')
   })
 
+  it('exposes the purpose to templates', async () => {
+const send = require('../dist/cjs/sender.js').default
+    await send('user@example.com', 'PUR', 'https://site', 60, {
+      subject: ({ purpose }) => (purpose === 'password_reset' ? 'Reset your password' : 'Sign in'),
+    }, { purpose: 'password_reset' })
+    assert.strictEqual(sent.pop().msg.subject, 'Reset your password')
+    await send('user@example.com', 'PUR', 'https://site', 60, { subject: (ctx) => String('purpose' in ctx) })
+    assert.strictEqual(sent.pop().msg.subject, 'false')
+  })
+
   it('message config supports template merger', async () => {
 const send = require('../dist/cjs/sender.js').default
     await send('user@example.com', 'TPL', 'https://site', 60, {
@@ -155,6 +165,41 @@ const send = require('../dist/cjs/sender.js').default
     assert.strictEqual(typeof entry.msg.subject, 'string')
   })
 
+  it('builds an SMTP transporter from OTP_SMTP_* when OTP_SMTP_HOST is set', async () => {
+    const keys = ['OTP_SMTP_HOST', 'OTP_SMTP_PORT', 'OTP_SMTP_USER', 'OTP_SMTP_PASS', 'OTP_SMTP_SECURE', 'OTP_EMAIL_TRANSPORT']
+    const saved = keys.map(k => process.env[k])
+    try {
+      process.env.OTP_SMTP_HOST = 'localhost'
+      process.env.OTP_SMTP_PORT = '1025'
+const send = require('../dist/cjs/sender.js').default
+      await send('user@example.com', 'SMTP', 'https://u', 60)
+      assert.deepStrictEqual(sent.pop().opts, { host: 'localhost', port: 1025, secure: false })
+
+      process.env.OTP_SMTP_USER = 'mailer'
+      process.env.OTP_SMTP_PASS = 's3cret'
+      process.env.OTP_SMTP_SECURE = 'true'
+      delete process.env.OTP_SMTP_PORT
+      await send('user@example.com', 'SMTP', 'https://u', 60)
+      assert.deepStrictEqual(sent.pop().opts, { host: 'localhost', port: 465, secure: true, auth: { user: 'mailer', pass: 's3cret' } })
+
+      // Explicit options win over env; OTP_EMAIL_TRANSPORT=ses keeps SES despite OTP_SMTP_HOST
+      await send('user@example.com', 'SMTP', 'https://u', 60, undefined, { transport: 'smtp', smtp: { host: 'mail.internal', port: 2525, user: 'app', pass: 'pw', secure: false } })
+      assert.deepStrictEqual(sent.pop().opts, { host: 'mail.internal', port: 2525, secure: false, auth: { user: 'app', pass: 'pw' } })
+      process.env.OTP_EMAIL_TRANSPORT = 'ses'
+      await send('user@example.com', 'SES', 'https://u', 60)
+      assert.ok(sent.pop().opts.SES)
+    } finally {
+      keys.forEach((k, i) => { if (saved[i] == null) delete process.env[k]; else process.env[k] = saved[i] })
+    }
+  })
+
+  it('rejects an unknown transport and SMTP without a host', async () => {
+const send = require('../dist/cjs/sender.js').default
+    await assert.rejects(() => send('user@example.com', 'X', 'https://u', 60, undefined, { transport: 'pigeon' }), /Unknown email transport "pigeon"/)
+    await assert.rejects(() => send('user@example.com', 'X', 'https://u', 60, undefined, { transport: 'smtp' }), /Missing SMTP host/)
+    assert.strictEqual(sent.length, 0)
+  })
+
   it('constructs SES client with region from SES_REGION', async () => {
     process.env.OTP_SES_REGION = 'eu-west-1'
     clearSenderModule()
@@ -17,6 +17,11 @@ describe('currentDriver (shared.js line 6)', () => {
     assert.strictEqual(currentDriver(), 'sqlite')
   })
 
+  it('returns "memory" when OTP_DB_DRIVER=memory', () => {
+    process.env.OTP_DB_DRIVER = 'memory'
+    assert.strictEqual(currentDriver(), 'memory')
+  })
+
   it('returns "mongodb" by default and when OTP_DB_DRIVER is anything else', () => {
     delete process.env.OTP_DB_DRIVER
     assert.strictEqual(currentDriver(), 'mongodb')
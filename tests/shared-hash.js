@@ -2,7 +2,7 @@ const assert = require('assert')
 const crypto = require('crypto')
 
 // Load from built JS so nyc maps coverage to dist/cjs/**
-const { computeOtpHash } = require('../dist/cjs/db/shared.js')
+const { computeOtpHash, matchesOtpHash, maxAttemptsOf, perRecordSaltEnabled, pepperKeyring, pepperCandidates, activePepperKey, encodeMetadata, decodeMetadata } = require('../dist/cjs/db/shared.js')
 
 describe('computeOtpHash (env pepper and optional salt)', () => {
   const prevPepper = process.env.OTP_PEPPER
@@ -79,4 +79,105 @@ describe('computeOtpHash (env pepper and optional salt)', () => {
       if (savedEnv.ALLOW == null) delete process.env.ONEHITTER_ALLOW_INSECURE_HASH; else process.env.ONEHITTER_ALLOW_INSECURE_HASH = savedEnv.ALLOW
     }
   })
+
+  it('matchesOtpHash re-hashes with the stored salt', () => {
+    const otpHash = computeOtpHash('m@example.com', '101010', { salt: 'abc' })
+    assert.strictEqual(matchesOtpHash('m@example.com', '101010', { otpHash, salt: 'abc' }), true)
+    assert.strictEqual(matchesOtpHash('m@example.com', '101010', { otpHash, salt: null }), false)
+    assert.strictEqual(matchesOtpHash('m@example.com', '999999', { otpHash, salt: 'abc' }), false)
+    assert.strictEqual(matchesOtpHash('m@example.com', '101010', { otpHash: computeOtpHash('m@example.com', '101010') }), true)
+  })
+
+  it('binds an optional purpose into the hash without changing purpose-less hashes', () => {
+    const plain = crypto.createHmac('sha256', 'test-pepper').update('p@example.com|123456', 'utf8').digest('hex')
+    assert.strictEqual(computeOtpHash('p@example.com', '123456'), plain)
+    const otpHash = computeOtpHash('p@example.com', '123456', { purpose: 'password_reset' })
+    assert.notStrictEqual(otpHash, plain)
+    assert.strictEqual(matchesOtpHash('p@example.com', '123456', { otpHash }, undefined, 'password_reset'), true)
+    assert.strictEqual(matchesOtpHash('p@example.com', '123456', { otpHash }, undefined, 'login'), false)
+    assert.strictEqual(matchesOtpHash('p@example.com', '123456', { otpHash }), false)
+  })
+
+  it('perRecordSaltEnabled prefers the option over OTP_PER_RECORD_SALT', () => {
+    const prev = process.env.OTP_PER_RECORD_SALT
+    try {
+      delete process.env.OTP_PER_RECORD_SALT
+      assert.strictEqual(perRecordSaltEnabled(), false)
+      process.env.OTP_PER_RECORD_SALT = 'true'
+      assert.strictEqual(perRecordSaltEnabled(), true)
+      assert.strictEqual(perRecordSaltEnabled({ perRecordSalt: false }), false)
+    } finally {
+      if (prev == null) delete process.env.OTP_PER_RECORD_SALT; else process.env.OTP_PER_RECORD_SALT = prev
+    }
+  })
+
+  it('maxAttemptsOf prefers the option, then OTP_MAX_ATTEMPTS, then 5', () => {
+    const prev = process.env.OTP_MAX_ATTEMPTS
+    try {
+      delete process.env.OTP_MAX_ATTEMPTS
+      assert.strictEqual(maxAttemptsOf(), 5)
+      process.env.OTP_MAX_ATTEMPTS = '3'
+      assert.strictEqual(maxAttemptsOf(), 3)
+      assert.strictEqual(maxAttemptsOf({ maxAttempts: 7 }), 7)
+      process.env.OTP_MAX_ATTEMPTS = '0'
+      assert.strictEqual(maxAttemptsOf(), 0)
+      process.env.OTP_MAX_ATTEMPTS = 'nope'
+      assert.strictEqual(maxAttemptsOf(), 0)
+    } finally {
+      if (prev == null) delete process.env.OTP_MAX_ATTEMPTS; else process.env.OTP_MAX_ATTEMPTS = prev
+    }
+  })
+
+  it('encodeMetadata stores plain JSON or seals it with the pepper, bound to the hash', () => {
+    const pepper = { secret: 'test-pepper' }
+    const metadata = { userId: 'u-1', redirect: '/welcome' }
+    const plain = encodeMetadata(metadata, { encrypt: false, pepper, otpHash: 'h1' })
+    assert.strictEqual(plain, JSON.stringify(metadata))
+    assert.deepStrictEqual(decodeMetadata(plain, undefined, 'h1'), metadata)
+
+    const sealed = encodeMetadata(metadata, { encrypt: true, pepper, otpHash: 'h1' })
+    assert.match(sealed, /^enc:v1:/)
+    assert.ok(!sealed.includes('u-1'))
+    assert.deepStrictEqual(decodeMetadata(sealed, pepper, 'h1'), metadata)
+    assert.throws(() => decodeMetadata(sealed, pepper, 'h2'))
+    assert.throws(() => decodeMetadata(sealed, { secret: 'other-pepper' }, 'h1'))
+    assert.strictEqual(decodeMetadata(null, pepper, 'h1'), undefined)
+  })
+
+  it('encodeMetadata rejects non-objects, oversized metadata and encryption without a pepper', () => {
+    const pepper = { secret: 'test-pepper' }
+    assert.throws(() => encodeMetadata(['a'], { encrypt: false, pepper, otpHash: 'h' }), /plain JSON object/)
+    assert.throws(() => encodeMetadata({ blob: 'x'.repeat(5000) }, { encrypt: false, pepper, otpHash: 'h' }), /at most 4096 bytes/)
+    assert.throws(() => encodeMetadata({ a: 1 }, { encrypt: true, pepper: { secret: '' }, otpHash: 'h' }), /requires a pepper/)
+  })
+
+  describe('OTP_PEPPERS keyring', () => {
+    const prevPeppers = process.env.OTP_PEPPERS
+    afterEach(() => {
+      if (prevPeppers == null) delete process.env.OTP_PEPPERS; else process.env.OTP_PEPPERS = prevPeppers
+    })
+
+    it('parses "keyId:secret" entries with the first one active', () => {
+      process.env.OTP_PEPPERS = ' k2:secret2 , k1:sec:ret1 '
+      assert.deepStrictEqual(pepperKeyring(), [{ id: 'k2', secret: 'secret2' }, { id: 'k1', secret: 'sec:ret1' }])
+      assert.deepStrictEqual(activePepperKey(), { id: 'k2', secret: 'secret2' })
+
+      const expected = crypto.createHmac('sha256', 'secret2').update('a@example.com|1', 'utf8').digest('hex')
+      assert.strictEqual(computeOtpHash('a@example.com', '1'), expected)
+    })
+
+    it('keeps the legacy OTP_PEPPER as the last candidate unless it is already in the ring', () => {
+      process.env.OTP_PEPPERS = 'k1:other'
+      assert.deepStrictEqual(pepperCandidates().map(k => k.id), ['k1', undefined])
+      process.env.OTP_PEPPERS = `k1:${process.env.OTP_PEPPER}`
+      assert.deepStrictEqual(pepperCandidates().map(k => k.id), ['k1'])
+    })
+
+    it('rejects malformed entries and duplicate key ids', () => {
+      process.env.OTP_PEPPERS = 'nosecret'
+      assert.throws(() => pepperKeyring(), /Invalid OTP_PEPPERS/)
+      process.env.OTP_PEPPERS = 'k1:a,k1:b'
+      assert.throws(() => pepperKeyring(), /duplicate key id "k1"/)
+    })
+  })
 })
@@ -52,4 +52,51 @@ describe('SqliteAdapter (unit)', () => {
     assert.strictEqual(calls.otpValidateWithStatus.length, 1)
     assert.deepStrictEqual(calls.otpValidateWithStatus[0], otp)
   })
+
+  it('purgeExpired() forwards to otpPurgeExpired and returns the count', async () => {
+    const { SqliteAdapter } = proxyquire(MODULE_PATH, {
+      './sqlite-functions': { otpPurgeExpired: async () => 3 },
+    })
+    assert.strictEqual(await new SqliteAdapter().purgeExpired(), 3)
+  })
+
+  it('runs a background sweeper that close() stops', async () => {
+    let purges = 0
+    const { SqliteAdapter } = proxyquire(MODULE_PATH, {
+      './sqlite-functions': { otpPurgeExpired: async () => { purges++; return 0 } },
+    })
+    const a = new SqliteAdapter({ sweepIntervalSeconds: 0.01 })
+    await new Promise(r => setTimeout(r, 50))
+    await a.close()
+    const seen = purges
+    assert.ok(seen > 0)
+    await new Promise(r => setTimeout(r, 30))
+    assert.strictEqual(purges, seen)
+  })
+
+  it('reports sweep errors through onSweepError and keeps sweeping', async () => {
+    const errors = []
+    const { SqliteAdapter } = proxyquire(MODULE_PATH, {
+      './sqlite-functions': { otpPurgeExpired: async () => { throw new Error('disk I/O error') } },
+    })
+    const a = new SqliteAdapter({ sweepIntervalSeconds: 0.01, onSweepError: (err) => errors.push(err) })
+    await new Promise(r => setTimeout(r, 50))
+    a.stopSweeper()
+    assert.ok(errors.length > 1)
+    assert.match(errors[0].message, /disk I\/O error/)
+  })
+
+  it('starts the sweeper from OTP_SQLITE_SWEEP_SECONDS', () => {
+    const prev = process.env.OTP_SQLITE_SWEEP_SECONDS
+    process.env.OTP_SQLITE_SWEEP_SECONDS = '60'
+    try {
+      const { SqliteAdapter } = proxyquire(MODULE_PATH, { './sqlite-functions': {} })
+      const a = new SqliteAdapter()
+      assert.ok(a.sweeper)
+      a.stopSweeper()
+      assert.strictEqual(new SqliteAdapter({ sweepIntervalSeconds: 0 }).sweeper, null)
+    } finally {
+      if (prev == null) delete process.env.OTP_SQLITE_SWEEP_SECONDS; else process.env.OTP_SQLITE_SWEEP_SECONDS = prev
+    }
+  })
 })
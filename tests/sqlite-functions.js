@@ -4,16 +4,22 @@ const proxyquire = require('proxyquire')
 // Build-time product path; nyc collects coverage from dist/cjs/**
 const MODULE_PATH = '../dist/cjs/db/sqlite-functions.js'
 
+// Mirrors expiredClause(): params are [now] or [now, legacyCutoff]
+function isExpiredRow(r, [now, cutoff]) {
+  return r.expiresAt != null ? r.expiresAt < now : cutoff != null && r.createdAt < cutoff
+}
+
 function makeFakeSqlite() {
   let idSeq = 0
   const state = {
-    rows: [], // { id, contact, otpHash, createdAt }
+    rows: [], // { id, contactId, otpHash, salt, pepperKeyId, createdAt, expiresAt, metadata, challengeId, challengeHash, usedAt }
     createdIndexes: [],
     serialized: false,
+    opened: [], // paths passed to new Database()
   }
 
   class Database {
-    constructor(_path) {}
+    constructor(path) { state.opened.push(path) }
     serialize(fn) {
       state.serialized = true
       fn && fn()
@@ -27,13 +33,53 @@ function makeFakeSqlite() {
         cb && cb.call({})
         return
       }
+      if (sqlUp.startsWith('ALTER TABLE OTP')) {
+        // Fresh fake table already has every column, like a new database file
+        cb && cb.call({}, new Error('duplicate column name: salt'))
+        return
+      }
       if (sqlUp.startsWith('INSERT INTO OTP')) {
-        const [contactId, otpHash, createdAt] = params
+        const [contactId, otpHash, salt, pepperKeyId, createdAt, purpose, expiresAt, metadata, challengeId, challengeHash] = params
         const id = ++idSeq
-        state.rows.push({ id, contactId, otpHash, createdAt })
+        state.rows.push({ id, contactId, otpHash, salt, pepperKeyId, purpose, attempts: 0, createdAt, expiresAt, metadata, challengeId, challengeHash })
         cb && cb.call({ lastID: id }, null)
         return
       }
+      if (sqlUp.startsWith('UPDATE OTP SET USEDAT = ?, EXPIRESAT = ? WHERE ID = ? AND USEDAT IS NULL')) {
+        const [usedAt, expiresAt, id] = params
+        const row = state.rows.find(r => r.id === id && r.usedAt == null)
+        if (row) Object.assign(row, { usedAt, expiresAt })
+        cb && cb.call({ changes: row ? 1 : 0 }, null)
+        return
+      }
+      if (sqlUp.startsWith('UPDATE OTP SET ATTEMPTS = ATTEMPTS + 1')) {
+        state.rows.filter(r => params.includes(r.id)).forEach(r => { r.attempts++ })
+        cb && cb.call({}, null)
+        return
+      }
+      if (sqlUp.startsWith('DELETE FROM OTP WHERE CONTACTID IN')) {
+        const contactIds = params.slice(0, -1)
+        const belowId = params[params.length - 1]
+        const before = state.rows.length
+        state.rows = state.rows.filter(r => !(contactIds.includes(r.contactId) && r.id < belowId))
+        cb && cb.call({ changes: before - state.rows.length }, null)
+        return
+      }
+      if (sqlUp.startsWith('DELETE FROM OTP WHERE EXPIRESAT <') || sqlUp.startsWith('DELETE FROM OTP WHERE (EXPIRESAT <')) {
+        state.lastPurge = { sql, params }
+        const before = state.rows.length
+        state.rows = state.rows.filter(r => !isExpiredRow(r, params))
+        cb && cb.call({ changes: before - state.rows.length }, null)
+        return
+      }
+      if (sqlUp.startsWith('DELETE FROM OTP WHERE ID IN')) {
+        const ids = params.slice(0, -1)
+        const max = params[params.length - 1]
+        const before = state.rows.length
+        state.rows = state.rows.filter(r => !(ids.includes(r.id) && r.attempts >= max))
+        cb && cb.call({ changes: before - state.rows.length }, null)
+        return
+      }
       if (sqlUp.startsWith('DELETE FROM OTP')) {
         const [id] = params
         const before = state.rows.length
@@ -44,14 +90,32 @@ function makeFakeSqlite() {
       }
       throw new Error('Unhandled SQL in fake DB: ' + sql)
     }
-    get(sql, params, cb) {
+    all(sql, params, cb) {
       const sqlUp = String(sql).toUpperCase()
-      if (sqlUp.startsWith('SELECT ID, CREATEDAT FROM OTP')) {
-        const [contactId, otpHash] = params
+      if (sqlUp.startsWith('SELECT ID, CONTACTID, OTPHASH, SALT, PEPPERKEYID, CHALLENGEHASH, CREATEDAT, EXPIRESAT, USEDAT, METADATA FROM OTP')) {
+        // WHERE [contactId IN (...)] [AND challengeId = ?]; the challengeId param comes last
+        const byContact = sqlUp.includes('CONTACTID IN')
+        const challengeId = sqlUp.includes('CHALLENGEID = ?') ? params[params.length - 1] : undefined
         const found = state.rows
-          .filter(r => r.contactId === contactId && r.otpHash === otpHash)
-          .sort((a, b) => b.id - a.id)[0]
-        cb && cb(null, found ? { id: found.id, createdAt: found.createdAt } : undefined)
+          .filter(r => !byContact || params.includes(r.contactId))
+          .filter(r => challengeId === undefined || r.challengeId === challengeId)
+          .sort((a, b) => b.id - a.id)
+          .map(r => ({ ...r }))
+        cb && cb(null, found)
+        return
+      }
+      throw new Error('Unhandled SELECT in fake DB: ' + sql)
+    }
+    get(sql, params, cb) {
+      const sqlUp = String(sql).toUpperCase()
+      if (sqlUp.startsWith('SELECT COUNT(*) AS N, SUM(CASE WHEN')) {
+        const expired = state.rows.filter(r => isExpiredRow(r, params))
+        cb && cb(null, { n: state.rows.length, expired: expired.length, used: state.rows.filter(r => r.usedAt != null && !expired.includes(r)).length })
+        return
+      }
+      if (sqlUp.startsWith('SELECT COUNT(*) AS N FROM OTP')) {
+        state.lastCount = { sql, params }
+        cb && cb(null, { n: state.rows.length })
         return
       }
       throw new Error('Unhandled SELECT in fake DB: ' + sql)
@@ -85,6 +149,48 @@ describe('sqlite-functions (unit, stubbed sqlite3)', () => {
     assert.strictEqual(status, 'ok')
   })
 
+  it('otpValidateDetailed returns the metadata stored with the row', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpValidateDetailed } = proxyquire(MODULE_PATH, { sqlite3 })
+
+    const createdAt = new Date('2020-01-01T00:00:00Z')
+    await otpCreate({ contact: 'm@d.com', otp: '131313', createdAt, metadata: { redirect: '/next' } })
+    assert.strictEqual(state.rows[0].metadata, '{"redirect":"/next"}')
+
+    const res = await otpValidateDetailed({ contact: 'm@d.com', otp: '131313' }, new Date('2020-01-01T00:05:00Z'), 1800)
+    assert.deepStrictEqual(res, { status: 'ok', metadata: { redirect: '/next' }, expiresAt: new Date('2020-01-01T00:30:00Z') })
+  })
+
+  it('otpDelete removes the row create returned and reports whether it existed', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpDelete } = proxyquire(MODULE_PATH, { sqlite3 })
+
+    const createdAt = new Date('2020-01-01T00:00:00Z')
+    const keep = await otpCreate({ contact: 'del@d.com', otp: '161616', createdAt, expiresInSeconds: 600 })
+    const res = await otpCreate({ contact: 'del@d.com', otp: '171717', createdAt })
+    assert.deepStrictEqual(keep.expiresAt, new Date('2020-01-01T00:10:00Z'))
+    assert.strictEqual(await otpDelete(res.insertedId), true)
+    assert.strictEqual(await otpDelete(res.insertedId), false)
+    assert.deepStrictEqual(state.rows.map(r => r.id), [keep.insertedId])
+  })
+
+  it('otpValidateWithStatus checks only the challenge row when given a challengeId', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
+
+    const createdAt = new Date('2020-01-01T00:00:00Z')
+    const now = new Date('2020-01-01T00:05:00Z')
+    const first = await otpCreate({ contact: 'ch@d.com', otp: '141414', createdAt })
+    const second = await otpCreate({ contact: 'ch@d.com', otp: '151515', createdAt })
+    assert.strictEqual(state.rows[0].challengeId, first.challengeId)
+    assert.match(state.rows[0].challengeHash, /^[0-9a-f]{64}$/)
+
+    assert.strictEqual(await otpValidateWithStatus({ challengeId: first.challengeId, otp: '151515' }, now, 1800), 'mismatch')
+    assert.strictEqual(await otpValidateWithStatus({ challengeId: first.challengeId, otp: '141414', contact: 'x@d.com' }, now, 1800), 'not_found')
+    assert.strictEqual(await otpValidateWithStatus({ challengeId: first.challengeId, otp: '141414' }, now, 1800), 'ok')
+    assert.strictEqual(await otpValidateWithStatus({ challengeId: second.challengeId, otp: '151515', contact: 'ch@d.com' }, now, 1800), 'ok')
+  })
+
   it('otpValidateWithStatus returns expired when older than TTL', async () => {
     const { sqlite3 } = makeFakeSqlite()
     const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
@@ -96,8 +202,8 @@ describe('sqlite-functions (unit, stubbed sqlite3)', () => {
     assert.strictEqual(status, 'expired')
   })
 
-  it('otpValidateWithStatus returns not_found when wrong code or already consumed', async () => {
-    const { sqlite3 } = makeFakeSqlite()
+  it('otpValidateWithStatus returns mismatch for a wrong code and used once consumed', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
     const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
 
     const createdAt = new Date('2020-01-01T00:00:00Z')
@@ -105,19 +211,229 @@ describe('sqlite-functions (unit, stubbed sqlite3)', () => {
 
     // wrong code
     const s1 = await otpValidateWithStatus({ contact: 'x@y.com', otp: '000000' }, new Date('2020-01-01T00:00:10Z'), 1800)
-    assert.strictEqual(s1, 'not_found')
+    assert.strictEqual(s1, 'mismatch')
 
     // correct code once
     const s2 = await otpValidateWithStatus({ contact: 'x@y.com', otp: '999999' }, new Date('2020-01-01T00:00:10Z'), 1800)
     assert.strictEqual(s2, 'ok')
 
-    // second attempt should be not_found
+    // a replay hits the tombstone, which ends within usedTombstoneSeconds
     const s3 = await otpValidateWithStatus({ contact: 'x@y.com', otp: '999999' }, new Date('2020-01-01T00:00:20Z'), 1800)
-    assert.strictEqual(s3, 'not_found')
+    assert.strictEqual(s3, 'used')
+    assert.strictEqual(state.rows[0].usedAt, Date.parse('2020-01-01T00:00:10Z'))
+    assert.strictEqual(state.rows[0].expiresAt, Date.parse('2020-01-01T00:05:10Z'))
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'x@y.com', otp: '000000' }, new Date('2020-01-01T00:00:30Z'), 1800), 'not_found')
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'x@y.com', otp: '999999' }, new Date('2020-01-01T00:06:00Z'), 1800), 'not_found')
+  })
+
+  it('otpValidateWithStatus deletes consumed rows when usedTombstoneSeconds is 0', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
+    const now = new Date('2020-01-01T00:00:10Z')
+    const options = { usedTombstoneSeconds: 0 }
+    await otpCreate({ contact: 'z@y.com', otp: '989898', createdAt: new Date('2020-01-01T00:00:00Z') })
+
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'z@y.com', otp: '989898' }, now, 1800, options), 'ok')
+    assert.strictEqual(state.rows.length, 0)
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'z@y.com', otp: '989898' }, now, 1800, options), 'not_found')
+  })
+
+  it('otpCreate stores a per-record salt when enabled and validates with it', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
+
+    const createdAt = new Date('2020-01-01T00:00:00Z')
+    await otpCreate({ contact: 's@t.com', otp: '424242', createdAt }, { perRecordSalt: true })
+    await otpCreate({ contact: 's@t.com', otp: '424242', createdAt }, { perRecordSalt: true })
+
+    const [a, b] = state.rows
+    assert.match(a.salt, /^[0-9a-f]{32}$/)
+    assert.notStrictEqual(a.salt, b.salt)
+    assert.notStrictEqual(a.otpHash, b.otpHash)
+
+    const status = await otpValidateWithStatus({ contact: 's@t.com', otp: '424242' }, new Date('2020-01-01T00:00:10Z'), 1800)
+    assert.strictEqual(status, 'ok')
+    // newest record consumed first
+    assert.deepStrictEqual(state.rows.filter(r => r.usedAt == null).map(r => r.id), [a.id])
+  })
+
+  it('otpCreate stores the purpose and validation only matches the same purpose', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
+    const now = new Date('2020-01-01T00:00:10Z')
+    await otpCreate({ contact: 'p@q.com', otp: '636363', createdAt: new Date('2020-01-01T00:00:00Z'), purpose: 'login' })
+
+    assert.strictEqual(state.rows[0].purpose, 'login')
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'p@q.com', otp: '636363' }, now, 1800, { maxAttempts: 0 }), 'mismatch')
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'p@q.com', otp: '636363', purpose: 'login' }, now, 1800), 'ok')
+  })
+
+  it('otpCreate leaves salt NULL by default', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate } = proxyquire(MODULE_PATH, { sqlite3 })
+    await otpCreate({ contact: 'u@v.com', otp: '1', createdAt: new Date() })
+    assert.strictEqual(state.rows[0].salt, null)
+  })
+
+  it('otpCreate with supersedePrevious removes older codes for the same contact only', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
+    const createdAt = new Date('2020-01-01T00:00:00Z')
+    const now = new Date('2020-01-01T00:00:10Z')
+
+    await otpCreate({ contact: 'o@p.com', otp: '505050', createdAt })
+    await otpCreate({ contact: 'other@p.com', otp: '515151', createdAt })
+    const res = await otpCreate({ contact: 'o@p.com', otp: '525252', createdAt }, { supersedePrevious: true })
+
+    assert.deepStrictEqual(state.rows.map(r => r.id), [2, res.insertedId])
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'o@p.com', otp: '505050' }, now, 1800, { maxAttempts: 0 }), 'mismatch')
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'o@p.com', otp: '525252' }, now, 1800), 'ok')
+  })
+
+  it('otpValidateWithStatus burns the codes after maxAttempts misses', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
+    const now = new Date('2020-01-01T00:00:10Z')
+    const options = { maxAttempts: 3 }
+
+    await otpCreate({ contact: 'g@h.com', otp: '303030', createdAt: new Date('2020-01-01T00:00:00Z') })
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'g@h.com', otp: '000000' }, now, 1800, options), 'mismatch')
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'g@h.com', otp: '000001' }, now, 1800, options), 'mismatch')
+    assert.strictEqual(state.rows[0].attempts, 2)
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'g@h.com', otp: '000002' }, now, 1800, options), 'too_many_attempts')
+    assert.strictEqual(state.rows.length, 0)
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'g@h.com', otp: '303030' }, now, 1800, options), 'not_found')
+  })
+
+  it('otpValidateWithStatus does not count misses when maxAttempts is 0', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
+    await otpCreate({ contact: 'i@j.com', otp: '404040', createdAt: new Date() })
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'i@j.com', otp: '000000' }, new Date(), 1800, { maxAttempts: 0 }), 'mismatch')
+    assert.strictEqual(state.rows[0].attempts, 0)
+  })
+
+  it('otpCountRetiredPepper filters on the active key id and the expiry window', async () => {
+    const prev = process.env.OTP_PEPPERS
+    process.env.OTP_PEPPERS = 'k2:secret2,k1:secret1'
+    try {
+      const { sqlite3, state } = makeFakeSqlite()
+      const { otpCreate, otpCountRetiredPepper } = proxyquire(MODULE_PATH, { sqlite3 })
+      await otpCreate({ contact: 'k@l.com', otp: '1', createdAt: new Date('2020-01-01T00:00:00Z') })
+      assert.strictEqual(state.rows[0].pepperKeyId, 'k2')
+
+      const now = Date.parse('2020-01-01T00:10:00Z')
+      await otpCountRetiredPepper(new Date(now), 1800)
+      assert.match(state.lastCount.sql, /pepperKeyId <> \?\) AND NOT COALESCE\(\(expiresAt < \? OR \(expiresAt IS NULL AND createdAt < \?\)\), 0\)/)
+      assert.deepStrictEqual(state.lastCount.params, ['k2', now, now - 1800 * 1000])
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPERS; else process.env.OTP_PEPPERS = prev
+    }
+  })
+
+  it('otpPurgeExpired deletes rows past the expiry window and reports the count', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpPurgeExpired } = proxyquire(MODULE_PATH, { sqlite3 })
+    await otpCreate({ contact: 'p@q.com', otp: '1', createdAt: new Date('2020-01-01T00:00:00Z') })
+    await otpCreate({ contact: 'p@q.com', otp: '2', createdAt: new Date('2020-01-01T00:50:00Z') })
+
+    assert.strictEqual(await otpPurgeExpired(new Date('2020-01-01T01:00:00Z'), 1800), 1)
+    assert.deepStrictEqual(state.rows.map(r => r.id), [2])
+  })
+
+  it('otpPurgeExpired keeps legacy rows without an expiry when no TTL is configured', async () => {
+    const prev = process.env.OTP_EXPIRY
+    delete process.env.OTP_EXPIRY
+    try {
+      const { sqlite3, state } = makeFakeSqlite()
+      const { otpCreate, otpPurgeExpired } = proxyquire(MODULE_PATH, { sqlite3 })
+      await otpCreate({ contact: 'p@q.com', otp: '1', createdAt: new Date('2020-01-01T00:00:00Z') })
+      assert.strictEqual(state.rows[0].expiresAt, null)
+      assert.strictEqual(await otpPurgeExpired(new Date(), 0), 0)
+      assert.strictEqual(state.lastPurge.params.length, 1)
+      assert.strictEqual(state.rows.length, 1)
+    } finally {
+      if (prev != null) process.env.OTP_EXPIRY = prev
+    }
+  })
+
+  it('persists a per-code expiry and honors it over the TTL', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate, otpValidateWithStatus, otpPurgeExpired } = proxyquire(MODULE_PATH, { sqlite3 })
+    const createdAt = new Date('2020-01-01T00:00:00Z')
+    await otpCreate({ contact: 'v@w.com', otp: '717171', createdAt, expiresInSeconds: 7 * 86400 })
+    await otpCreate({ contact: 'v@w.com', otp: '727272', createdAt, expiresAt: new Date('2020-01-01T00:01:00Z') })
+    await otpCreate({ contact: 'v@w.com', otp: '737373', createdAt })
+
+    assert.deepStrictEqual(state.rows.map(r => r.expiresAt - createdAt.getTime()), [7 * 86400_000, 60_000, 1800_000])
+    const now = new Date('2020-01-02T00:00:00Z')
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'v@w.com', otp: '727272' }, now, 1800), 'expired')
+    assert.strictEqual(await otpPurgeExpired(now, 1800), 1)
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'v@w.com', otp: '717171' }, now, 1800), 'ok')
+  })
+
+  it('otpCreate rejects an invalid or conflicting per-code expiry', async () => {
+    const { sqlite3, state } = makeFakeSqlite()
+    const { otpCreate } = proxyquire(MODULE_PATH, { sqlite3 })
+    const createdAt = new Date('2020-01-01T00:00:00Z')
+    await assert.rejects(() => otpCreate({ contact: 'v@w.com', otp: '1', createdAt, expiresInSeconds: -1 }), /expiresInSeconds must be a positive number/)
+    await assert.rejects(() => otpCreate({ contact: 'v@w.com', otp: '1', createdAt, expiresAt: createdAt }), /expiresAt must be later than createdAt/)
+    await assert.rejects(
+      () => otpCreate({ contact: 'v@w.com', otp: '1', createdAt, expiresInSeconds: 60, expiresAt: new Date() }),
+      /either expiresAt or expiresInSeconds/,
+    )
+    assert.strictEqual(state.rows.length, 0)
+  })
+
+  it('otpCountRecords splits rows by the expiry window', async () => {
+    const { sqlite3 } = makeFakeSqlite()
+    const { otpCreate, otpCountRecords, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
+    await otpCreate({ contact: 'p@q.com', otp: '1', createdAt: new Date('2020-01-01T00:00:00Z') })
+    await otpCreate({ contact: 'p@q.com', otp: '2', createdAt: new Date('2020-01-01T00:50:00Z') })
+    const now = new Date('2020-01-01T01:00:00Z')
+    assert.deepStrictEqual(await otpCountRecords(now, 1800), { active: 1, expired: 1 })
+
+    // The tombstone of a used code is no longer active
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'p@q.com', otp: '2' }, now, 1800), 'ok')
+    assert.deepStrictEqual(await otpCountRecords(now, 1800), { active: 0, expired: 1 })
+  })
+
+  it('opens one database per path, falling back to SQLITE_PATH at call time', async () => {
+    const prev = process.env.SQLITE_PATH
+    process.env.SQLITE_PATH = 'env.db'
+    try {
+      const { sqlite3, state } = makeFakeSqlite()
+      const { otpCreate, otpCountRecords } = proxyquire(MODULE_PATH, { sqlite3 })
+      await otpCreate({ contact: 'p@q.com', otp: '1', createdAt: new Date() }, undefined, 'tenant-a.db')
+      await otpCountRecords(new Date(), 1800, 'tenant-a.db')
+      await otpCreate({ contact: 'p@q.com', otp: '2', createdAt: new Date() })
+      assert.deepStrictEqual(state.opened, ['tenant-a.db', 'env.db'])
+    } finally {
+      if (prev == null) delete process.env.SQLITE_PATH; else process.env.SQLITE_PATH = prev
+    }
+  })
+
+  it('an explicit TTL wins over OTP_EXPIRY', async () => {
+    const prev = process.env.OTP_EXPIRY
+    process.env.OTP_EXPIRY = '7200'
+    try {
+      const { sqlite3, state } = makeFakeSqlite()
+      const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
+      await otpCreate({ contact: 't@u.com', otp: '333333', createdAt: new Date('2020-01-01T00:00:00Z') }, { expirySeconds: 1800 })
+      const status = await otpValidateWithStatus({ contact: 't@u.com', otp: '333333' }, new Date('2020-01-01T01:00:01Z'))
+      assert.strictEqual(status, 'expired')
+
+      // Rows written before expiresAt was stored go by the TTL given at validation
+      await otpCreate({ contact: 't@u.com', otp: '343434', createdAt: new Date('2020-01-01T00:00:00Z') })
+      state.rows[0].expiresAt = null
+      assert.strictEqual(await otpValidateWithStatus({ contact: 't@u.com', otp: '343434' }, new Date('2020-01-01T01:00:01Z'), 1800), 'expired')
+    } finally {
+      if (prev == null) delete process.env.OTP_EXPIRY; else process.env.OTP_EXPIRY = prev
+    }
   })
 
-  it('otpValidateWithStatus returns not_found when delete changes=0 (simulated race)', async () => {
-    // Customize fake to make DELETE return changes=0
+  it('otpValidateWithStatus reports a lost consume race as used, or not_found without tombstones', async () => {
+    // Customize fake to make DELETE and the tombstone UPDATE return changes=0
     let { sqlite3, state } = makeFakeSqlite()
     const origDb = sqlite3.Database
     sqlite3.Database = function(path) {
@@ -126,7 +442,7 @@ describe('sqlite-functions (unit, stubbed sqlite3)', () => {
       db.run = function(sql, params, cb) {
         if (typeof params === 'function') { cb = params; params = undefined }
         const sqlUp = String(sql).toUpperCase()
-        if (sqlUp.startsWith('DELETE FROM OTP')) {
+        if (sqlUp.startsWith('DELETE FROM OTP') || sqlUp.startsWith('UPDATE OTP SET USEDAT')) {
           cb && cb.call({ changes: 0 }, null)
           return
         }
@@ -137,8 +453,9 @@ describe('sqlite-functions (unit, stubbed sqlite3)', () => {
     const { otpCreate, otpValidateWithStatus } = proxyquire(MODULE_PATH, { sqlite3 })
 
     await otpCreate({ contact: 'r@s.com', otp: '123123', createdAt: new Date('2020-01-01T00:00:00Z') })
-    const s = await otpValidateWithStatus({ contact: 'r@s.com', otp: '123123' }, new Date('2020-01-01T00:00:10Z'), 1800)
-    assert.strictEqual(s, 'not_found')
+    const now = new Date('2020-01-01T00:00:10Z')
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'r@s.com', otp: '123123' }, now, 1800), 'used')
+    assert.strictEqual(await otpValidateWithStatus({ contact: 'r@s.com', otp: '123123' }, now, 1800, { usedTombstoneSeconds: 0 }), 'not_found')
     // Keep state referenced to avoid linter removing it as unused
     assert.ok(state)
   })
@@ -50,4 +50,68 @@ d('OneHitter (SQLite driver)', () => {
     const ok = await one.validate({ contact, otp: bad })
     assert.strictEqual(ok, false)
   })
+
+  it('validates codes stored with per-record salts', async () => {
+    const one = new OneHitter({ perRecordSalt: true })
+    const otp = one.make()
+    const contact = 'sqlite-salted@test.local'
+
+    await one.create({ contact, otp, createdAt: new Date() })
+    await one.create({ contact, otp: one.make(), createdAt: new Date() })
+
+    assert.strictEqual(await one.validate({ contact, otp }), true)
+    assert.strictEqual(await one.validate({ contact, otp }), false)
+  })
+
+  it('validates across a pepper rotation and counts records on retired keys', async () => {
+    const prev = process.env.OTP_PEPPERS
+    try {
+      const one = new OneHitter()
+      const contact = 'sqlite-rotate@test.local'
+      const otp = one.make()
+      process.env.OTP_PEPPERS = 'sqlite-k1:secret1'
+      await one.create({ contact, otp, createdAt: new Date() })
+
+      process.env.OTP_PEPPERS = 'sqlite-k2:secret2,sqlite-k1:secret1'
+      assert.ok(await one.countRetiredPepperRecords() >= 1)
+      assert.strictEqual(await one.validate({ contact, otp }), true)
+    } finally {
+      if (prev == null) delete process.env.OTP_PEPPERS; else process.env.OTP_PEPPERS = prev
+    }
+  })
+
+  it('burns the codes after maxAttempts wrong guesses', async () => {
+    const one = new OneHitter({ maxAttempts: 2 })
+    const otp = one.make()
+    const contact = 'sqlite-burn@test.local'
+    await one.create({ contact, otp, createdAt: new Date() })
+
+    assert.strictEqual(await one.validateStatus({ contact, otp: 'wrong-1' }), 'mismatch')
+    assert.strictEqual(await one.validateStatus({ contact, otp: 'wrong-2' }), 'too_many_attempts')
+    assert.strictEqual(await one.validateStatus({ contact, otp }), 'not_found')
+  })
+
+  it('supersedePrevious leaves only the newest code valid after a resend', async () => {
+    const one = new OneHitter({ supersedePrevious: true })
+    const contact = 'sqlite-supersede@test.local'
+    const first = one.make()
+    const second = one.make()
+    await one.create({ contact, otp: first, createdAt: new Date() })
+    await one.create({ contact, otp: second, createdAt: new Date() })
+
+    if (first !== second) assert.strictEqual(await one.validate({ contact, otp: first }), false)
+    assert.strictEqual(await one.validate({ contact, otp: second }), true)
+  })
+
+  it('purgeExpired() removes rows past OTP_EXPIRY and keeps fresh ones', async () => {
+    const one = new OneHitter()
+    const contact = 'sqlite-purge@test.local'
+    const fresh = one.make()
+    await one.purgeExpired()
+    await one.create({ contact, otp: one.make(), createdAt: new Date(Date.now() - 3_600_000) })
+    await one.create({ contact, otp: fresh, createdAt: new Date() })
+
+    assert.strictEqual(await one.purgeExpired(), 1)
+    assert.strictEqual(await one.validate({ contact, otp: fresh }), true)
+  })
 })
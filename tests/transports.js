@@ -0,0 +1,129 @@
+const assert = require('assert')
+const http = require('http')
+
+// Use built artifacts so nyc maps coverage to dist/cjs/**
+const OneHitter = require('../dist/cjs/onehitter.js').default
+const { EmailTransport, HttpSmsTransport, renderSms } = require('../dist/cjs/transports/index.js')
+const { MemoryAdapter } = require('../dist/cjs/db/index.js')
+const { NoopSendLimiter } = require('../dist/cjs/rate-limiter.js')
+
+// Local stand-in for an SMS provider: records every request and answers with `status`
+function startSmsStub(status = 200) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => { body += chunk })
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+      res.writeHead(stub.status, { 'Content-Type': 'application/json' })
+      res.end('{}')
+    })
+  })
+  const stub = { server, requests, status, endpoint: '' }
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      stub.endpoint = `http://127.0.0.1:${server.address().port}/messages`
+      resolve(stub)
+    })
+  })
+}
+
+describe('renderSms', () => {
+  it('names the host and expiry by default and appends the WebOTP line', () => {
+    assert.strictEqual(renderSms('+15550100', '123456', 'https://app.example.com/verify', 300),
+      '123456 is your one-time password for app.example.com. It expires in 5 minutes.')
+    assert.strictEqual(renderSms('+15550100', '123 456', 'https://app.example.com', 300, { text: 'Code: {{otp}}', webOtp: true }),
+      'Code: 123 456\n\n@app.example.com #123456')
+    assert.strictEqual(renderSms('+15550100', '1234', 'https://app.example.com', 60, { text: (ctx) => `${ctx.purpose}:${ctx.otp}`, purpose: 'login', webOtp: 'id.example.com' }),
+      'login:1234\n\n@id.example.com #1234')
+  })
+
+  it('enforces maxLength on the whole text', () => {
+    assert.throws(() => renderSms('+15550100', '123456', 'https://example.com', 60, { text: 'x'.repeat(139), webOtp: true }), /161 characters, over the maxLength of 160/)
+    assert.strictEqual(renderSms('+15550100', '1', 'https://example.com', 60, { text: 'x'.repeat(200), maxLength: 0 }).length, 200)
+  })
+})
+
+describe('HttpSmsTransport', () => {
+  let stub
+
+  beforeEach(async () => { stub = await startSmsStub() })
+  afterEach((done) => {
+    // fetch keeps connections alive; drop them so close() returns
+    stub.server.closeAllConnections()
+    stub.server.close(done)
+  })
+
+  it('posts JSON with the auth header to the endpoint', async () => {
+    const sms = new HttpSmsTransport({ endpoint: stub.endpoint, authHeader: 'Bearer t0k3n', webOtp: true })
+    await sms.deliver({ to: '+15550100', otp: '654321', context: { url: 'https://example.com', expirySeconds: 120 } })
+
+    assert.strictEqual(stub.requests.length, 1)
+    const [req] = stub.requests
+    assert.strictEqual(req.method, 'POST')
+    assert.strictEqual(req.url, '/messages')
+    assert.strictEqual(req.headers.authorization, 'Bearer t0k3n')
+    assert.strictEqual(req.headers['content-type'], 'application/json')
+    assert.deepStrictEqual(JSON.parse(req.body), {
+      to: '+15550100',
+      message: '654321 is your one-time password for example.com. It expires in 2 minutes.\n\n@example.com #654321',
+    })
+  })
+
+  it('fills a body template escaped for the content type', async () => {
+    const form = new HttpSmsTransport({
+      endpoint: stub.endpoint,
+      contentType: 'application/x-www-form-urlencoded',
+      body: 'To={{to}}&Body={{message}}',
+      text: 'Code {{otp}} & more',
+    })
+    await form.deliver({ to: '+15550100', otp: '111222', context: { url: 'https://example.com' } })
+    assert.strictEqual(stub.requests[0].body, 'To=%2B15550100&Body=Code%20111222%20%26%20more')
+
+    const json = new HttpSmsTransport({ endpoint: stub.endpoint, body: '{"dst":"{{to}}","text":"{{message}}"}', text: 'Say "{{otp}}"' })
+    await json.deliver({ to: '+15550100', otp: '333444', context: { url: 'https://example.com' } })
+    assert.deepStrictEqual(JSON.parse(stub.requests[1].body), { dst: '+15550100', text: 'Say "333444"' })
+  })
+
+  it('fails on a non-2xx response or a missing endpoint', async () => {
+    stub.status = 503
+    const sms = new HttpSmsTransport({ endpoint: stub.endpoint })
+    await assert.rejects(() => sms.deliver({ to: '+15550100', otp: '1', context: { url: 'https://example.com' } }), /HTTP 503/)
+    assert.throws(() => new HttpSmsTransport({ endpoint: '/relative' }), /absolute endpoint URL/)
+  })
+
+  it('delivers OneHitter codes per instance or per call, rolling issue() back on failure', async () => {
+    const sms = new HttpSmsTransport({ endpoint: stub.endpoint })
+    const adapter = new MemoryAdapter()
+    const one = new OneHitter({ adapter, url: 'https://example.com', transport: sms, sendLimiter: new NoopSendLimiter() })
+
+    const res = await one.issue('+15550100', { purpose: 'login' })
+    assert.strictEqual(res.status, 'issued')
+    const otp = /^(\d{6}) /.exec(JSON.parse(stub.requests[0].body).message)[1]
+    assert.strictEqual(await one.validate({ challengeId: res.challengeId, otp, purpose: 'login' }), true)
+
+    const mails = []
+    const email = new EmailTransport({ transporter: { async sendMail(msg) { mails.push(msg) } } })
+    assert.deepStrictEqual(await one.send('user@example.com', '777888', { transport: email }), { status: 'sent' })
+    assert.strictEqual(mails[0].to, 'user@example.com')
+    assert.match(mails[0].text, /777888/)
+    assert.strictEqual(stub.requests.length, 1)
+
+    stub.status = 500
+    await assert.rejects(() => one.issue('+15550100'), /HTTP 500/)
+    // Only the consumed code's tombstone is left
+    assert.strictEqual(adapter.size, 1)
+  })
+
+  it('does not require a sender address with a custom transport', () => {
+    const saved = process.env.OTP_MESSAGE_FROM
+    delete process.env.OTP_MESSAGE_FROM
+    try {
+      const fields = (one) => one.validateConfig().map(p => p.field)
+      assert.ok(fields(new OneHitter({ adapter: new MemoryAdapter() })).includes('OTP_MESSAGE_FROM'))
+      assert.ok(!fields(new OneHitter({ adapter: new MemoryAdapter(), transport: new HttpSmsTransport({ endpoint: stub.endpoint }) })).includes('OTP_MESSAGE_FROM'))
+    } finally {
+      process.env.OTP_MESSAGE_FROM = saved
+    }
+  })
+})